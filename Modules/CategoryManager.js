@@ -255,6 +255,8 @@ class CategoryManager {
             'URL': 'URLS',
             'COOKIE': 'COOKIES',
             'HEADER': 'HEADERS',
+            'API': 'APIS',
+            'GROUP': 'GROUPS',
             'DOM': 'DOM'
         };
 
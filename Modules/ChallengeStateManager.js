@@ -0,0 +1,150 @@
+/**
+ * ChallengeStateManager - Classifies what a detected vendor is doing to the page
+ * Runs after detection: is the response a block page, an interstitial challenge,
+ * a CAPTCHA, the real content after a passed challenge, or just a passive script?
+ *
+ * Detectors declare their states next to `detection`, checked in order (first match wins):
+ * states: [{state: 'challenge', name: 'Managed Challenge', status: [403, 503], min: 1, conditions: [...]}]
+ * - state: 'blocked', 'challenge', 'captcha' or 'passed'
+ * - status: optional main frame status codes, at least one must match
+ * - conditions / min: same semantics as requirement groups (all required unless min is set)
+ * A detected vendor whose states don't match is labelled 'none'
+ */
+class ChallengeStateManager {
+  constructor() {
+    // Most severe first, the tab takes the most severe state of its vendors
+    this.states = ['blocked', 'challenge', 'captcha', 'passed', 'none'];
+
+    this.badgeColors = {
+      'blocked': '#FF4444',
+      'challenge': '#FFA500',
+      'captcha': '#FFC107',
+      'passed': '#4CAF50',
+      'none': '#9E9E9E'
+    };
+  }
+
+  /**
+   * Classify every detection and the tab as a whole
+   * Each detection is annotated with challengeState {state, name, reason, matched}
+   * @param {Array} detections - Results of detectOnPage()
+   * @param {function} getDetector - (detection) => detector configuration
+   * @param {object} pageData - Page data (statusCode is the main frame status)
+   * @param {function} matchCondition - (condition) => match or null
+   * @returns {object} {state, vendors: [{id, name, state, reason}]}
+   */
+  classify(detections = [], getDetector, pageData = {}, matchCondition) {
+    const vendors = detections.map(detection => {
+      const detector = getDetector(detection) || {};
+      detection.challengeState = this.classifyDetector(detector, pageData.statusCode, matchCondition);
+
+      return {
+        id: detection.detector?.id,
+        name: detection.detector?.name,
+        state: detection.challengeState.state,
+        reason: detection.challengeState.reason
+      };
+    });
+
+    return {
+      state: this.getMostSevereState(vendors.map(vendor => vendor.state)),
+      statusCode: pageData.statusCode,
+      vendors
+    };
+  }
+
+  /**
+   * Classify a single detected vendor
+   * @param {object} detector - Detector configuration with optional states
+   * @param {number} statusCode - Main frame status code (undefined when unknown)
+   * @param {function} matchCondition - (condition) => match or null
+   * @returns {object} {state, name, reason, matched}
+   */
+  classifyDetector(detector, statusCode, matchCondition) {
+    const rules = Array.isArray(detector.states) ? detector.states : [];
+
+    for (const rule of rules) {
+      if (!this.states.includes(rule.state)) continue;
+
+      const result = this.evaluateRule(rule, statusCode, matchCondition);
+      if (result.satisfied) {
+        return {
+          state: rule.state,
+          name: rule.name,
+          reason: result.reasons.join(', '),
+          matched: result.matched
+        };
+      }
+    }
+
+    return { state: 'none', reason: 'No challenge, block or clearance markers', matched: [] };
+  }
+
+  /**
+   * Evaluate a state rule against the status code and page conditions
+   * @param {object} rule - State rule
+   * @param {number} statusCode - Main frame status code
+   * @param {function} matchCondition - (condition) => match or null
+   * @returns {object} {satisfied, reasons, matched}
+   */
+  evaluateRule(rule, statusCode, matchCondition) {
+    const reasons = [];
+
+    if (Array.isArray(rule.status) && rule.status.length > 0) {
+      if (!rule.status.includes(statusCode)) {
+        return { satisfied: false, reasons, matched: [] };
+      }
+      reasons.push(`status ${statusCode}`);
+    }
+
+    const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+    const matched = conditions
+      .filter(condition => matchCondition(condition))
+      .map(condition => `${condition.type}:${this.getConditionLabel(condition)}`);
+
+    if (conditions.length > 0) {
+      const required = Math.min(Math.max(parseInt(rule.min) || conditions.length, 1), conditions.length);
+      if (matched.length < required) {
+        return { satisfied: false, reasons, matched };
+      }
+      reasons.push(...matched);
+    }
+
+    // A rule needs at least a status code or a condition to say anything about the page
+    return { satisfied: reasons.length > 0, reasons, matched };
+  }
+
+  /**
+   * Get the most severe state from a list
+   * @param {Array} states - State labels
+   * @returns {string} Most severe state ('none' when the list is empty)
+   */
+  getMostSevereState(states) {
+    return this.states.find(state => states.includes(state)) || 'none';
+  }
+
+  /**
+   * Get the extension badge color for a state
+   * @param {string} state - State label
+   * @returns {string} Hex color
+   */
+  getBadgeColor(state) {
+    return this.badgeColors[state] || this.badgeColors.none;
+  }
+
+  /**
+   * Get a readable label for a condition
+   * @param {object} condition - Condition
+   * @returns {string} Pattern, content, name, selector or API
+   */
+  getConditionLabel(condition) {
+    return condition.pattern || condition.content || condition.name || condition.selector || condition.api || '';
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChallengeStateManager;
+} else if (typeof window !== 'undefined') {
+  window.ChallengeStateManager = ChallengeStateManager;
+}
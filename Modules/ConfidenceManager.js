@@ -3,13 +3,32 @@
  */
 class ConfidenceManager {
   constructor() {
-    this.calculationMethod = 'max'; // 'max', 'average', 'weighted'
+    this.calculationMethod = 'max'; // 'max', 'average', 'weighted', 'combined'
+
+    // Evidence weights for the 'combined' method (how much a match of each type is trusted)
+    this.combinedTypeWeights = {
+      'cookies': 1.0,
+      'headers': 1.0,
+      'apis': 1.0,
+      'groups': 1.0,
+      'urls': 0.9,
+      'content': 0.8,
+      'dom': 0.8
+    };
+  }
+
+  /**
+   * Get the supported calculation methods
+   * @returns {Array} Method names
+   */
+  getCalculationMethods() {
+    return ['max', 'average', 'weighted', 'combined'];
   }
 
   /**
    * Calculate overall confidence from detection matches
    * @param {Array} matches - Array of detection matches with confidence values
-   * @param {string} method - Calculation method: 'max', 'average', 'weighted'
+   * @param {string} method - Calculation method: 'max', 'average', 'weighted', 'combined'
    * @returns {number} Overall confidence (0-100)
    */
   calculateConfidence(matches = [], method = null) {
@@ -26,11 +45,75 @@ class ConfidenceManager {
         return this.calculateAverageConfidence(matches);
       case 'weighted':
         return this.calculateWeightedConfidence(matches);
+      case 'combined':
+        return this.calculateCombinedConfidence(matches);
       default:
         return this.calculateMaxConfidence(matches);
     }
   }
 
+  /**
+   * Calculate overall confidence and how much each match contributed to it
+   * Contributions are in confidence points and add up to the overall confidence
+   * @param {Array} matches - Array of detection matches
+   * @param {string} method - Calculation method (defaults to the current method)
+   * @returns {object} {confidence, method, contributions} - contributions[i] belongs to matches[i]
+   */
+  explainConfidence(matches = [], method = null) {
+    const calculationMethod = this.getCalculationMethods().includes(method) ? method : this.calculationMethod;
+    const confidence = this.calculateConfidence(matches, calculationMethod);
+    const contributions = (matches || []).map(() => 0);
+
+    if (!matches || matches.length === 0) {
+      return { confidence, method: calculationMethod, contributions };
+    }
+
+    switch (calculationMethod) {
+      case 'average': {
+        const counted = matches.filter(match => match.confidence).length;
+        matches.forEach((match, index) => {
+          contributions[index] = match.confidence ? match.confidence / counted : 0;
+        });
+        break;
+      }
+      case 'weighted': {
+        const typeWeights = this.getWeightedTypeWeights();
+        const totalWeight = matches
+          .filter(match => match.confidence && match.type)
+          .reduce((sum, match) => sum + (typeWeights[match.type] || 1.0), 0);
+        matches.forEach((match, index) => {
+          if (match.confidence && match.type && totalWeight > 0) {
+            contributions[index] = match.confidence * (typeWeights[match.type] || 1.0) / totalWeight;
+          }
+        });
+        break;
+      }
+      case 'combined': {
+        // Each match raises the combined probability by what it adds on top of the stronger ones
+        const order = matches
+          .map((match, index) => ({ index, probability: this.getEvidenceProbability(match) }))
+          .sort((a, b) => b.probability - a.probability);
+        let remaining = 1;
+        order.forEach(({ index, probability }) => {
+          contributions[index] = remaining * probability * 100;
+          remaining *= (1 - probability);
+        });
+        break;
+      }
+      default: {
+        const strongest = matches.reduce((best, match, index) =>
+          (match.confidence || 0) > (matches[best].confidence || 0) ? index : best, 0);
+        contributions[strongest] = matches[strongest].confidence || 0;
+      }
+    }
+
+    return {
+      confidence,
+      method: calculationMethod,
+      contributions: contributions.map(value => Math.round(value * 10) / 10)
+    };
+  }
+
   /**
    * Calculate maximum confidence from all matches
    * @param {Array} matches - Array of detection matches
@@ -76,14 +159,7 @@ class ConfidenceManager {
   calculateWeightedConfidence(matches) {
     if (matches.length === 0) return 0;
 
-    // Weight by detection method type (more reliable methods get higher weight)
-    const typeWeights = {
-      'cookies': 1.2,    // Cookies are very reliable
-      'headers': 1.1,    // Headers are reliable
-      'content': 1.0,    // Content is standard
-      'dom': 0.9,        // DOM can be less reliable
-      'urls': 0.95       // URLs are fairly reliable
-    };
+    const typeWeights = this.getWeightedTypeWeights();
 
     let weightedSum = 0;
     let totalWeight = 0;
@@ -99,12 +175,55 @@ class ConfidenceManager {
     return totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
   }
 
+  /**
+   * Get the type weights used by the 'weighted' method
+   * @returns {object} Weight per detection method type
+   */
+  getWeightedTypeWeights() {
+    // Weight by detection method type (more reliable methods get higher weight)
+    return {
+      'cookies': 1.2,    // Cookies are very reliable
+      'headers': 1.1,    // Headers are reliable
+      'content': 1.0,    // Content is standard
+      'dom': 0.9,        // DOM can be less reliable
+      'urls': 0.95       // URLs are fairly reliable
+    };
+  }
+
+  /**
+   * Calculate combined confidence treating matches as independent evidence (noisy-OR)
+   * P = 1 - Π(1 - p_i), where p_i = confidence_i / 100 * typeWeight
+   * Three independent 80% signals score 99% instead of 80%
+   * @param {Array} matches - Array of detection matches
+   * @returns {number} Combined confidence value
+   */
+  calculateCombinedConfidence(matches) {
+    if (matches.length === 0) return 0;
+
+    let remaining = 1;
+    for (const match of matches) {
+      remaining *= (1 - this.getEvidenceProbability(match));
+    }
+
+    return Math.round((1 - remaining) * 100);
+  }
+
+  /**
+   * Get the probability a single match contributes as evidence for the 'combined' method
+   * @param {object} match - Detection match
+   * @returns {number} Probability between 0 and 1
+   */
+  getEvidenceProbability(match) {
+    const weight = this.combinedTypeWeights[match.type] ?? 1.0;
+    return Math.min(Math.max((match.confidence || 0) / 100 * weight, 0), 1);
+  }
+
   /**
    * Set the default calculation method
-   * @param {string} method - 'max', 'average', or 'weighted'
+   * @param {string} method - 'max', 'average', 'weighted', or 'combined'
    */
   setCalculationMethod(method) {
-    if (['max', 'average', 'weighted'].includes(method)) {
+    if (this.getCalculationMethods().includes(method)) {
       this.calculationMethod = method;
     } else {
       console.warn(`ConfidenceManager: Invalid method "${method}", keeping "${this.calculationMethod}"`);
@@ -135,4 +254,11 @@ class ConfidenceManager {
       confidence: Math.min(100, Math.round((match.confidence || 0) * multiplier))
     }));
   }
-}
\ No newline at end of file
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfidenceManager;
+} else if (typeof window !== 'undefined') {
+  window.ConfidenceManager = ConfidenceManager;
+}
@@ -12,12 +12,40 @@ class DetectionEngineManager {
     static STORAGE_KEY = 'scrapfly_detection_storage';
     static EXPIRY_HOURS = 12; // Cached detections expire after 12 hours
     static EXPIRY_MS = DetectionEngineManager.EXPIRY_HOURS * 60 * 60 * 1000; // 12 hours in milliseconds
+    // Scans that timed out or ran out of budget are only cached briefly and rescanned on the next load
+    static PARTIAL_EXPIRY_MS = 5 * 60 * 1000;
+    // Maximum memoized content pattern results for hashed external resources
+    static RESOURCE_MATCH_CACHE_SIZE = 20000;
+    // Maximum PatternIndex scan results kept per external resource hash
+    static RESOURCE_SCAN_CACHE_SIZE = 500;
+    // Maximum compiled regexes kept
+    static REGEX_CACHE_SIZE = 5000;
+    // A rule regex whose single test takes longer is disabled for the lifetime of the engine
+    static REGEX_TIME_BUDGET_MS = 250;
 
     constructor() {
         this.detectionData = null;
         this.lastDetectionTime = null;
+        // Content pattern results per external resource hash: the same script on many pages is matched once
+        this.resourceMatchCache = new Map();
+        // Literal content patterns of all detectors (PatternIndex), rebuilt by setDetectors()
+        this.patternIndex = null;
+        // Detectors whose rules are all indexed content patterns ('category/id'): skipped without a scan hit
+        this.indexCoveredDetectors = new Set();
+        this.indexStats = null;
+        // PatternIndex hits: per resource hash across scans, per haystack text for the current scan
+        this.resourceScanCache = new Map();
+        this.scanHits = new Map();
+        // Compiled regexes by flags + source (null for invalid patterns)
+        this.regexCache = new Map();
+        // Rule regexes disabled as unsafe (RegexSafety) or over budget: pattern -> {pattern, detector, reason, time}
+        this.disabledPatterns = new Map();
+        this.currentDetectorName = null;
+        // Timing of the last detectOnPage() call
+        this.lastScanStats = null;
         // Only create ConfidenceManager if it's available (not in content script)
         this.confidenceManager = typeof ConfidenceManager !== 'undefined' ? new ConfidenceManager() : null;
+        this.challengeStateManager = typeof ChallengeStateManager !== 'undefined' ? new ChallengeStateManager() : null;
         this.cleanupInterval = null;
     }
 
@@ -28,15 +56,6 @@ class DetectionEngineManager {
     async collectPageData() {
         console.log('DetectionEngineManager: Collecting page data...');
 
-        // Fetch external resource content asynchronously
-        let externalContent = [];
-        try {
-            externalContent = await this.extractExternalContent();
-        } catch (error) {
-            console.error('DetectionEngineManager: Error fetching external content:', error);
-            externalContent = [];
-        }
-
         // Extract favicon with multiple fallback strategies
         let favicon = '';
         const faviconSelectors = [
@@ -72,7 +91,13 @@ class DetectionEngineManager {
             content: this.extractScriptElements(),
             dom: this.extractDOM(),
             pageHTML: document.body ? document.body.innerHTML : '',
-            externalContent: externalContent,
+            // External scripts and stylesheets, fetched into externalContent by the background
+            externalResources: this.extractExternalResources(),
+            externalContent: [],
+            // Navigation start (ms since epoch), the background measures the detection timeline from it
+            timeOrigin: performance.timeOrigin,
+            // Negotiated protocol of the document (h2, h3, http/1.1), webRequest doesn't expose it
+            nextHopProtocol: performance.getEntriesByType?.('navigation')?.[0]?.nextHopProtocol || '',
             // Headers will be added by background script
             headers: []
         };
@@ -85,12 +110,40 @@ class DetectionEngineManager {
             cookiesCount: pageData.cookies.length,
             contentCount: pageData.content.length,
             domElementsCount: pageData.dom.length,
-            externalResourcesCount: pageData.externalContent.length
+            externalResourcesCount: pageData.externalResources.length
         });
 
         return pageData;
     }
 
+    /**
+     * Collect page data inside a subframe (called in iframes when all_frames is enabled)
+     * Lighter than collectPageData(): no external resource fetching, the top frame handles that
+     * @returns {object} Frame data with DOM, scripts and cookies visible to the frame
+     */
+    collectFrameData() {
+        console.log('DetectionEngineManager: Collecting frame data...', window.location.href);
+
+        const frameData = {
+            url: window.location.href,
+            hostname: window.location.hostname,
+            title: document.title || '',
+            cookies: this.extractCookies(),
+            content: this.extractScriptElements(),
+            dom: this.extractDOM(),
+            pageHTML: document.body ? document.body.innerHTML : ''
+        };
+
+        console.log('DetectionEngineManager: Frame data collected', {
+            url: frameData.url,
+            cookiesCount: frameData.cookies.length,
+            contentCount: frameData.content.length,
+            domElementsCount: frameData.dom.length
+        });
+
+        return frameData;
+    }
+
     /**
      * Extract all cookies from the current page
      * @returns {array} Array of cookie objects
@@ -159,60 +212,20 @@ class DetectionEngineManager {
     }
 
     /**
-     * Fetch external resource content (JS, CSS files) via HTTP
-     * Downloads actual file content for deeper detection analysis
-     * @returns {Promise<array>} Array of fetched resource content
+     * List external resources (JS, CSS files) for content detection
+     * The background fetches them (ExternalContentManager): no CORS limits, shared cache across tabs
+     * @returns {array} [{url, type: 'javascript'|'css'}]
      */
-    async extractExternalContent() {
-        const resources = [];
-
-        // Get all script sources
-        const scriptElements = document.querySelectorAll('script[src]');
-        const scriptUrls = Array.from(scriptElements).map(s => s.src).filter(Boolean);
-        console.log(`📦 extractExternalContent: Found ${scriptUrls.length} external scripts:`, scriptUrls);
-
-        // Get all CSS links
-        const linkElements = document.querySelectorAll('link[rel="stylesheet"]');
-        const cssUrls = Array.from(linkElements).map(l => l.href).filter(Boolean);
-        console.log(`📦 extractExternalContent: Found ${cssUrls.length} CSS files:`, cssUrls);
+    extractExternalResources() {
+        const scriptUrls = Array.from(document.querySelectorAll('script[src]')).map(s => s.src).filter(Boolean);
+        const cssUrls = Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(l => l.href).filter(Boolean);
 
-        // Combine all URLs
-        const allUrls = [...scriptUrls, ...cssUrls];
+        console.log(`📦 extractExternalResources: Found ${scriptUrls.length} external scripts and ${cssUrls.length} CSS files`);
 
-        console.log(`📦 extractExternalContent: Total ${allUrls.length} external resources to fetch`);
-
-        // Fetch content from each URL
-        for (const url of allUrls) {
-            try {
-                const response = await fetch(url, {
-                    method: 'GET',
-                    cache: 'default',
-                    credentials: 'omit'
-                });
-
-                if (response.ok) {
-                    const content = await response.text();
-                    const resourceType = url.endsWith('.css') ? 'css' : 'javascript';
-                    resources.push({
-                        url: url,
-                        type: resourceType,
-                        content: content,
-                        size: content.length
-                    });
-                    console.log(`📦 ✓ Fetched ${resourceType}: ${url} (${content.length} bytes)`);
-                    console.log(`📦   Content preview:`, content.substring(0, 200));
-                } else {
-                    console.log(`📦 ✗ Failed to fetch: ${url} (HTTP ${response.status})`);
-                }
-            } catch (error) {
-                // CORS or network error - skip
-                console.log(`📦 ✗ Error fetching: ${url} (${error.message})`);
-            }
-        }
-
-        console.log(`📦 extractExternalContent: Successfully fetched ${resources.length}/${allUrls.length} resources`);
-        console.log(`📦 Total content size: ${resources.reduce((sum, r) => sum + r.size, 0)} bytes`);
-        return resources;
+        return [
+            ...scriptUrls.map(url => ({ url, type: 'javascript' })),
+            ...cssUrls.map(url => ({ url, type: 'css' }))
+        ];
     }
 
     /**
@@ -379,14 +392,51 @@ class DetectionEngineManager {
      */
     setDetectors(detectors) {
         this.detectors = detectors;
+
+        // Compile every literal content pattern into one automaton (not loaded in the content script)
+        if (typeof PatternIndex !== 'undefined') {
+            const start = performance.now();
+            const index = PatternIndex.fromDetectors(detectors);
+
+            this.indexCoveredDetectors = new Set();
+            for (const [category, categoryDetectors] of Object.entries(detectors || {})) {
+                for (const [key, detector] of Object.entries(categoryDetectors || {})) {
+                    if (PatternIndex.isIndexCovered(detector)) {
+                        this.indexCoveredDetectors.add(`${category}/${detector.id || key}`);
+                    }
+                }
+            }
+
+            // Same patterns as before: keep the current index so hits cached per resource hash stay valid
+            if (this.patternIndex && this.patternIndex.hasSamePatterns(index)) {
+                return;
+            }
+
+            this.patternIndex = index;
+            this.indexStats = { ...index.getStats(), buildTime: Math.round((performance.now() - start) * 10) / 10 };
+            this.resourceScanCache.clear();
+            console.log(`🗂️ Pattern index: ${this.indexStats.patterns} literal patterns, ${this.indexStats.states} states (${this.indexStats.buildTime} ms)`);
+        }
+    }
+
+    /**
+     * Set the default confidence calculation method (detectors can override it with confidenceMethod)
+     * @param {string} method - 'max', 'average', 'weighted' or 'combined'
+     */
+    setConfidenceMethod(method) {
+        if (this.confidenceManager && method) {
+            this.confidenceManager.setCalculationMethod(method);
+        }
     }
 
     /**
      * Run detection on page data and return found security technologies
      * @param {object} pageData - Object containing url, scripts, and dom elements
+     * @param {object} options - {budget}: milliseconds after which no further detector is started;
+     *                           the results found so far are returned and lastScanStats.partial is set
      * @returns {array} Array of detection results
      */
-    detectOnPage(pageData = {}) {
+    detectOnPage(pageData = {}, options = {}) {
         console.log('🔍 DetectionEngineManager.detectOnPage called');
 
         if (!this.detectors) {
@@ -395,14 +445,21 @@ class DetectionEngineManager {
         }
 
         const detections = [];
-        const { url = '', content = [], dom = [], cookies = [], headers = {}, pageHTML = '', externalContent = [] } = pageData;
+        const { url = '', content = [], dom = [], cookies = [], headers = {}, subresourceHeaders = [], requests = [], apis = [], pageHTML = '', externalContent = [], frames = [], statusCode, navigation = null, network = null } = pageData;
 
         console.log('📊 Page Data Summary:', {
             url: url,
+            statusCode: statusCode,
+            redirectCount: navigation?.redirects?.length || 0,
+            protocol: network?.protocol,
             contentCount: content.length,
             domCount: dom.length,
             cookiesCount: cookies.length,
             headersCount: Object.keys(headers).length,
+            subresourceHeadersCount: subresourceHeaders.length,
+            requestsCount: requests.length,
+            apisCount: apis.length,
+            framesCount: frames.length,
             pageHTMLLength: pageHTML.length,
             externalContentCount: externalContent.length
         });
@@ -410,6 +467,29 @@ class DetectionEngineManager {
         console.log('🔍 Cookies:', cookies);
         console.log('🔍 Content sample:', content.slice(0, 3));
 
+        // One pass of the pattern index over every haystack, content rules then look up the hits
+        const scanStart = performance.now();
+        this.scanHits.clear();
+        const candidates = new Set();
+        let bytesScanned = 0;
+        if (this.patternIndex) {
+            const haystacks = [
+                { text: pageHTML },
+                ...externalContent.map(resource => ({ text: resource.content, hash: resource.hash })),
+                ...frames.map(frame => ({ text: frame.pageHTML }))
+            ].filter(haystack => haystack.text);
+
+            for (const haystack of haystacks) {
+                this.patternIndex.getCandidates(this.getPatternHits(haystack.text, haystack.hash)).forEach(key => candidates.add(key));
+                bytesScanned += haystack.text.length;
+            }
+        }
+        const scanTime = performance.now() - scanStart;
+        const detectorTimes = [];
+        const skipped = [];
+        let notCandidates = 0;
+        const budget = options.budget || 0;
+
         const categoriesCount = Object.keys(this.detectors).length;
         console.log(`📦 Processing ${categoriesCount} categories...`);
         console.log('📋 All detectors loaded:', Object.entries(this.detectors).map(([cat, dets]) =>
@@ -427,9 +507,25 @@ class DetectionEngineManager {
                     continue;
                 }
 
-                const detection = this.runDetector(detector, { url, content, dom, cookies, headers, pageHTML, externalContent });
+                // Content-only detector without a single index hit: it cannot match, skip it
+                if (this.patternIndex && this.indexCoveredDetectors.has(`${category}/${detector.id || detectorName}`) &&
+                    !candidates.has(`${category}/${detector.id || detectorName}`)) {
+                    notCandidates++;
+                    continue;
+                }
+
+                // Over budget: keep what matched so far, the remaining detectors are reported as skipped
+                if (budget && performance.now() - scanStart > budget) {
+                    skipped.push(detector.name || detectorName);
+                    continue;
+                }
+
+                const detectorStart = performance.now();
+                this.currentDetectorName = detector.name || detectorName;
+                const detection = this.runDetectorOnFrames(detector, { url, content, dom, cookies, headers, subresourceHeaders, requests, apis, pageHTML, externalContent, frames, statusCode, navigation, network });
+                detectorTimes.push({ name: detector.name || detectorName, time: performance.now() - detectorStart });
                 if (detection.detected) {
-                    console.log(`    ✅ DETECTED: ${detectorName} (confidence: ${detection.confidence}%)`);
+                    console.log(`    ✅ DETECTED: ${detectorName}${detection.variant ? ` [${detection.variant.name}]` : ''} (confidence: ${detection.confidence}%)`);
                     detections.push({
                         ...detection,
                         category,
@@ -440,10 +536,38 @@ class DetectionEngineManager {
                             id: detector.id || detectorName
                         }
                     });
+                } else if (detection.exclusions.some(e => e.scope === 'detector' && e.action === 'suppress')) {
+                    console.log(`    🚫 SUPPRESSED: ${detectorName} (${detection.exclusions.map(e => e.reason).join(', ')})`);
                 }
             }
         }
 
+        this.currentDetectorName = null;
+
+        const matchTime = detectorTimes.reduce((sum, entry) => sum + entry.time, 0);
+        this.lastScanStats = {
+            detectors: detectorTimes.length,
+            patterns: this.indexStats?.patterns || 0,
+            candidates: candidates.size,
+            notCandidates,
+            bytesScanned,
+            indexTime: this.indexStats?.buildTime || 0,
+            scanTime: Math.round(scanTime * 10) / 10,
+            matchTime: Math.round(matchTime * 10) / 10,
+            totalTime: Math.round((performance.now() - scanStart) * 10) / 10,
+            slowest: detectorTimes
+                .sort((a, b) => b.time - a.time)
+                .slice(0, 3)
+                .map(entry => ({ name: entry.name, time: Math.round(entry.time * 10) / 10 })),
+            partial: skipped.length > 0,
+            skipped,
+            disabledPatterns: [...this.disabledPatterns.values()]
+        };
+        if (skipped.length > 0) {
+            console.warn(`⏱️ Scan budget of ${budget} ms exceeded, ${skipped.length} detectors skipped: ${skipped.join(', ')}`);
+        }
+        console.log(`⏱️ Scan: ${this.lastScanStats.totalTime} ms (index scan ${this.lastScanStats.scanTime} ms, ${candidates.size} candidate detectors, ${notCandidates} skipped without a hit, matching ${this.lastScanStats.matchTime} ms)`);
+
         console.log(`🎯 Total detections found: ${detections.length}`);
         if (detections.length > 0) {
             console.log('Detections:', detections.map(d => d.detector.name));
@@ -452,6 +576,151 @@ class DetectionEngineManager {
         return detections;
     }
 
+    /**
+     * Classify whether the page is blocked, challenged, showing a CAPTCHA or passed, per detected vendor
+     * Runs after detectOnPage(); each detection gets a challengeState annotation
+     * @param {array} detections - Results of detectOnPage()
+     * @param {object} pageData - Page data the detections came from (statusCode is the main frame status)
+     * @returns {object} {state, statusCode, vendors} - state is 'blocked', 'challenge', 'captcha', 'passed' or 'none'
+     */
+    classifyChallengeStates(detections, pageData = {}) {
+        if (!this.challengeStateManager) {
+            return { state: 'none', statusCode: pageData.statusCode, vendors: [] };
+        }
+
+        const state = this.challengeStateManager.classify(
+            detections,
+            detection => this.findDetector(detection.category, detection.detector?.id),
+            pageData,
+            condition => this.matchConditionOnFrames(condition, pageData)
+        );
+
+        console.log(`🚦 Challenge state: ${state.state}`, state.vendors.map(v => `${v.name}=${v.state}`).join(', '));
+        return state;
+    }
+
+    /**
+     * Find a detector configuration by category and id
+     * @param {string} category - Category key
+     * @param {string} id - Detector id (or key)
+     * @returns {object|null} Detector configuration
+     */
+    findDetector(category, id) {
+        const categoryDetectors = this.detectors?.[category] || {};
+        return Object.entries(categoryDetectors)
+            .find(([key, detector]) => (detector.id || key) === id)?.[1] || null;
+    }
+
+    /**
+     * Check a condition against the top frame, then every collected subframe
+     * @param {object} condition - Condition
+     * @param {object} pageData - Page data with optional frames
+     * @returns {object|null} First match, or null
+     */
+    matchConditionOnFrames(condition, pageData) {
+        const { frames = [], content = [], dom = [], ...topFrameData } = pageData;
+        const match = this.matchCondition(condition, { ...topFrameData, content, dom });
+        if (match) return match;
+
+        for (const frame of frames) {
+            const frameMatch = this.matchCondition(condition, {
+                url: frame.url || '',
+                content: frame.content || [],
+                dom: frame.dom || [],
+                cookies: frame.cookies || [],
+                apis: frame.apis || [],
+                pageHTML: frame.pageHTML || ''
+            });
+            if (frameMatch) return { ...frameMatch, frameUrl: frame.url };
+        }
+
+        return null;
+    }
+
+    /**
+     * Run a single detector against the top frame and every collected subframe
+     * Frame matches are merged into one tab-level result; every match is annotated
+     * with the frame it came from (frameId 0 is the top frame)
+     * @param {object} detector - Detector configuration
+     * @param {object} pageData - Page data, with optional frames [{frameId, url, content, dom, cookies, pageHTML}]
+     * @returns {object} Detection result with confidence and matches
+     */
+    runDetectorOnFrames(detector, pageData) {
+        const { frames = [], ...topFrameData } = pageData;
+        const detection = this.runDetector(detector, topFrameData);
+
+        if (frames.length === 0) {
+            return detection;
+        }
+
+        const matches = detection.matches.map(match => ({
+            ...match,
+            frameId: 0,
+            frameUrl: topFrameData.url
+        }));
+        const exclusions = detection.exclusions.slice();
+        const groups = detection.groups.map(group => ({ ...group }));
+        let variant = detection.variant;
+
+        for (const frame of frames) {
+            // Frames only carry what their content scripts can see (no headers, requests or external content)
+            const frameDetection = this.runDetector(detector, {
+                url: frame.url || '',
+                content: frame.content || [],
+                dom: frame.dom || [],
+                cookies: frame.cookies || [],
+                apis: frame.apis || [],
+                pageHTML: frame.pageHTML || ''
+            });
+
+            // An exclusion found in any frame applies to the whole tab
+            frameDetection.exclusions.forEach(exclusion => {
+                if (!exclusions.some(e => e.scope === exclusion.scope && e.type === exclusion.type &&
+                    e.pattern === exclusion.pattern && e.reason === exclusion.reason)) {
+                    exclusions.push({ ...exclusion, frameUrl: frame.url });
+                }
+            });
+
+            // A requirement group satisfied inside any frame counts for the tab
+            frameDetection.groups.forEach((group, index) => {
+                if (group.satisfied && groups[index] && !groups[index].satisfied) {
+                    groups[index] = { ...group, frameUrl: frame.url };
+                }
+            });
+
+            // The most specific variant (earliest in detector.variants) seen in any frame wins
+            if (frameDetection.variant &&
+                (!variant || this.getVariantIndex(detector, frameDetection.variant) < this.getVariantIndex(detector, variant))) {
+                variant = { ...frameDetection.variant, frameUrl: frame.url };
+            }
+
+            frameDetection.matches.forEach(match => {
+                matches.push({
+                    ...match,
+                    // The frame's own document is a sub_frame request from the tab's point of view
+                    ...(match.resourceType === 'main_frame' ? { resourceType: 'sub_frame' } : {}),
+                    frameId: frame.frameId,
+                    frameUrl: frame.url
+                });
+            });
+        }
+
+        const overallConfidence = this.applyRequirementGroups(
+            this.applyDetectorExclusions(this.calculateOverallConfidence(matches, detector.confidenceMethod), exclusions),
+            groups
+        );
+
+        return {
+            ...detection,
+            detected: overallConfidence > 0,
+            confidence: overallConfidence,
+            matches,
+            exclusions,
+            groups,
+            variant
+        };
+    }
+
     /**
      * Run a single detector against page data
      * @param {object} detector - Detector configuration
@@ -459,11 +728,14 @@ class DetectionEngineManager {
      * @returns {object} Detection result with confidence and matches
      */
     runDetector(detector, pageData) {
-        const { url, content, dom, cookies = [], headers = {}, pageHTML = '', externalContent = [] } = pageData;
+        const { url, content, dom, cookies = [], headers = {}, subresourceHeaders = [], requests = [], apis = [], pageHTML = '', externalContent = [], statusCode, network = null } = pageData;
         const matches = [];
 
-        if (detector.detection?.urls) {
-            for (const urlPattern of detector.detection.urls) {
+        // Pattern-level exclusions drop or down-weight individual patterns before matching
+        const { detection, exclusions: patternExclusions } = this.applyPatternExclusions(detector, pageData);
+
+        if (detection?.urls) {
+            for (const urlPattern of detection.urls) {
                 const matchOptions = {
                     regex: urlPattern.nameRegex === true,
                     wholeWord: urlPattern.nameWholeWord === true,
@@ -476,6 +748,8 @@ class DetectionEngineManager {
                         type: 'urls',
                         pattern: urlPattern.pattern,
                         value: url,
+                        method: 'GET',
+                        resourceType: 'main_frame',
                         confidence: urlPattern.confidence,
                         description: urlPattern.description
                     });
@@ -493,6 +767,8 @@ class DetectionEngineManager {
                                     type: 'urls',
                                     pattern: urlPattern.pattern,
                                     value: scriptSrc,
+                                    method: 'GET',
+                                    resourceType: 'script',
                                     confidence: urlPattern.confidence,
                                     description: urlPattern.description
                                 });
@@ -500,11 +776,31 @@ class DetectionEngineManager {
                         }
                     }
                 }
+
+                // Also check every request the tab made (XHR, beacons, iframes, pixels...)
+                if (requests && requests.length > 0) {
+                    const alreadyAdded = matches.some(m => m.type === 'urls' && m.pattern === urlPattern.pattern);
+                    const matchingRequest = !alreadyAdded && requests.find(request =>
+                        request.url && this.matchPattern(request.url, urlPattern.pattern, matchOptions)
+                    );
+
+                    if (matchingRequest) {
+                        matches.push({
+                            type: 'urls',
+                            pattern: urlPattern.pattern,
+                            value: matchingRequest.url,
+                            method: matchingRequest.method || 'GET',
+                            resourceType: matchingRequest.type || 'other',
+                            confidence: urlPattern.confidence,
+                            description: urlPattern.description
+                        });
+                    }
+                }
             }
         }
 
         // Check content patterns
-        const contentPatterns = detector.detection?.content;
+        const contentPatterns = detection?.content;
         console.log(`[Content Detection] ${detector.name}: contentPatterns=${!!contentPatterns}, count=${contentPatterns?.length || 0}, hasPageHTML=${!!pageHTML}, pageHTMLLength=${pageHTML?.length || 0}`);
 
         if (contentPatterns && pageHTML) {
@@ -534,7 +830,7 @@ class DetectionEngineManager {
                 if (!hasRestriction) {
                     // No restrictions = check entire page HTML + external content (default behavior)
                     console.log(`[Content Detection] ${detector.name}: Searching entire page HTML for "${contentPattern.content}"`);
-                    if (this.matchPattern(pageHTML, contentPattern.content, matchOptions)) {
+                    if (this.matchContentPattern(pageHTML, contentPattern.content, matchOptions)) {
                         found = true;
                         foundIn = 'page content';
                         console.log(`[Content Detection] ${detector.name}: ✓ MATCH FOUND in page content!`);
@@ -544,7 +840,7 @@ class DetectionEngineManager {
                     if (!found && pageData.externalContent && pageData.externalContent.length > 0) {
                         console.log(`[Content Detection] ${detector.name}: Searching ${pageData.externalContent.length} external resources`);
                         for (const resource of pageData.externalContent) {
-                            if (this.matchPattern(resource.content, contentPattern.content, matchOptions)) {
+                            if (this.matchResourcePattern(resource, contentPattern.content, matchOptions)) {
                                 found = true;
                                 foundIn = resource.url;
                                 console.log(`[Content Detection] ${detector.name}: ✓ MATCH FOUND in external resource: ${resource.url}`);
@@ -619,11 +915,11 @@ class DetectionEngineManager {
         }
 
         // Check cookies patterns
-        if (detector.detection?.cookies && cookies.length > 0) {
-            console.log(`[Cookie Detection] Checking ${detector.detection.cookies.length} cookie patterns against ${cookies.length} cookies`);
+        if (detection?.cookies && cookies.length > 0) {
+            console.log(`[Cookie Detection] Checking ${detection.cookies.length} cookie patterns against ${cookies.length} cookies`);
             console.log('[Cookie Detection] Available cookies:', cookies.map(c => c.name).join(', '));
 
-            for (const cookiePattern of detector.detection.cookies) {
+            for (const cookiePattern of detection.cookies) {
                 console.log(`[Cookie Detection] Pattern:`, cookiePattern);
 
                 const nameMatchOptions = {
@@ -675,8 +971,11 @@ class DetectionEngineManager {
         }
 
         // Check headers patterns
-        if (detector.detection?.headers && Object.keys(headers).length > 0) {
-            for (const headerPattern of detector.detection.headers) {
+        // Main frame headers plus the per-request log of subresource headers (xhr, script, sub_frame);
+        // each pattern's scope decides which of these responses it is matched against
+        const headerSources = this.getHeaderSources(url, headers, subresourceHeaders);
+        if (detection?.headers && headerSources.length > 0) {
+            for (const headerPattern of detection.headers) {
                 const nameMatchOptions = {
                     regex: headerPattern.nameRegex === true,
                     wholeWord: headerPattern.nameWholeWord === true,
@@ -689,41 +988,117 @@ class DetectionEngineManager {
                     caseSensitive: headerPattern.valueCaseSensitive === true
                 };
 
-                // Loop through all headers to find matches (supports regex)
-                for (const [headerName, headerValue] of Object.entries(headers)) {
-                    if (headerPattern.name && this.matchPattern(headerName, headerPattern.name, nameMatchOptions)) {
+                const scopedSources = headerSources.filter(source => this.isHeaderSourceInScope(source, headerPattern));
+                let headerMatch = null;
+
+                for (const source of scopedSources) {
+                    // Loop through all headers to find matches (supports regex)
+                    for (const [headerName, headerValue] of Object.entries(source.headers)) {
+                        if (!headerPattern.name || !this.matchPattern(headerName, headerPattern.name, nameMatchOptions)) {
+                            continue;
+                        }
+
                         // If value pattern specified, check it too
-                        if (headerPattern.value) {
-                            if (this.matchPattern(headerValue, headerPattern.value, valueMatchOptions)) {
-                                matches.push({
-                                    type: 'headers',
-                                    name: headerPattern.name,
-                                    value: `${headerName}: ${headerValue}`,
-                                    confidence: headerPattern.confidence || 80,
-                                    description: headerPattern.description
-                                });
-                                break; // Found a match, no need to check more headers
-                            }
-                        } else {
-                            // Just check for header name match
-                            matches.push({
-                                type: 'headers',
-                                name: headerPattern.name,
-                                value: `${headerName}: ${headerValue}`,
-                                confidence: headerPattern.confidence || 80,
-                                description: headerPattern.description
-                            });
-                            break; // Found a match, no need to check more headers
+                        if (headerPattern.value && !this.matchPattern(headerValue, headerPattern.value, valueMatchOptions)) {
+                            continue;
                         }
+
+                        headerMatch = {
+                            type: 'headers',
+                            name: headerPattern.name,
+                            value: `${headerName}: ${headerValue}`,
+                            confidence: headerPattern.confidence || 80,
+                            description: headerPattern.description,
+                            url: source.url,
+                            resourceType: source.type
+                        };
+                        break; // Found a match, no need to check more headers
                     }
+
+                    if (headerMatch) break;
+                }
+
+                if (headerMatch) {
+                    matches.push(headerMatch);
+                }
+            }
+        }
+
+        // Check main document status code, optionally together with a main document header
+        if (detection?.status && statusCode) {
+            for (const statusPattern of detection.status) {
+                if (!this.matchStatusCode(statusCode, statusPattern.code)) {
+                    continue;
+                }
+
+                let headerLabel = '';
+                if (statusPattern.name) {
+                    const nameMatchOptions = {
+                        regex: statusPattern.nameRegex === true,
+                        wholeWord: statusPattern.nameWholeWord === true,
+                        caseSensitive: statusPattern.nameCaseSensitive === true
+                    };
+                    const valueMatchOptions = {
+                        regex: statusPattern.valueRegex === true,
+                        wholeWord: statusPattern.valueWholeWord === true,
+                        caseSensitive: statusPattern.valueCaseSensitive === true
+                    };
+
+                    const header = Object.entries(headers || {}).find(([headerName, headerValue]) =>
+                        this.matchPattern(headerName, statusPattern.name, nameMatchOptions) &&
+                        (!statusPattern.value || this.matchPattern(headerValue, statusPattern.value, valueMatchOptions))
+                    );
+                    if (!header) {
+                        continue;
+                    }
+                    headerLabel = ` + ${header[0]}: ${header[1]}`;
+                }
+
+                matches.push({
+                    type: 'status',
+                    pattern: this.getPatternLabel(statusPattern),
+                    value: `HTTP ${statusCode}${headerLabel}`,
+                    url: url,
+                    resourceType: 'main_frame',
+                    confidence: statusPattern.confidence || 80,
+                    description: statusPattern.description
+                });
+            }
+        }
+
+        // Check edge / transport signals (protocol, alt-svc, server-timing, nel, report-to)
+        if (detection?.network && network) {
+            for (const networkPattern of detection.network) {
+                const valueMatchOptions = {
+                    regex: networkPattern.valueRegex === true,
+                    wholeWord: networkPattern.valueWholeWord === true,
+                    caseSensitive: networkPattern.valueCaseSensitive === true
+                };
+
+                const values = this.getNetworkSignalValues(network, networkPattern.name);
+                const matchedValue = networkPattern.value
+                    ? values.find(value => this.matchPattern(value, networkPattern.value, valueMatchOptions))
+                    : values[0];
+
+                if (matchedValue) {
+                    matches.push({
+                        type: 'network',
+                        name: networkPattern.name,
+                        pattern: networkPattern.value ? `${networkPattern.name}: ${networkPattern.value}` : networkPattern.name,
+                        value: `${networkPattern.name}: ${matchedValue}`,
+                        url: url,
+                        resourceType: 'main_frame',
+                        confidence: networkPattern.confidence || 80,
+                        description: networkPattern.description
+                    });
                 }
             }
         }
 
         // Check DOM patterns
-        if (detector.detection?.dom && dom.length > 0) {
-            console.log(`[DOM Detection] ${detector.name}: Checking ${detector.detection.dom.length} DOM patterns against ${dom.length} elements`);
-            for (const domPattern of detector.detection.dom) {
+        if (detection?.dom && dom.length > 0) {
+            console.log(`[DOM Detection] ${detector.name}: Checking ${detection.dom.length} DOM patterns against ${dom.length} elements`);
+            for (const domPattern of detection.dom) {
                 // Check if any DOM element matches the pattern
                 const matchingElement = dom.find(element => {
                     // The DOM data from content script contains various properties
@@ -748,7 +1123,7 @@ class DetectionEngineManager {
 
                     // Attribute selector (e.g., [data-sitekey])
                     if (selectorPattern.startsWith('[') && selectorPattern.endsWith(']')) {
-                        const attrMatch = selectorPattern.match(/\[([^=\]]+)(?:=['"]*.([^'"\]]+)['"]*.)?(?:\*=["']?([^'"\]]+)["']?)?\]/);
+                        const attrMatch = selectorPattern.match(/\[([^=\]]+)(?:=['"]?([^'"\]]+)['"]?)?(?:\*=["']?([^'"\]]+)["']?)?\]/);
                         if (attrMatch) {
                             const [, attrName, exactValue, containsValue] = attrMatch;
 
@@ -820,15 +1195,74 @@ class DetectionEngineManager {
             }
         }
 
-        // Calculate confidence if ConfidenceManager is available, otherwise use max confidence
-        const overallConfidence = this.confidenceManager
-            ? this.confidenceManager.calculateConfidence(matches)
-            : Math.max(...matches.map(m => m.confidence || 0), 0);
+        // Check runtime API call patterns (recorded by the opt-in API sensor, api-sensor.js)
+        if (detection?.apis && apis.length > 0) {
+            for (const apiPattern of detection.apis) {
+                const minCount = apiPattern.minCount || 1;
+                // API names match exactly (case-insensitive) unless the rule is a regex
+                const observed = apis.find(call => {
+                    if (!call.api || !apiPattern.api) return false;
+                    if (apiPattern.nameRegex === true) {
+                        return this.matchPattern(call.api, apiPattern.api, {
+                            regex: true,
+                            caseSensitive: apiPattern.nameCaseSensitive === true
+                        });
+                    }
+                    return call.api.toLowerCase() === apiPattern.api.toLowerCase();
+                });
+
+                if (!observed || observed.count < minCount) {
+                    continue;
+                }
+
+                // Optional caller pattern: at least one calling script URL must match
+                const callers = observed.callers || [];
+                const callerMatchOptions = {
+                    regex: apiPattern.valueRegex === true,
+                    wholeWord: apiPattern.valueWholeWord === true,
+                    caseSensitive: apiPattern.valueCaseSensitive === true
+                };
+                const caller = apiPattern.caller
+                    ? callers.find(callerUrl => this.matchPattern(callerUrl, apiPattern.caller, callerMatchOptions))
+                    : callers[0];
+
+                if (apiPattern.caller && !caller) {
+                    continue;
+                }
+
+                matches.push({
+                    type: 'apis',
+                    api: observed.api,
+                    pattern: apiPattern.api,
+                    value: `${observed.api} x${observed.count}`,
+                    count: observed.count,
+                    callers,
+                    url: caller,
+                    resourceType: caller ? 'script' : undefined,
+                    confidence: apiPattern.confidence,
+                    description: apiPattern.description
+                });
+            }
+        }
+
+        // Requirement groups (AND / N-of-M): satisfied groups add a match, unsatisfied ones block detection
+        const groups = this.evaluateRequirementGroups(detection, pageData);
+        groups.filter(group => group.satisfied).forEach(group => matches.push(group.match));
+
+        const exclusions = [...patternExclusions, ...this.getDetectorExclusions(detector, pageData)];
+        const overallConfidence = this.applyRequirementGroups(
+            this.applyDetectorExclusions(this.calculateOverallConfidence(matches, detector.confidenceMethod), exclusions),
+            groups
+        );
 
         return {
             detected: overallConfidence > 0,
             confidence: overallConfidence,
+            confidenceMethod: this.getConfidenceMethod(detector),
             matches,
+            exclusions,
+            groups: groups.map(({ match, ...group }) => group),
+            variant: matches.length > 0 ? this.evaluateVariants(detector, pageData) : null,
             detector: {
                 id: detector.id,
                 name: detector.name,
@@ -840,6 +1274,548 @@ class DetectionEngineManager {
         };
     }
 
+    /**
+     * Check whether a single condition (exclusion or requirement group entry) matches the page
+     * A condition uses the same fields as a detection pattern plus its type, e.g.
+     * {type: 'content', content: 'highcharts', action: 'downweight', weight: 0.5, reason: 'Chart library'}
+     * @param {object} condition - Condition
+     * @param {object} pageData - Page data
+     * @returns {object|null} The match that triggered the condition, or null
+     */
+    matchCondition(condition, pageData) {
+        const { type, action, weight, reason, unless, ...pattern } = condition;
+        const detectionType = type === 'url' ? 'urls' : type;
+        if (!detectionType) return null;
+
+        const result = this.runDetector({
+            name: 'condition',
+            detection: { [detectionType]: [{ ...pattern, confidence: 100 }] }
+        }, pageData);
+
+        return result.matches[0] || null;
+    }
+
+    /**
+     * Check whether an exclusion condition applies to the page
+     * The condition must match and none of its `unless` conditions may: `unless` lists stronger evidence
+     * that cancels the exclusion, e.g. a challenge cookie next to headers any CDN customer gets
+     * @param {object} condition - Exclusion condition with optional `unless` conditions
+     * @param {object} pageData - Page data
+     * @returns {object|null} The match that triggered the exclusion, or null
+     */
+    matchExclusion(condition, pageData) {
+        const conditionMatch = this.matchCondition(condition, pageData);
+        if (!conditionMatch || !Array.isArray(condition.unless)) {
+            return conditionMatch;
+        }
+
+        return condition.unless.some(entry => this.matchCondition(entry, pageData)) ? null : conditionMatch;
+    }
+
+    /**
+     * Build an exclusion record explaining why a detection or pattern was suppressed or down-weighted
+     * @param {string} scope - 'detector' or 'pattern'
+     * @param {object} condition - Exclusion condition that matched
+     * @param {object} conditionMatch - Match returned by matchCondition()
+     * @param {object} extra - Extra fields (type/pattern for pattern-level exclusions)
+     * @returns {object} Exclusion record
+     */
+    createExclusionRecord(scope, condition, conditionMatch, extra = {}) {
+        const action = condition.action === 'downweight' ? 'downweight' : 'suppress';
+
+        return {
+            scope,
+            ...extra,
+            action,
+            weight: action === 'downweight' ? this.getExclusionWeight(condition) : 0,
+            reason: condition.reason || `Excluded by ${condition.type} condition`,
+            matched: conditionMatch.value || conditionMatch.pattern || conditionMatch.name || ''
+        };
+    }
+
+    /**
+     * Get the confidence multiplier of a down-weighting exclusion
+     * @param {object} condition - Exclusion condition
+     * @returns {number} Weight between 0 and 1 (default 0.5)
+     */
+    getExclusionWeight(condition) {
+        const weight = parseFloat(condition.weight);
+        return isNaN(weight) ? 0.5 : Math.min(Math.max(weight, 0), 1);
+    }
+
+    /**
+     * Apply per-pattern `exclude` conditions
+     * Suppressed patterns are removed, down-weighted patterns keep matching with reduced confidence
+     * @param {object} detector - Detector configuration
+     * @param {object} pageData - Page data
+     * @returns {object} {detection, exclusions} - Detection config to match with and applied exclusions
+     */
+    applyPatternExclusions(detector, pageData) {
+        const exclusions = [];
+        const source = detector.detection || {};
+        const hasPatternExclusions = Object.values(source).some(patterns =>
+            Array.isArray(patterns) && patterns.some(pattern => Array.isArray(pattern?.exclude) && pattern.exclude.length > 0)
+        );
+
+        if (!hasPatternExclusions) {
+            return { detection: detector.detection, exclusions };
+        }
+
+        const detection = {};
+        for (const [type, patterns] of Object.entries(source)) {
+            if (!Array.isArray(patterns)) {
+                detection[type] = patterns;
+                continue;
+            }
+
+            detection[type] = [];
+            for (const pattern of patterns) {
+                const { exclude, ...rule } = pattern;
+                let excludedPattern = pattern;
+
+                // Only explain exclusions for patterns that would have matched
+                const conditions = Array.isArray(exclude) && exclude.length > 0 &&
+                    this.matchCondition({ ...rule, type }, pageData) ? exclude : [];
+
+                for (const condition of conditions) {
+                    const conditionMatch = this.matchExclusion(condition, pageData);
+                    if (!conditionMatch) continue;
+
+                    const record = this.createExclusionRecord('pattern', condition, conditionMatch, {
+                        type,
+                        pattern: this.getPatternLabel(pattern)
+                    });
+                    exclusions.push(record);
+
+                    excludedPattern = record.action === 'suppress'
+                        ? null
+                        : { ...pattern, confidence: Math.round((pattern.confidence || 0) * record.weight) };
+                    break;
+                }
+
+                if (excludedPattern) {
+                    detection[type].push(excludedPattern);
+                }
+            }
+        }
+
+        return { detection, exclusions };
+    }
+
+    /**
+     * Evaluate detector-level `exclude` conditions
+     * @param {object} detector - Detector configuration
+     * @param {object} pageData - Page data
+     * @returns {array} Applied exclusion records
+     */
+    getDetectorExclusions(detector, pageData) {
+        if (!Array.isArray(detector.exclude) || detector.exclude.length === 0) {
+            return [];
+        }
+
+        const exclusions = [];
+        for (const condition of detector.exclude) {
+            const conditionMatch = this.matchExclusion(condition, pageData);
+            if (conditionMatch) {
+                exclusions.push(this.createExclusionRecord('detector', condition, conditionMatch, {
+                    type: condition.type
+                }));
+            }
+        }
+
+        return exclusions;
+    }
+
+    /**
+     * Apply detector-level exclusions to an overall confidence
+     * @param {number} confidence - Confidence computed from matches
+     * @param {array} exclusions - Applied exclusion records
+     * @returns {number} Final confidence (0 when suppressed)
+     */
+    applyDetectorExclusions(confidence, exclusions) {
+        return exclusions
+            .filter(exclusion => exclusion.scope === 'detector')
+            .reduce((result, exclusion) => Math.round(result * exclusion.weight), confidence);
+    }
+
+    /**
+     * Evaluate the requirement groups of a detection config
+     * Groups sit next to the pattern arrays:
+     * groups: [{name, min, confidence, conditions: [{type: 'cookies', name: '_abck'}, {type: 'urls', pattern: '/akam/'}]}]
+     * Without `min` every condition is required (AND); with `min` at least that many must match (N-of-M)
+     * @param {object} detection - Detection config
+     * @param {object} pageData - Page data
+     * @returns {array} [{name, satisfied, matched, required, total, conditions, match}]
+     */
+    evaluateRequirementGroups(detection, pageData) {
+        const groups = detection?.groups;
+        if (!Array.isArray(groups) || groups.length === 0) {
+            return [];
+        }
+
+        return groups.map((group, index) => {
+            const { conditions, matchedConditions, required, satisfied, labels } = this.evaluateConditions(group, pageData);
+            const name = group.name || `Group ${index + 1}`;
+
+            return {
+                name,
+                satisfied,
+                matched: matchedConditions.length,
+                required,
+                total: conditions.length,
+                conditions: labels,
+                match: satisfied ? {
+                    type: 'groups',
+                    pattern: name,
+                    value: `${matchedConditions.length} of ${conditions.length}: ${labels.join(', ')}`,
+                    confidence: group.confidence || 100,
+                    description: group.description
+                } : null
+            };
+        });
+    }
+
+    /**
+     * Evaluate the conditions of a requirement group or variant
+     * @param {object} entry - Object with `conditions` and optional `min`
+     * @param {object} pageData - Page data
+     * @returns {object} {conditions, matchedConditions, required, satisfied, labels}
+     */
+    evaluateConditions(entry, pageData) {
+        const conditions = Array.isArray(entry.conditions) ? entry.conditions : [];
+        const matchedConditions = conditions.filter(condition => this.matchCondition(condition, pageData));
+        const required = Math.min(Math.max(parseInt(entry.min) || conditions.length, 1), conditions.length);
+        const satisfied = conditions.length > 0 && matchedConditions.length >= required;
+        const labels = matchedConditions.map(condition => `${condition.type}:${this.getPatternLabel(condition)}`);
+
+        return { conditions, matchedConditions, required, satisfied, labels };
+    }
+
+    /**
+     * Identify which variant (version, edition or mode) of a detected system the page uses
+     * Variants sit next to `detection` and are checked in order, most specific first:
+     * variants: [{id: 'enterprise', name: 'reCAPTCHA Enterprise', conditions: [{type: 'urls', pattern: 'recaptcha/enterprise'}]}]
+     * Conditions use the requirement group semantics (all required unless `min` is set)
+     * @param {object} detector - Detector configuration
+     * @param {object} pageData - Page data
+     * @returns {object|null} {id, name, description, matched} of the first satisfied variant
+     */
+    evaluateVariants(detector, pageData) {
+        if (!Array.isArray(detector.variants)) {
+            return null;
+        }
+
+        for (const variant of detector.variants) {
+            const { satisfied, labels } = this.evaluateConditions(variant, pageData);
+            if (satisfied) {
+                return {
+                    id: variant.id || variant.name,
+                    name: variant.name || variant.id,
+                    description: variant.description,
+                    matched: labels
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the position of a variant in the detector definition (lower is more specific)
+     * @param {object} detector - Detector configuration
+     * @param {object} variant - Variant returned by evaluateVariants()
+     * @returns {number} Index, or Infinity when unknown
+     */
+    getVariantIndex(detector, variant) {
+        const index = (detector.variants || []).findIndex(entry => (entry.id || entry.name) === variant.id);
+        return index === -1 ? Infinity : index;
+    }
+
+    /**
+     * Block a detection when it defines requirement groups and none is satisfied
+     * @param {number} confidence - Confidence computed from matches
+     * @param {array} groups - Evaluated requirement groups
+     * @returns {number} Confidence, or 0 when no group is satisfied
+     */
+    applyRequirementGroups(confidence, groups) {
+        if (groups.length > 0 && !groups.some(group => group.satisfied)) {
+            return 0;
+        }
+        return confidence;
+    }
+
+    /**
+     * Get a readable label for a detection pattern
+     * @param {object} pattern - Detection pattern
+     * @returns {string} Pattern, content, name, selector or API
+     */
+    getPatternLabel(pattern) {
+        if (pattern.code !== undefined) {
+            // Status rules: "403 + Server: AkamaiGHost"
+            const header = pattern.name ? ` + ${pattern.name}${pattern.value ? `: ${pattern.value}` : ''}` : '';
+            return `${pattern.code}${header}`;
+        }
+        return pattern.pattern || pattern.content || pattern.name || pattern.selector || pattern.api || '';
+    }
+
+    /**
+     * Check an HTTP status code against a status rule code
+     * @param {number} statusCode - Main document status code
+     * @param {number|string|array} code - 403, '403', '4xx', '403,429' or [403, 429]
+     * @returns {boolean} True if the status code matches
+     */
+    matchStatusCode(statusCode, code) {
+        if (code === undefined || code === null || code === '') return false;
+
+        const codes = Array.isArray(code) ? code : String(code).split(',');
+        return codes.some(entry => {
+            const pattern = String(entry).trim().toLowerCase();
+            if (/^\dxx$/.test(pattern)) {
+                return Math.floor(statusCode / 100) === parseInt(pattern[0]);
+            }
+            return parseInt(pattern) === statusCode;
+        });
+    }
+
+    /**
+     * Combine match confidences into a detector confidence
+     * Each match is annotated with its contribution (confidence points) to the result
+     * @param {array} matches - Detection matches
+     * @param {string} method - Calculation method override (detector.confidenceMethod)
+     * @returns {number} Overall confidence (0-100)
+     */
+    calculateOverallConfidence(matches, method = null) {
+        // Calculate confidence if ConfidenceManager is available, otherwise use max confidence
+        if (!this.confidenceManager) {
+            return Math.max(...matches.map(m => m.confidence || 0), 0);
+        }
+
+        const { confidence, contributions } = this.confidenceManager.explainConfidence(matches, method);
+        matches.forEach((match, index) => {
+            match.contribution = contributions[index];
+        });
+
+        return confidence;
+    }
+
+    /**
+     * Get the confidence method a detector is scored with
+     * @param {object} detector - Detector configuration
+     * @returns {string} Calculation method
+     */
+    getConfidenceMethod(detector) {
+        const methods = this.confidenceManager ? this.confidenceManager.getCalculationMethods() : [];
+        if (methods.includes(detector.confidenceMethod)) {
+            return detector.confidenceMethod;
+        }
+        return this.confidenceManager ? this.confidenceManager.calculationMethod : 'max';
+    }
+
+    /**
+     * Get the values a `network` rule is matched against
+     * @param {object} network - pageData.network
+     * @param {string} signal - 'protocol', 'alt-svc', 'server-timing', 'nel', 'report-to' or 'reporting-endpoints'
+     * @returns {array} Signal values (strings)
+     */
+    getNetworkSignalValues(network, signal) {
+        switch ((signal || '').toLowerCase()) {
+            case 'protocol':
+                return network.protocol ? [network.protocol] : [];
+            case 'alt-svc':
+                return (network.altSvc || []).map(entry => `${entry.protocol}=${entry.authority}`);
+            case 'server-timing':
+                return (network.serverTiming || []).map(entry => entry.description ? `${entry.name}: ${entry.description}` : entry.name);
+            case 'nel':
+                return network.raw?.nel ? [network.raw.nel] : [];
+            case 'report-to':
+                return (network.reportTo || []).flatMap(group => [group.group, ...group.endpoints]);
+            case 'reporting-endpoints':
+                return Object.values(network.reportingEndpoints || {});
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Build the list of responses header rules can be matched against
+     * @param {string} url - Page URL (main frame)
+     * @param {object} headers - Main frame headers {lowercase name: value}
+     * @param {array} subresourceHeaders - Subresource log [{url, type, headers}]
+     * @returns {array} Header sources [{url, type, headers}], main frame first
+     */
+    getHeaderSources(url, headers = {}, subresourceHeaders = []) {
+        const sources = [];
+
+        if (headers && Object.keys(headers).length > 0) {
+            sources.push({ url: url, type: 'main_frame', headers: headers });
+        }
+
+        for (const entry of subresourceHeaders) {
+            if (entry && entry.headers && Object.keys(entry.headers).length > 0) {
+                sources.push({ url: entry.url || '', type: entry.type || 'other', headers: entry.headers });
+            }
+        }
+
+        return sources;
+    }
+
+    /**
+     * Check whether a header pattern applies to a given response
+     * Scopes: 'main_frame' (default), 'any' (every captured request),
+     * 'url' (requests whose URL contains scopeUrl)
+     * @param {object} source - Header source {url, type, headers}
+     * @param {object} headerPattern - Header rule from detector JSON
+     * @returns {boolean} True if the pattern should be checked against this response
+     */
+    isHeaderSourceInScope(source, headerPattern) {
+        const scope = headerPattern.scope || 'main_frame';
+
+        switch (scope) {
+            case 'any':
+                return true;
+            case 'url':
+                return this.matchPattern(source.url, headerPattern.scopeUrl);
+            case 'main_frame':
+            default:
+                return source.type === 'main_frame';
+        }
+    }
+
+    /**
+     * Match a content pattern against an external resource, memoized by the resource's content hash
+     * Resources without a hash (HAR imports) are matched directly
+     * @param {object} resource - External resource {content, hash}
+     * @param {string} pattern - Pattern to search for
+     * @param {object} options - Matching options
+     * @returns {boolean} - Whether pattern matches
+     */
+    matchResourcePattern(resource, pattern, options = {}) {
+        if (!resource.hash || (!options.regex && this.patternIndex?.has(pattern))) {
+            return this.matchContentPattern(resource.content, pattern, options, resource.hash);
+        }
+
+        const key = `${resource.hash}\u0000${pattern}\u0000${options.regex === true}${options.wholeWord === true}${options.caseSensitive === true}`;
+        if (!this.resourceMatchCache.has(key)) {
+            // Bounded: drop everything rather than track usage, entries are cheap to recompute
+            if (this.resourceMatchCache.size >= DetectionEngineManager.RESOURCE_MATCH_CACHE_SIZE) {
+                this.resourceMatchCache.clear();
+            }
+            this.resourceMatchCache.set(key, this.matchPattern(resource.content, pattern, options));
+        }
+        return this.resourceMatchCache.get(key);
+    }
+
+    /**
+     * Match a content pattern against a haystack, using the pattern index for literal patterns
+     * Index hits are case-insensitive substrings; case-sensitive and whole-word patterns are verified
+     * @param {string} text - Text to search in
+     * @param {string} pattern - Pattern to search for
+     * @param {object} options - Matching options
+     * @param {string} hash - Content hash to reuse index hits across scans (external resources)
+     * @returns {boolean} - Whether pattern matches
+     */
+    matchContentPattern(text, pattern, options = {}, hash = null) {
+        if (options.regex || !text || !this.patternIndex?.has(pattern)) {
+            return this.matchPattern(text, pattern, options);
+        }
+
+        if (!this.getPatternHits(text, hash).has(pattern.toLowerCase())) {
+            return false;
+        }
+        return options.caseSensitive || options.wholeWord ? this.matchPattern(text, pattern, options) : true;
+    }
+
+    /**
+     * Get the indexed patterns a text contains, scanning it at most once per detectOnPage() call
+     * @param {string} text - Haystack
+     * @param {string} hash - Content hash, results are then kept across scans
+     * @returns {Set} Lowercased patterns found
+     */
+    getPatternHits(text, hash = null) {
+        if (hash && this.resourceScanCache.has(hash)) {
+            return this.resourceScanCache.get(hash);
+        }
+        if (!hash && this.scanHits.has(text)) {
+            return this.scanHits.get(text);
+        }
+
+        const hits = this.patternIndex.scan(text);
+        if (hash) {
+            if (this.resourceScanCache.size >= DetectionEngineManager.RESOURCE_SCAN_CACHE_SIZE) {
+                this.resourceScanCache.clear();
+            }
+            this.resourceScanCache.set(hash, hits);
+        } else {
+            this.scanHits.set(text, hits);
+        }
+        return hits;
+    }
+
+    /**
+     * Get a compiled regex from the cache
+     * @param {string} source - Regex source
+     * @param {string} flags - Regex flags (no 'g': cached regexes must not keep lastIndex state)
+     * @returns {RegExp|null} Compiled regex, null if the pattern is invalid
+     */
+    getRegExp(source, flags = '') {
+        const key = `${flags}/${source}`;
+        if (this.regexCache.has(key)) {
+            return this.regexCache.get(key);
+        }
+
+        let compiled = null;
+        try {
+            compiled = new RegExp(source, flags);
+        } catch (e) {
+            console.warn('Invalid regex pattern:', source, e);
+        }
+
+        if (this.regexCache.size >= DetectionEngineManager.REGEX_CACHE_SIZE) {
+            this.regexCache.clear();
+        }
+        this.regexCache.set(key, compiled);
+        return compiled;
+    }
+
+    /**
+     * Get the compiled regex of a rule pattern, unless the pattern is disabled
+     * New patterns are checked with RegexSafety first (rules saved before validation existed)
+     * @param {string} pattern - Pattern as written in the rule (disabled patterns are keyed by it)
+     * @param {string} source - Regex source to compile (lowercased for case-insensitive rules)
+     * @param {string} flags - Regex flags
+     * @returns {RegExp|null} Compiled regex, null if invalid or disabled
+     */
+    getRuleRegExp(pattern, source, flags) {
+        if (this.disabledPatterns.has(pattern)) {
+            return null;
+        }
+
+        if (!this.regexCache.has(`${flags}/${source}`) && typeof RegexSafety !== 'undefined') {
+            const validation = RegexSafety.validate(pattern);
+            if (!validation.valid) {
+                this.disablePattern(pattern, validation.error);
+                return null;
+            }
+        }
+
+        return this.getRegExp(source, flags);
+    }
+
+    /**
+     * Disable a rule regex and record why (reported in lastScanStats.disabledPatterns)
+     * @param {string} pattern - Pattern as written in the rule
+     * @param {string} reason - Validation error or time budget overrun
+     * @param {number} time - Duration of the offending test in ms
+     */
+    disablePattern(pattern, reason, time = null) {
+        if (this.disabledPatterns.has(pattern)) {
+            return;
+        }
+
+        this.disabledPatterns.set(pattern, { pattern, detector: this.currentDetectorName, reason, time });
+        console.warn(`⚠️ Regex disabled${this.currentDetectorName ? ` (${this.currentDetectorName})` : ''}: ${pattern} - ${reason}`);
+    }
+
     /**
      * Helper function to match pattern with options (regex, wholeWord, caseSensitive)
      * @param {string} text - Text to search in
@@ -860,22 +1836,24 @@ class DetectionEngineManager {
         const textToSearch = caseSensitive ? text : text.toLowerCase();
         const patternToMatch = caseSensitive ? pattern : pattern.toLowerCase();
 
-        // Regex matching
+        // Regex matching (compiled once and checked against the time budget, see getRuleRegExp)
         if (regex) {
-            try {
-                const flags = caseSensitive ? 'g' : 'gi';
-                const regexPattern = new RegExp(patternToMatch, flags);
-                return regexPattern.test(textToSearch);
-            } catch (e) {
-                console.warn('Invalid regex pattern:', patternToMatch, e);
-                return false;
+            const regexPattern = this.getRuleRegExp(pattern, patternToMatch, caseSensitive ? '' : 'i');
+            if (!regexPattern) return false;
+
+            const start = performance.now();
+            const matched = regexPattern.test(textToSearch);
+            const elapsed = performance.now() - start;
+            if (elapsed > DetectionEngineManager.REGEX_TIME_BUDGET_MS) {
+                this.disablePattern(pattern, `Took ${Math.round(elapsed)} ms on ${textToSearch.length} characters (budget ${DetectionEngineManager.REGEX_TIME_BUDGET_MS} ms)`, Math.round(elapsed));
             }
+            return matched;
         }
 
         // Whole word matching
         if (wholeWord) {
-            const wordBoundaryRegex = new RegExp(`\\b${this.escapeRegExp(patternToMatch)}\\b`, caseSensitive ? 'g' : 'gi');
-            return wordBoundaryRegex.test(textToSearch);
+            const wordBoundaryRegex = this.getRegExp(`\\b${this.escapeRegExp(patternToMatch)}\\b`, caseSensitive ? '' : 'i');
+            return wordBoundaryRegex ? wordBoundaryRegex.test(textToSearch) : false;
         }
 
         // Simple includes matching
@@ -891,6 +1869,126 @@ class DetectionEngineManager {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
+    /**
+     * Extract protocol-level edge signals from main document response headers
+     * @param {object} headers - Main document headers {lowercase name: value}
+     * @param {string} protocol - Negotiated protocol (nextHopProtocol, HAR httpVersion or status line)
+     * @returns {object} {protocol, http3, altSvc, serverTiming, nel, reportTo, reportingEndpoints, raw}
+     */
+    static extractNetworkInfo(headers = {}, protocol = '') {
+        const raw = {};
+        ['alt-svc', 'server-timing', 'nel', 'report-to', 'reporting-endpoints'].forEach(name => {
+            if (headers[name]) raw[name] = headers[name];
+        });
+
+        // Split a structured header list on commas outside quotes
+        const splitList = (value = '') => (value.match(/(?:[^,"]|"[^"]*")+/g) || []).map(part => part.trim()).filter(Boolean);
+        const unquote = (value = '') => value.trim().replace(/^"(.*)"$/, '$1');
+        const parseJson = (value) => {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        };
+
+        // alt-svc: h3=":443"; ma=86400, h2=":443"; ma=86400
+        const altSvc = splitList(raw['alt-svc']).filter(entry => entry !== 'clear').map(entry => {
+            const [service, ...params] = entry.split(';');
+            const [serviceProtocol, authority = ''] = service.split('=');
+            const maxAge = params.map(param => param.trim()).find(param => param.startsWith('ma='));
+            return {
+                protocol: serviceProtocol.trim(),
+                authority: unquote(authority),
+                maxAge: maxAge ? parseInt(maxAge.slice(3)) : undefined
+            };
+        });
+
+        // server-timing: cfRequestDuration;dur=12.3, ak_p; desc="..."
+        const serverTiming = splitList(raw['server-timing']).map(entry => {
+            const [name, ...params] = entry.split(';');
+            const timing = { name: name.trim() };
+            params.forEach(param => {
+                const separator = param.indexOf('=');
+                const key = separator > 0 ? param.slice(0, separator).trim() : param.trim();
+                const value = separator > 0 ? param.slice(separator + 1) : '';
+                if (key === 'dur') timing.duration = parseFloat(value);
+                if (key === 'desc') timing.description = unquote(value);
+            });
+            return timing;
+        });
+
+        // report-to may carry several comma separated JSON objects (anything else in the list is ignored)
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const reportTo = raw['report-to'] ? (parseJson(`[${raw['report-to']}]`) || []).filter(isObject).map(group => ({
+            group: typeof group.group === 'string' ? group.group : 'default',
+            maxAge: group.max_age,
+            endpoints: Array.isArray(group.endpoints)
+                ? group.endpoints.filter(isObject).map(endpoint => endpoint.url).filter(url => typeof url === 'string' && url)
+                : []
+        })) : [];
+
+        // reporting-endpoints: default="https://...", csp="https://..."
+        const reportingEndpoints = {};
+        splitList(raw['reporting-endpoints']).forEach(entry => {
+            const separator = entry.indexOf('=');
+            if (separator > 0) {
+                reportingEndpoints[entry.slice(0, separator).trim()] = unquote(entry.slice(separator + 1));
+            }
+        });
+
+        const normalizedProtocol = /h3|http\/3/i.test(protocol) ? 'h3' :
+            /h2|http\/2/i.test(protocol) ? 'h2' :
+            /http\/1\.0/i.test(protocol) ? 'http/1.0' :
+            protocol ? 'http/1.1' : '';
+
+        return {
+            protocol: normalizedProtocol,
+            http3: normalizedProtocol === 'h3' || altSvc.some(entry => /^h3/.test(entry.protocol)),
+            altSvc,
+            serverTiming,
+            nel: raw.nel ? parseJson(raw.nel) : null,
+            reportTo,
+            reportingEndpoints,
+            raw
+        };
+    }
+
+    /**
+     * Get the route a URL belongs to, the unit detections are cached and saved to History by
+     * Hash routers (#/login, #!/login) change the route, query strings and in-page anchors (#section) don't
+     * @param {string} url - Page URL
+     * @returns {object} {key: origin + path, path: pathname plus hash route}
+     */
+    static getRoute(url) {
+        try {
+            const urlObj = new URL(url);
+            const hashRoute = /^#!?\//.test(urlObj.hash) ? urlObj.hash.replace(/\?.*$/, '') : '';
+            const path = urlObj.pathname + hashRoute;
+            return { key: urlObj.origin + path, path };
+        } catch (error) {
+            return { key: url || '', path: url || '' };
+        }
+    }
+
+    /**
+     * Get the detection cache key for a URL (hash of its route)
+     * @param {string} url - Page URL
+     * @returns {string} Storage key
+     */
+    static getStorageKey(url) {
+        return Utils.hashUrl(DetectionEngineManager.getRoute(url).key);
+    }
+
+    /**
+     * Whether a scan timed out or stopped at its budget (results are incomplete)
+     * @param {object} scanStats - Scan statistics (lastScanStats or the offscreen response's scanStats)
+     * @returns {boolean} True if some detectors were not matched
+     */
+    static isIncompleteScan(scanStats) {
+        return !!(scanStats && (scanStats.timedOut || scanStats.partial));
+    }
+
     /**
      * Get stored detection for a URL
      * @param {string} url - Page URL
@@ -900,7 +1998,7 @@ class DetectionEngineManager {
         try {
             const result = await chrome.storage.local.get([DetectionEngineManager.STORAGE_KEY]);
             const storage = result[DetectionEngineManager.STORAGE_KEY] || {};
-            const urlHash = Utils.hashUrl(url);
+            const urlHash = DetectionEngineManager.getStorageKey(url);
             const stored = storage[urlHash];
 
             if (stored) {
@@ -941,6 +2039,11 @@ class DetectionEngineManager {
                 return {
                     data: storedData,
                     detectionResults: storedData.detectionResults || [],
+                    challengeState: storedData.challengeState || null,
+                    navigation: storedData.navigation || null,
+                    network: storedData.network || null,
+                    timeline: storedData.timeline || [],
+                    scanStats: storedData.scanStats || null,
                     timestamp: storedData.timestamp,
                     expiry: storedData.expiry,
                     storageExpiry: storedData.expiry,
@@ -971,7 +2074,7 @@ class DetectionEngineManager {
         try {
             const result = await chrome.storage.local.get([DetectionEngineManager.STORAGE_KEY]);
             const storage = result[DetectionEngineManager.STORAGE_KEY] || {};
-            const urlHash = Utils.hashUrl(url);
+            const urlHash = DetectionEngineManager.getStorageKey(url);
 
             // Extract detection methods from results
             const detectionMethods = {
@@ -1015,9 +2118,17 @@ class DetectionEngineManager {
                 detectionResults: detectionResults,
                 detectionMethods: detectionMethods,
                 timestamp: Date.now(),
-                expiry: Date.now() + DetectionEngineManager.EXPIRY_MS,
+                expiry: Date.now() + (DetectionEngineManager.isIncompleteScan(pageData.scanStats)
+                    ? DetectionEngineManager.PARTIAL_EXPIRY_MS
+                    : DetectionEngineManager.EXPIRY_MS),
                 confidence: overallConfidence,
                 detectionCount: detectionResults.length,
+                challengeState: pageData.challengeState || null,
+                navigation: pageData.navigation || null,
+                network: pageData.network || null,
+                timeline: pageData.timeline || [],
+                scanStats: pageData.scanStats || null,
+                route: pageData.route || null,
                 fromStorage: false
             };
 
@@ -1,8 +1,17 @@
 class DetectorManager {
+    // Revisions of every detector, stored apart from the detectors: {'category/detectorName': [revision]}
+    static HISTORY_STORAGE_KEY = 'scrapfly_detector_history';
+    // Revisions kept per detector, oldest dropped first
+    static MAX_REVISIONS = 20;
+
     constructor(categoryManager) {
         this.categoryManager = categoryManager || new CategoryManager();
         this.detectors = {};
         this.initialized = false;
+        // Reason the last importDetectors() call failed
+        this.lastImportError = null;
+        // Remote detector pack subscriptions
+        this.ruleFeedManager = typeof RuleFeedManager !== 'undefined' ? new RuleFeedManager(this) : null;
     }
 
     /**
@@ -18,6 +27,11 @@ class DetectorManager {
                 await this.categoryManager.initialize();
             }
 
+            // Detector files, imports and edited rules are validated against detectors/schema.json
+            if (typeof DetectorSchema !== 'undefined') {
+                await DetectorSchema.load();
+            }
+
             // First, try to load from storage
             const storageLoaded = await this.loadFromStorage();
 
@@ -78,6 +92,20 @@ class DetectorManager {
      * @param {string} detectorName - Detector name (cloudflare, hcaptcha, etc.)
      */
     async loadDetectorFile(categoryName, detectorName) {
+        const detector = await this.readDetectorFile(categoryName, detectorName);
+        if (detector) {
+            this.detectors[categoryName][detectorName] = detector;
+            console.log(`Successfully loaded detector: ${categoryName}/${detectorName}`);
+        }
+    }
+
+    /**
+     * Read a built-in detector file without changing the loaded detectors
+     * @param {string} categoryName - Category name
+     * @param {string} detectorName - Detector name
+     * @returns {Promise<object|null>} Normalized detector, or null when the file is missing or invalid
+     */
+    async readDetectorFile(categoryName, detectorName) {
         try {
             const detectorPath = `detectors/${categoryName}/${detectorName}.json`;
             console.log(`Loading detector: ${detectorPath}`);
@@ -86,30 +114,53 @@ class DetectorManager {
 
             if (!response.ok) {
                 console.warn(`Detector file not found: ${detectorPath} (${response.status})`);
-                return;
+                return null;
             }
 
             const detectorData = await response.json();
-            // Default enabled to true if not specified
-            if (detectorData.enabled === undefined) {
-                detectorData.enabled = true;
-            }
-            // Update lastUpdated to include time if it doesn't already
-            if (detectorData.lastUpdated && !detectorData.lastUpdated.includes(':')) {
-                // Old format (YYYY-MM-DD), add default time
-                detectorData.lastUpdated = `${detectorData.lastUpdated} 00:00:00`;
+            const schemaIssues = this.getSchemaIssues(detectorData);
+            if (schemaIssues.length > 0) {
+                console.warn(`Skipping invalid detector ${detectorPath}:\n${DetectorSchema.formatIssues(schemaIssues, 10)}`);
+                return null;
             }
-            this.detectors[categoryName][detectorName] = detectorData;
-            console.log(`Successfully loaded detector: ${categoryName}/${detectorName}`);
 
-            console.log(`Successfully loaded detector: ${categoryName}/${detectorName}`);
+            return this.normalizeDetectorData(detectorData);
 
         } catch (error) {
             console.error(`Failed to load detector ${categoryName}/${detectorName}:`, error);
+            return null;
         }
     }
 
 
+    /**
+     * Validate a detector against the detector schema
+     * @param {object} detectorData - Detector configuration
+     * @returns {array} [{path, error}] for each invalid field (empty when DetectorSchema is not loaded)
+     */
+    getSchemaIssues(detectorData) {
+        return typeof DetectorSchema !== 'undefined' ? DetectorSchema.validateDetector(detectorData) : [];
+    }
+
+    /**
+     * Apply defaults to a freshly parsed detector file
+     * Shared with loaders that read detector files outside the extension (Tools/)
+     * @param {object} detectorData - Parsed detector JSON
+     * @returns {object} The same detector object with defaults applied
+     */
+    normalizeDetectorData(detectorData) {
+        // Default enabled to true if not specified
+        if (detectorData.enabled === undefined) {
+            detectorData.enabled = true;
+        }
+        // Update lastUpdated to include time if it doesn't already
+        if (detectorData.lastUpdated && !detectorData.lastUpdated.includes(':')) {
+            // Old format (YYYY-MM-DD), add default time
+            detectorData.lastUpdated = `${detectorData.lastUpdated} 00:00:00`;
+        }
+        return detectorData;
+    }
+
     /**
      * Save all detector data to Chrome storage as 'scrapfly_detectors'
      */
@@ -380,12 +431,29 @@ class DetectorManager {
      * @returns {Promise<boolean>} Success status
      */
     async importDetectors(data, merge = false) {
+        this.lastImportError = null;
         try {
             // Validate the data format
             if (!data.detectors || typeof data.detectors !== 'object') {
                 throw new Error('Invalid detector data format');
             }
 
+            // Reject malformed detectors (wrong field types, unknown methods, missing names) with field-level errors
+            if (typeof DetectorSchema !== 'undefined') {
+                const schemaIssues = DetectorSchema.validateDetectors(data.detectors);
+                if (schemaIssues.length > 0) {
+                    throw new Error(`Invalid detectors:\n${DetectorSchema.formatIssues(schemaIssues)}`);
+                }
+            }
+
+            // Reject rulesets with invalid or backtracking-prone regexes before anything is merged
+            if (typeof RegexSafety !== 'undefined') {
+                const regexIssues = RegexSafety.validateDetectors(data.detectors);
+                if (regexIssues.length > 0) {
+                    throw new Error(`Unsafe regex patterns:\n${RegexSafety.formatIssues(regexIssues)}`);
+                }
+            }
+
             if (merge) {
                 // Merge with existing detectors
                 for (const [category, categoryDetectors] of Object.entries(data.detectors)) {
@@ -417,6 +485,7 @@ class DetectorManager {
             return true;
         } catch (error) {
             console.error('Failed to import detectors:', error);
+            this.lastImportError = error.message;
             return false;
         }
     }
@@ -439,6 +508,52 @@ class DetectorManager {
         }
     }
 
+    /**
+     * Reset a single detector to its built-in JSON file, keeping every other detector as it is
+     * @param {string} categoryName - Category name
+     * @param {string} detectorName - Detector name
+     * @returns {Promise<boolean>} Success status (false when the detector has no built-in file)
+     */
+    async resetDetectorToBuiltIn(categoryName, detectorName) {
+        if (!this.isBuiltInDetector(categoryName, detectorName)) {
+            return false;
+        }
+
+        try {
+            if (!this.detectors[categoryName]) {
+                this.detectors[categoryName] = {};
+            }
+            const previous = this.detectors[categoryName][detectorName];
+            delete this.detectors[categoryName][detectorName];
+
+            await this.loadDetectorFile(categoryName, detectorName);
+            const builtIn = this.detectors[categoryName][detectorName];
+            if (!builtIn) {
+                // File missing or invalid, keep the current version
+                if (previous) this.detectors[categoryName][detectorName] = previous;
+                return false;
+            }
+
+            await this.saveDetectorsToStorage();
+            await this.recordRevision(categoryName, detectorName, 'reset', previous, builtIn);
+            console.log(`Detector ${categoryName}/${detectorName} reset to built-in`);
+            return true;
+        } catch (error) {
+            console.error('Failed to reset detector to built-in:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a detector ships with the extension (listed in detectors/index.json)
+     * @param {string} categoryName - Category name
+     * @param {string} detectorName - Detector name
+     * @returns {boolean} True if a built-in file exists for it
+     */
+    isBuiltInDetector(categoryName, detectorName) {
+        return (this.categoryManager.getCategoryDetectors(categoryName) || []).includes(detectorName);
+    }
+
     /**
      * Clear all custom detectors (keep defaults)
      * @returns {Promise<boolean>} Success status
@@ -496,17 +611,12 @@ class DetectorManager {
             }
 
             // Add timestamp in local time: YYYY-MM-DD HH:MM:SS
-            const now = new Date();
-            const year = now.getFullYear();
-            const month = String(now.getMonth() + 1).padStart(2, '0');
-            const day = String(now.getDate()).padStart(2, '0');
-            const hours = String(now.getHours()).padStart(2, '0');
-            const minutes = String(now.getMinutes()).padStart(2, '0');
-            const seconds = String(now.getSeconds()).padStart(2, '0');
-            detector.lastUpdated = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+            detector.lastUpdated = DetectorManager.formatTimestamp();
 
+            const previous = this.detectors[category][name];
             this.detectors[category][name] = detector;
             await this.saveDetectorsToStorage();
+            await this.recordRevision(category, name, 'add', previous, detector);
 
             console.log(`Detector ${name} added to ${category}`);
             return true;
@@ -516,6 +626,215 @@ class DetectorManager {
         }
     }
 
+    /**
+     * Replace an existing detector with its edited version (Rules.saveRule)
+     * @param {string} category - Detector category
+     * @param {string} name - Detector name
+     * @param {Object} detector - Edited detector configuration
+     * @returns {Promise<void>} Rejects when the detectors could not be saved
+     */
+    async updateDetector(category, name, detector) {
+        if (!this.detectors[category]) {
+            this.detectors[category] = {};
+        }
+
+        const previous = this.detectors[category][name];
+        this.detectors[category][name] = detector;
+        await this.saveDetectorsToStorage();
+        await this.recordRevision(category, name, 'edit', previous, detector);
+    }
+
+    /**
+     * Delete a detector
+     * @param {string} category - Detector category
+     * @param {string} name - Detector name
+     * @returns {Promise<boolean>} False if the detector does not exist
+     */
+    async deleteDetector(category, name) {
+        const previous = this.detectors[category]?.[name];
+        if (!previous) return false;
+
+        delete this.detectors[category][name];
+        await this.saveDetectorsToStorage();
+        await this.recordRevision(category, name, 'delete', previous, null);
+        return true;
+    }
+
+    /**
+     * Load the revision history of every detector from Chrome storage
+     * @returns {Promise<object>} {'category/detectorName': [{id, timestamp, action, detector, changes}]}
+     */
+    async loadHistory() {
+        try {
+            const result = await chrome.storage.local.get([DetectorManager.HISTORY_STORAGE_KEY]);
+            const data = result[DetectorManager.HISTORY_STORAGE_KEY];
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Failed to load detector history:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get the revisions of a detector
+     * @param {string} category - Detector category
+     * @param {string} name - Detector name
+     * @returns {Promise<array>} Revisions, newest first
+     */
+    async getDetectorHistory(category, name) {
+        const history = await this.loadHistory();
+        return (history[`${category}/${name}`] || []).slice().reverse();
+    }
+
+    /**
+     * Get the detectors that have a history but no longer exist (deleted, restorable from their history)
+     * @returns {Promise<array>} [{category, detectorName, name, deletedAt}], most recently deleted first
+     */
+    async getDeletedDetectors() {
+        const history = await this.loadHistory();
+
+        return Object.entries(history)
+            .map(([key, revisions]) => {
+                const separator = key.indexOf('/');
+                const category = key.slice(0, separator);
+                const detectorName = key.slice(separator + 1);
+                const latest = revisions[revisions.length - 1];
+                const lastVersion = [...revisions].reverse().find(revision => revision.detector)?.detector;
+                return { category, detectorName, name: lastVersion?.name || detectorName, deletedAt: latest?.timestamp };
+            })
+            .filter(entry => !this.getDetector(entry.category, entry.detectorName))
+            .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+    }
+
+    /**
+     * Record a change of a detector as a revision
+     * The first revision of a detector that already existed also stores the version before the change,
+     * so an edited built-in can be restored to its original state
+     * action: 'add', 'edit', 'delete', 'restore', 'reset' or 'feed' ('original' for that first stored version)
+     * @param {string} category - Detector category
+     * @param {string} name - Detector name
+     * @param {string} action - What changed the detector
+     * @param {object} previous - Detector before the change (undefined when added)
+     * @param {object} current - Detector after the change (null when deleted)
+     * @param {object} extra - Extra revision fields (restoredFrom, feed)
+     */
+    async recordRevision(category, name, action, previous, current, extra = {}) {
+        try {
+            const history = await this.loadHistory();
+            const key = `${category}/${name}`;
+            const revisions = history[key] || [];
+            const clone = detector => detector ? JSON.parse(JSON.stringify(detector)) : null;
+            const createRevision = (revisionAction, detector, changes) => ({
+                id: `rev-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                timestamp: new Date().toISOString(),
+                action: revisionAction,
+                detector: clone(detector),
+                changes
+            });
+
+            if (revisions.length === 0 && previous) {
+                revisions.push(createRevision('original', previous, []));
+            }
+            revisions.push({ ...createRevision(action, current, DetectorManager.diffDetectors(previous, current)), ...extra });
+            // Trim the oldest revisions, but keep the original version of an edited built-in
+            const keepOriginal = revisions[0].action === 'original' && revisions.length > DetectorManager.MAX_REVISIONS;
+            history[key] = keepOriginal
+                ? [revisions[0], ...revisions.slice(-(DetectorManager.MAX_REVISIONS - 1))]
+                : revisions.slice(-DetectorManager.MAX_REVISIONS);
+
+            await chrome.storage.local.set({
+                [DetectorManager.HISTORY_STORAGE_KEY]: JSON.stringify(history)
+            });
+        } catch (error) {
+            // History is best effort, the change itself is already saved
+            console.error('Failed to record detector revision:', error);
+        }
+    }
+
+    /**
+     * Restore a detector to the version stored in one of its revisions
+     * @param {string} category - Detector category
+     * @param {string} name - Detector name
+     * @param {string} revisionId - Revision id
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreRevision(category, name, revisionId) {
+        try {
+            const revisions = (await this.loadHistory())[`${category}/${name}`] || [];
+            const revision = revisions.find(entry => entry.id === revisionId);
+            if (!revision?.detector) {
+                return false;
+            }
+
+            if (!this.detectors[category]) {
+                this.detectors[category] = {};
+            }
+            const previous = this.detectors[category][name];
+            const restored = { ...JSON.parse(JSON.stringify(revision.detector)), lastUpdated: DetectorManager.formatTimestamp() };
+
+            this.detectors[category][name] = restored;
+            await this.saveDetectorsToStorage();
+            await this.recordRevision(category, name, 'restore', previous, restored, { restoredFrom: revision.timestamp });
+
+            console.log(`Detector ${category}/${name} restored to revision ${revisionId}`);
+            return true;
+        } catch (error) {
+            console.error('Failed to restore detector revision:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Field-level differences between two versions of a detector (lastUpdated is ignored)
+     * @param {object} before - Previous version
+     * @param {object} after - New version
+     * @returns {array} [{path, before, after}], values are JSON text truncated to 200 characters
+     */
+    static diffDetectors(before, after) {
+        const changes = [];
+        if (!before || !after) return changes;
+
+        const summarize = value => {
+            if (value === undefined) return null;
+            const text = JSON.stringify(value);
+            return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+        };
+        const isContainer = value => value !== null && typeof value === 'object';
+
+        const walk = (a, b, path) => {
+            if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+            if (isContainer(a) && isContainer(b) && Array.isArray(a) === Array.isArray(b)) {
+                const keys = Array.isArray(a)
+                    ? Array.from({ length: Math.max(a.length, b.length) }, (_, index) => index)
+                    : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+                keys.forEach(key => walk(a[key], b[key], Array.isArray(a) ? `${path}[${key}]` : (path ? `${path}.${key}` : key)));
+                return;
+            }
+
+            changes.push({ path: path || '(detector)', before: summarize(a), after: summarize(b) });
+        };
+
+        const withoutTimestamp = detector => Object.fromEntries(Object.entries(detector).filter(([key]) => key !== 'lastUpdated'));
+        walk(withoutTimestamp(before), withoutTimestamp(after), '');
+        return changes;
+    }
+
+    /**
+     * Local timestamp in the lastUpdated format
+     * @param {Date} date - Date to format
+     * @returns {string} YYYY-MM-DD HH:MM:SS
+     */
+    static formatTimestamp(date = new Date()) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        const seconds = String(date.getSeconds()).padStart(2, '0');
+        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+    }
+
     /**
      * Get the CategoryManager instance
      * @returns {CategoryManager} The category manager instance
@@ -523,6 +842,14 @@ class DetectorManager {
     getCategoryManager() {
         return this.categoryManager;
     }
+
+    /**
+     * Get the RuleFeedManager instance
+     * @returns {RuleFeedManager|null} The rule feed manager, null where RuleFeedManager is not loaded
+     */
+    getRuleFeedManager() {
+        return this.ruleFeedManager;
+    }
 }
 
 // Export for use in other scripts
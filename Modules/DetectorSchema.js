@@ -0,0 +1,234 @@
+/**
+ * DetectorSchema - Validates detectors against detectors/schema.json
+ * The schema is the formal description of the detector format: top-level fields, the fields of each
+ * detection method (including nameRegex / valueRegex / checkScripts flags), groups, variants, states
+ * and exclusions. DetectorManager.loadDetectorFile() skips files that fail it, importDetectors() and
+ * Rules.saveRule() reject detectors that fail it, so malformed data never reaches storage
+ *
+ * Implements the JSON Schema (draft-07) keywords the schema uses: type, enum, const, required,
+ * properties, additionalProperties, items, minItems, minimum, maximum, minLength, allOf, if/then, $ref
+ */
+class DetectorSchema {
+    static SCHEMA_PATH = 'detectors/schema.json';
+    // Parsed schema, set by load() (or directly by loaders outside the extension)
+    static schema = null;
+
+    /**
+     * Load the schema shipped with the extension
+     * @returns {Promise<boolean>} True if the schema is available
+     */
+    static async load() {
+        if (DetectorSchema.schema) return true;
+
+        try {
+            const response = await fetch(chrome.runtime.getURL(DetectorSchema.SCHEMA_PATH));
+            if (!response.ok) {
+                console.warn(`Detector schema not found: ${DetectorSchema.SCHEMA_PATH} (${response.status})`);
+                return false;
+            }
+            DetectorSchema.schema = await response.json();
+            return true;
+        } catch (error) {
+            console.warn('Failed to load detector schema, detectors will not be validated:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate a detector
+     * @param {object} detector - Detector configuration
+     * @returns {array} [{path, error}] for each invalid field (empty when valid or the schema is not loaded)
+     */
+    static validateDetector(detector) {
+        const issues = [];
+        if (DetectorSchema.schema) {
+            DetectorSchema.check(detector, DetectorSchema.schema, '', issues);
+        }
+        return issues;
+    }
+
+    /**
+     * Validate every detector of a detector set
+     * @param {object} detectors - Detector configurations organized by category
+     * @returns {array} [{category, detector, path, error}]
+     */
+    static validateDetectors(detectors = {}) {
+        const issues = [];
+        for (const [category, categoryDetectors] of Object.entries(detectors)) {
+            if (!categoryDetectors || typeof categoryDetectors !== 'object' || Array.isArray(categoryDetectors)) {
+                issues.push({ category, detector: category, path: '(category)', error: 'must be an object of detectors' });
+                continue;
+            }
+            for (const [key, detector] of Object.entries(categoryDetectors)) {
+                DetectorSchema.validateDetector(detector).forEach(issue => {
+                    issues.push({ category, detector: (typeof detector?.name === 'string' && detector.name) || key, ...issue });
+                });
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Format validation issues for a notification or a log line
+     * @param {array} issues - Issues from validateDetector() / validateDetectors()
+     * @param {number} limit - Maximum issues listed
+     * @returns {string} One line per issue
+     */
+    static formatIssues(issues, limit = 3) {
+        const lines = issues.slice(0, limit).map(issue =>
+            `${issue.detector ? `${issue.detector} ` : ''}${issue.path}: ${issue.error}`
+        );
+        if (issues.length > limit) {
+            lines.push(`…and ${issues.length - limit} more`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Check a value against a (sub)schema, collecting issues
+     * @param {*} value - Value to check
+     * @param {object} schema - Schema node
+     * @param {string} path - Field path of the value ('' for the detector itself)
+     * @param {array} issues - Collected {path, error}
+     */
+    static check(value, schema, path, issues) {
+        schema = DetectorSchema.resolve(schema);
+        const at = path || '(detector)';
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => DetectorSchema.isType(value, type))) {
+                issues.push({ path: at, error: `must be ${types.join(' or ')}, got ${DetectorSchema.describe(value)}` });
+                return;
+            }
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            issues.push({ path: at, error: `must be ${JSON.stringify(schema.const)}` });
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            issues.push({ path: at, error: `must be one of ${schema.enum.join(', ')}, got ${DetectorSchema.describe(value)}` });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                issues.push({ path: at, error: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                issues.push({ path: at, error: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+            issues.push({ path: at, error: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                issues.push({ path: at, error: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => DetectorSchema.check(item, schema.items, `${path}[${index}]`, issues));
+            }
+        }
+
+        if (DetectorSchema.isType(value, 'object')) {
+            const childPath = key => path ? `${path}.${key}` : key;
+            const properties = schema.properties || {};
+
+            (schema.required || [])
+                .filter(key => value[key] === undefined)
+                .forEach(key => issues.push({ path: childPath(key), error: 'is required' }));
+
+            for (const [key, child] of Object.entries(value)) {
+                if (properties[key]) {
+                    DetectorSchema.check(child, properties[key], childPath(key), issues);
+                } else if (schema.additionalProperties === false) {
+                    issues.push({ path: childPath(key), error: 'unknown field' });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    DetectorSchema.check(child, schema.additionalProperties, childPath(key), issues);
+                }
+            }
+        }
+
+        (schema.allOf || []).forEach(subschema => DetectorSchema.check(value, subschema, path, issues));
+
+        if (schema.if && schema.then && DetectorSchema.matches(value, schema.if)) {
+            DetectorSchema.check(value, schema.then, path, issues);
+        }
+    }
+
+    /**
+     * Check whether a value satisfies a schema (used by if/then)
+     * @param {*} value - Value to check
+     * @param {object} schema - Schema node
+     * @returns {boolean} True if there are no issues
+     */
+    static matches(value, schema) {
+        const issues = [];
+        DetectorSchema.check(value, schema, '', issues);
+        return issues.length === 0;
+    }
+
+    /**
+     * Follow a local "$ref" ("#/definitions/name")
+     * @param {object} schema - Schema node
+     * @returns {object} Referenced schema node, or the node itself
+     */
+    static resolve(schema) {
+        if (!schema || typeof schema.$ref !== 'string') return schema || {};
+
+        const target = schema.$ref
+            .replace(/^#\/?/, '')
+            .split('/')
+            .filter(Boolean)
+            .reduce((node, key) => node?.[key], DetectorSchema.schema);
+        if (!target) {
+            throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+        }
+        return DetectorSchema.resolve(target);
+    }
+
+    /**
+     * Check a JSON Schema type
+     * @param {*} value - Value to check
+     * @param {string} type - JSON Schema type name
+     * @returns {boolean} True if the value has the type
+     */
+    static isType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Describe a value for an error message
+     * @param {*} value - Value
+     * @returns {string} Short description ('string "90"', 'array', 'null', ...)
+     */
+    static describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'string') return `string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value)}`;
+        if (typeof value === 'number' || typeof value === 'boolean') return `${typeof value} ${value}`;
+        return typeof value;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DetectorSchema;
+} else if (typeof window !== 'undefined') {
+    window.DetectorSchema = DetectorSchema;
+}
@@ -0,0 +1,331 @@
+/**
+ * ExternalContentManager - Fetches external scripts and stylesheets for content detection
+ * Runs in the service worker: host permissions avoid the CORS failures the content script hits
+ *
+ * - Fetches run in parallel, at most `concurrency` at a time
+ * - Each file is limited to `maxFileBytes` and each page to `maxPageBytes`
+ * - Bodies are cached by URL across tabs and stored once per SHA-256 hash; stale entries are
+ *   revalidated with ETag / Last-Modified, so a large sensor script shared by many pages is
+ *   downloaded once and matched once (detection results are memoized per hash by the engine)
+ */
+class ExternalContentManager {
+    static DEFAULT_OPTIONS = {
+        concurrency: 6,
+        maxFileBytes: 3 * 1024 * 1024,
+        maxPageBytes: 12 * 1024 * 1024,
+        maxCacheBytes: 48 * 1024 * 1024,
+        revalidateAfter: 10 * 60 * 1000,
+        timeout: 10000
+    };
+
+    /**
+     * @param {object} options - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...ExternalContentManager.DEFAULT_OPTIONS, ...options };
+        // url -> {url, type, hash, size, etag, lastModified, fetchedAt} (Map order is LRU order)
+        this.entries = new Map();
+        // hash -> content, shared by every URL serving the same bytes
+        this.contents = new Map();
+        this.cacheBytes = 0;
+        // url -> Promise of an in-flight fetch, so tabs loading the same script share it
+        this.pending = new Map();
+        // URLs over maxFileBytes, not downloaded again
+        this.oversized = new Set();
+    }
+
+    /**
+     * Fetch the content of a page's external resources
+     * @param {Array} resources - [{url, type}] from DetectionEngineManager.extractExternalResources()
+     * @returns {Promise<object>} {resources: [{url, type, content, size, hash, fromCache}], stats}
+     */
+    async fetchAll(resources = []) {
+        const queue = [...new Map(
+            resources
+                .filter(resource => resource && /^https?:/i.test(resource.url || ''))
+                .map(resource => [resource.url, resource])
+        ).values()];
+
+        const stats = { requested: queue.length, fetched: 0, cached: 0, revalidated: 0, skipped: 0, failed: 0, bytes: 0 };
+        const results = [];
+        let pageBytes = 0;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const resource = queue.shift();
+
+                if (pageBytes >= this.options.maxPageBytes) {
+                    stats.skipped++;
+                    continue;
+                }
+
+                const result = await this.getResource(resource);
+                if (!result) {
+                    stats.failed++;
+                    continue;
+                }
+                if (result.skipped) {
+                    stats.skipped++;
+                    continue;
+                }
+                if (pageBytes + result.size > this.options.maxPageBytes) {
+                    console.log(`📦 Page budget reached, skipping ${resource.url} (${result.size} bytes)`);
+                    stats.skipped++;
+                    continue;
+                }
+
+                pageBytes += result.size;
+                stats[result.source]++;
+                results.push({
+                    url: resource.url,
+                    type: resource.type || result.type,
+                    content: result.content,
+                    size: result.size,
+                    hash: result.hash,
+                    fromCache: result.source !== 'fetched'
+                });
+            }
+        };
+
+        const workerCount = Math.min(this.options.concurrency, queue.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        stats.bytes = pageBytes;
+        console.log(`📦 External content: ${results.length}/${stats.requested} resources (${stats.fetched} fetched, ${stats.cached} cached, ${stats.revalidated} revalidated, ${stats.skipped} skipped, ${stats.failed} failed, ${pageBytes} bytes)`);
+
+        return { resources: results, stats };
+    }
+
+    /**
+     * Get one resource from the cache or the network
+     * @param {object} resource - {url, type}
+     * @returns {Promise<object|null>} {content, size, hash, type, source: 'fetched'|'cached'|'revalidated'} or {skipped: true}, null on failure
+     */
+    async getResource(resource) {
+        if (this.oversized.has(resource.url)) {
+            return { skipped: true };
+        }
+
+        const entry = this.entries.get(resource.url);
+        if (entry && Date.now() - entry.fetchedAt < this.options.revalidateAfter) {
+            return this.touch(entry, 'cached');
+        }
+
+        if (!this.pending.has(resource.url)) {
+            const request = this.fetchResource(resource, entry)
+                .finally(() => this.pending.delete(resource.url));
+            this.pending.set(resource.url, request);
+        }
+
+        return this.pending.get(resource.url);
+    }
+
+    /**
+     * Fetch a resource, revalidating a stale cache entry when it has validators
+     * @param {object} resource - {url, type}
+     * @param {object} staleEntry - Existing cache entry or undefined
+     * @returns {Promise<object|null>} Same as getResource()
+     */
+    async fetchResource(resource, staleEntry) {
+        const headers = {};
+        if (staleEntry?.etag) headers['If-None-Match'] = staleEntry.etag;
+        if (staleEntry?.lastModified) headers['If-Modified-Since'] = staleEntry.lastModified;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+        try {
+            const response = await fetch(resource.url, {
+                method: 'GET',
+                credentials: 'omit',
+                headers,
+                signal: controller.signal
+            });
+
+            if (response.status === 304 && staleEntry) {
+                staleEntry.fetchedAt = Date.now();
+                return this.touch(staleEntry, 'revalidated');
+            }
+
+            if (!response.ok) {
+                console.log(`📦 ✗ Failed to fetch: ${resource.url} (HTTP ${response.status})`);
+                return null;
+            }
+
+            const declaredSize = parseInt(response.headers.get('content-length') || '0');
+            if (declaredSize > this.options.maxFileBytes) {
+                console.log(`📦 ✗ Skipping ${resource.url}: ${declaredSize} bytes exceeds the per-file limit`);
+                response.body?.cancel();
+                this.oversized.add(resource.url);
+                return { skipped: true };
+            }
+
+            const bytes = await this.readLimited(response, this.options.maxFileBytes);
+            if (!bytes) {
+                console.log(`📦 ✗ Skipping ${resource.url}: body exceeds the per-file limit`);
+                this.oversized.add(resource.url);
+                return { skipped: true };
+            }
+
+            const hash = await ExternalContentManager.hashBytes(bytes);
+            const content = this.contents.get(hash) ?? new TextDecoder().decode(bytes);
+            const entry = {
+                url: resource.url,
+                type: resource.type || ExternalContentManager.getResourceType(resource.url, response.headers.get('content-type')),
+                hash,
+                size: content.length,
+                etag: response.headers.get('etag') || '',
+                lastModified: response.headers.get('last-modified') || '',
+                fetchedAt: Date.now()
+            };
+
+            this.store(entry, content);
+            console.log(`📦 ✓ Fetched ${entry.type}: ${resource.url} (${entry.size} bytes)`);
+            return this.touch(entry, 'fetched');
+        } catch (error) {
+            console.log(`📦 ✗ Error fetching: ${resource.url} (${error.message})`);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Read a response body, giving up as soon as it grows past a limit
+     * @param {Response} response - Fetch response
+     * @param {number} limit - Maximum bytes
+     * @returns {Promise<Uint8Array|null>} Body bytes or null when over the limit
+     */
+    async readLimited(response, limit) {
+        if (!response.body) {
+            const buffer = new Uint8Array(await response.arrayBuffer());
+            return buffer.length > limit ? null : buffer;
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let length = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            length += value.length;
+            if (length > limit) {
+                reader.cancel();
+                return null;
+            }
+            chunks.push(value);
+        }
+
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return bytes;
+    }
+
+    /**
+     * Add an entry to the cache and evict the least recently used ones over maxCacheBytes
+     * @param {object} entry - Cache entry
+     * @param {string} content - Resource body
+     */
+    store(entry, content) {
+        const previous = this.entries.get(entry.url);
+        this.entries.delete(entry.url);
+        if (previous) this.releaseContent(previous.hash);
+
+        if (!this.contents.has(entry.hash)) {
+            this.contents.set(entry.hash, content);
+            this.cacheBytes += content.length;
+        }
+        this.entries.set(entry.url, entry);
+
+        for (const [url, oldest] of this.entries) {
+            if (this.cacheBytes <= this.options.maxCacheBytes || url === entry.url) break;
+            this.entries.delete(url);
+            this.releaseContent(oldest.hash);
+        }
+    }
+
+    /**
+     * Drop a cached body once no URL refers to it anymore
+     * @param {string} hash - Content hash
+     */
+    releaseContent(hash) {
+        for (const entry of this.entries.values()) {
+            if (entry.hash === hash) return;
+        }
+
+        const content = this.contents.get(hash);
+        if (content !== undefined) {
+            this.cacheBytes -= content.length;
+            this.contents.delete(hash);
+        }
+    }
+
+    /**
+     * Mark an entry as recently used and return it with its content
+     * @param {object} entry - Cache entry
+     * @param {string} source - 'fetched', 'cached' or 'revalidated'
+     * @returns {object|null} Resource with content, null if the content was evicted
+     */
+    touch(entry, source) {
+        const content = this.contents.get(entry.hash);
+        if (content === undefined) {
+            this.entries.delete(entry.url);
+            return null;
+        }
+
+        this.entries.delete(entry.url);
+        this.entries.set(entry.url, entry);
+        return { content, size: entry.size, hash: entry.hash, type: entry.type, source };
+    }
+
+    /**
+     * Clear the cache
+     */
+    clear() {
+        this.entries.clear();
+        this.contents.clear();
+        this.oversized.clear();
+        this.cacheBytes = 0;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {object} {urls, bodies, bytes}
+     */
+    getCacheStats() {
+        return { urls: this.entries.size, bodies: this.contents.size, bytes: this.cacheBytes };
+    }
+
+    /**
+     * SHA-256 of a body as hex
+     * @param {Uint8Array} bytes - Body bytes
+     * @returns {Promise<string>} Hex digest
+     */
+    static async hashBytes(bytes) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Label a resource the way the content script does
+     * @param {string} url - Resource URL
+     * @param {string} contentType - Response content-type
+     * @returns {string} 'css' or 'javascript'
+     */
+    static getResourceType(url, contentType = '') {
+        return /css/i.test(contentType || '') || url.split('?')[0].endsWith('.css') ? 'css' : 'javascript';
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExternalContentManager;
+} else if (typeof window !== 'undefined') {
+    window.ExternalContentManager = ExternalContentManager;
+}
@@ -0,0 +1,650 @@
+/**
+ * HarManager - Builds detection pageData from saved HAR archives and HTML snapshots
+ * Produces the same pageData shape as DetectionEngineManager.collectPageData() so the
+ * result can be passed straight to detectOnPage()
+ *
+ * Works without a live DOM (service worker, Node), so HTML is scanned with lightweight
+ * tag/attribute regexes rather than a real parser
+ */
+class HarManager {
+    // Maximum cookie value length kept, mirrors extractCookies() in the content script
+    static COOKIE_VALUE_LIMIT = 100;
+    // Maximum attribute value length kept, mirrors getElementAttributes()
+    static ATTRIBUTE_VALUE_LIMIT = 100;
+    // Attributes kept for DOM entries, mirrors getElementAttributes()
+    static RELEVANT_ATTRIBUTES = ['id', 'class', 'src', 'href', 'action', 'data-sitekey', 'data-callback'];
+    // webRequest resource types kept in pageData.subresourceHeaders, mirrors background.js
+    static SUBRESOURCE_HEADER_TYPES = ['xmlhttprequest', 'script', 'sub_frame'];
+
+    /**
+     * Parse HAR text (or an already parsed object) and validate its structure
+     * @param {string|object} har - HAR file content
+     * @returns {object} Parsed HAR object
+     */
+    static parseHar(har) {
+        const parsed = typeof har === 'string' ? JSON.parse(har) : har;
+
+        if (!parsed || !parsed.log || !Array.isArray(parsed.log.entries)) {
+            throw new Error('Invalid HAR file: missing log.entries');
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Build pageData from a HAR archive
+     * @param {string|object} har - HAR file content
+     * @param {object} options - Optional settings
+     * @param {string} options.url - URL of the main document (defaults to the first HTML response)
+     * @returns {object} pageData compatible with detectOnPage()
+     */
+    static buildPageData(har, options = {}) {
+        const parsed = HarManager.parseHar(har);
+        const entries = parsed.log.entries;
+
+        const firstEntry = HarManager.findMainEntry(entries, options.url);
+        if (!firstEntry) {
+            throw new Error('HAR file does not contain any requests');
+        }
+
+        // The document is the last hop of the redirect chain
+        const navigation = HarManager.buildNavigation(entries, firstEntry);
+        const mainEntry = navigation.entry;
+
+        const url = mainEntry.request.url;
+        const mainHTML = HarManager.getResponseBody(mainEntry);
+        const htmlData = HarManager.extractFromHtml(mainHTML, url);
+        const page = (parsed.log.pages || []).find(p => p.id === mainEntry.pageref) || (parsed.log.pages || [])[0];
+
+        // Script URLs loaded by the page, whether or not the HTML referenced them directly
+        const content = [...htmlData.content];
+        const knownScripts = new Set(content.filter(s => s.src).map(s => s.src));
+        const externalContent = [];
+        const subresourceHeaders = [];
+        const requests = [];
+
+        for (const entry of entries) {
+            if (entry.request?.url) {
+                requests.push({
+                    url: entry.request.url,
+                    method: entry.request.method || 'GET',
+                    type: entry === mainEntry ? 'main_frame' : HarManager.getRequestType(entry)
+                });
+            }
+
+            if (entry === mainEntry) continue;
+
+            const entryUrl = entry.request?.url || '';
+            const resourceType = HarManager.getResourceType(entry);
+            const requestType = HarManager.getRequestType(entry);
+
+            // Same subresource header log the background keeps from webRequest
+            if (HarManager.SUBRESOURCE_HEADER_TYPES.includes(requestType)) {
+                subresourceHeaders.push({
+                    url: entryUrl,
+                    type: requestType,
+                    statusCode: entry.response?.status,
+                    headers: HarManager.headersToObject(entry.response?.headers || [])
+                });
+            }
+
+            if (resourceType === 'javascript' && entryUrl && !knownScripts.has(entryUrl)) {
+                knownScripts.add(entryUrl);
+                content.push({
+                    type: 'external',
+                    src: entryUrl,
+                    content: entryUrl
+                });
+            }
+
+            const body = HarManager.getResponseBody(entry);
+            if (body) {
+                externalContent.push({
+                    url: entryUrl,
+                    type: resourceType,
+                    content: body,
+                    size: body.length
+                });
+            }
+        }
+
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname;
+        } catch (error) {
+            hostname = '';
+        }
+
+        const pageData = {
+            url: url,
+            hostname: hostname,
+            title: htmlData.title || page?.title || 'Untitled',
+            favicon: htmlData.favicon,
+            timestamp: mainEntry.startedDateTime || new Date().toISOString(),
+            statusCode: mainEntry.response?.status,
+            navigation: navigation.navigation,
+            nextHopProtocol: mainEntry.response?.httpVersion || '',
+            cookies: HarManager.extractSetCookies(entries, hostname),
+            content: content,
+            dom: htmlData.dom,
+            pageHTML: htmlData.pageHTML,
+            externalContent: externalContent,
+            headers: HarManager.headersToObject(mainEntry.response?.headers || []),
+            subresourceHeaders: subresourceHeaders,
+            requests: requests
+        };
+
+        console.log('HarManager: Built page data from HAR', {
+            url: pageData.url,
+            entries: entries.length,
+            cookiesCount: pageData.cookies.length,
+            contentCount: pageData.content.length,
+            domElementsCount: pageData.dom.length,
+            externalResourcesCount: pageData.externalContent.length,
+            headersCount: Object.keys(pageData.headers).length,
+            subresourceHeadersCount: pageData.subresourceHeaders.length,
+            requestsCount: pageData.requests.length
+        });
+
+        return pageData;
+    }
+
+    /**
+     * Build pageData from a saved HTML document (no headers or cookies available)
+     * @param {string} html - Full HTML document
+     * @param {string} url - URL the document was saved from
+     * @returns {object} pageData compatible with detectOnPage()
+     */
+    static buildPageDataFromHtml(html, url = '') {
+        const pageUrl = url || HarManager.getSavedFromUrl(html) || '';
+        const htmlData = HarManager.extractFromHtml(html, pageUrl);
+
+        let hostname = '';
+        try {
+            hostname = new URL(pageUrl).hostname;
+        } catch (error) {
+            hostname = '';
+        }
+
+        return {
+            url: pageUrl,
+            hostname: hostname,
+            title: htmlData.title || 'Untitled',
+            favicon: htmlData.favicon,
+            timestamp: new Date().toISOString(),
+            cookies: [],
+            content: htmlData.content,
+            dom: htmlData.dom,
+            pageHTML: htmlData.pageHTML,
+            externalContent: [],
+            headers: {},
+            subresourceHeaders: [],
+            requests: []
+        };
+    }
+
+    /**
+     * Pick the main document entry from a HAR
+     * @param {array} entries - HAR log entries
+     * @param {string} url - Preferred document URL
+     * @returns {object|null} Main document entry
+     */
+    static findMainEntry(entries, url = '') {
+        if (url) {
+            const exact = entries.find(e => e.request?.url === url);
+            if (exact) return exact;
+        }
+
+        const documentEntry = entries.find(e => e._resourceType === 'document') ||
+            entries.find(e => (e.response?.content?.mimeType || '').includes('text/html'));
+
+        return documentEntry || entries[0] || null;
+    }
+
+    /**
+     * Follow the redirect chain of a document entry and describe the navigation like background.js does
+     * @param {array} entries - HAR log entries
+     * @param {object} firstEntry - First document entry
+     * @returns {object} {entry, navigation} - Final document entry and {initialUrl, url, statusCode, statusLine, redirects, timing}
+     */
+    static buildNavigation(entries, firstEntry) {
+        const startTime = Date.parse(firstEntry.startedDateTime) || 0;
+        const getOffset = (entry) => Math.max(0, Math.round((Date.parse(entry.startedDateTime) || startTime) - startTime));
+        const redirects = [];
+        const visited = new Set([firstEntry]);
+        let entry = firstEntry;
+
+        while (entry.response?.status >= 300 && entry.response?.status < 400 && entry.response.redirectURL) {
+            const redirectUrl = HarManager.resolveUrl(entry.response.redirectURL, entry.request.url);
+            redirects.push({
+                url: entry.request.url,
+                statusCode: entry.response.status,
+                redirectUrl: redirectUrl,
+                time: getOffset(entry) + Math.round(entry.time || 0)
+            });
+
+            const next = entries.find(e => e.request?.url === redirectUrl && !visited.has(e));
+            if (!next) break;
+
+            visited.add(next);
+            entry = next;
+        }
+
+        // Time to the first response byte: every phase before `receive`
+        const timings = entry.timings || {};
+        const waitTime = ['blocked', 'dns', 'connect', 'send', 'wait']
+            .reduce((sum, phase) => sum + Math.max(timings[phase] || 0, 0), 0);
+
+        return {
+            entry,
+            navigation: {
+                initialUrl: firstEntry.request.url,
+                url: entry.request.url,
+                statusCode: entry.response?.status,
+                statusLine: entry.response ? `${entry.response.httpVersion || 'HTTP/1.1'} ${entry.response.status} ${entry.response.statusText || ''}`.trim() : '',
+                redirects,
+                timing: {
+                    startTime,
+                    redirectTime: redirects.length > 0 ? redirects[redirects.length - 1].time : undefined,
+                    responseStart: getOffset(entry) + Math.round(waitTime),
+                    duration: getOffset(entry) + Math.round(entry.time || 0)
+                }
+            }
+        };
+    }
+
+    /**
+     * Classify a HAR entry the same way extractExternalResources() labels resources
+     * @param {object} entry - HAR entry
+     * @returns {string} 'javascript', 'css' or 'other'
+     */
+    static getResourceType(entry) {
+        const mimeType = (entry.response?.content?.mimeType || '').toLowerCase();
+        const url = (entry.request?.url || '').split('?')[0].toLowerCase();
+
+        if (entry._resourceType === 'script' || mimeType.includes('javascript') || url.endsWith('.js')) {
+            return 'javascript';
+        }
+        if (entry._resourceType === 'stylesheet' || mimeType.includes('css') || url.endsWith('.css')) {
+            return 'css';
+        }
+        return 'other';
+    }
+
+    /**
+     * Map a HAR entry to the chrome.webRequest resource type names
+     * @param {object} entry - HAR entry
+     * @returns {string} 'xmlhttprequest', 'script', 'sub_frame', 'stylesheet', 'image' or 'other'
+     */
+    static getRequestType(entry) {
+        switch (entry._resourceType) {
+            case 'xhr':
+            case 'fetch':
+                return 'xmlhttprequest';
+            case 'script':
+                return 'script';
+            case 'document':
+                return 'sub_frame';
+            case 'stylesheet':
+                return 'stylesheet';
+            case 'image':
+                return 'image';
+        }
+
+        // HAR files without Chrome's _resourceType field
+        const resourceType = HarManager.getResourceType(entry);
+        if (resourceType === 'javascript') return 'script';
+        if (resourceType === 'css') return 'stylesheet';
+
+        const mimeType = (entry.response?.content?.mimeType || '').toLowerCase();
+        if (mimeType.includes('json')) return 'xmlhttprequest';
+        if (mimeType.includes('text/html')) return 'sub_frame';
+        return 'other';
+    }
+
+    /**
+     * Get decoded response body text for a HAR entry
+     * @param {object} entry - HAR entry
+     * @returns {string} Response body ('' when not recorded)
+     */
+    static getResponseBody(entry) {
+        const content = entry?.response?.content;
+        if (!content || typeof content.text !== 'string' || content.text.length === 0) {
+            return '';
+        }
+
+        if (content.encoding === 'base64') {
+            try {
+                const binary = atob(content.text);
+                const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+                return new TextDecoder('utf-8').decode(bytes);
+            } catch (error) {
+                console.warn('HarManager: Failed to decode base64 body for', entry.request?.url, error);
+                return '';
+            }
+        }
+
+        return content.text;
+    }
+
+    /**
+     * Convert HAR header list to the lowercase name → value object used by detectors
+     * Repeated headers are joined with ', ' (Set-Cookie with newlines)
+     * @param {array} headerList - HAR headers [{name, value}]
+     * @returns {object} Headers object
+     */
+    static headersToObject(headerList) {
+        const headers = {};
+
+        for (const header of headerList) {
+            if (!header || !header.name) continue;
+            const name = header.name.toLowerCase();
+            // Skip HTTP/2 pseudo headers (:status, :path, ...)
+            if (name.startsWith(':')) continue;
+
+            const value = header.value || '';
+            if (headers[name] && value) {
+                headers[name] += name === 'set-cookie' ? `\n${value}` : `, ${value}`;
+            } else if (!headers[name]) {
+                headers[name] = value;
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * Collect cookies set by any response in the HAR
+     * @param {array} entries - HAR log entries
+     * @param {string} hostname - Page hostname used as default domain
+     * @returns {array} Cookies in the content script format [{name, value, domain}]
+     */
+    static extractSetCookies(entries, hostname = '') {
+        const cookiesByName = new Map();
+
+        for (const entry of entries) {
+            const response = entry.response || {};
+            const parsedCookies = [];
+
+            if (Array.isArray(response.cookies) && response.cookies.length > 0) {
+                response.cookies.forEach(cookie => parsedCookies.push(cookie));
+            } else {
+                (response.headers || [])
+                    .filter(h => h && h.name && h.name.toLowerCase() === 'set-cookie')
+                    .forEach(h => {
+                        (h.value || '').split('\n').forEach(line => {
+                            const cookie = HarManager.parseSetCookie(line);
+                            if (cookie) parsedCookies.push(cookie);
+                        });
+                    });
+            }
+
+            parsedCookies.forEach(cookie => {
+                if (!cookie.name) return;
+                cookiesByName.set(cookie.name, {
+                    name: cookie.name,
+                    value: (cookie.value || '').substring(0, HarManager.COOKIE_VALUE_LIMIT),
+                    domain: cookie.domain || hostname
+                });
+            });
+        }
+
+        return Array.from(cookiesByName.values());
+    }
+
+    /**
+     * Parse a single Set-Cookie header line
+     * @param {string} line - Set-Cookie header value
+     * @returns {object|null} Cookie {name, value, domain}
+     */
+    static parseSetCookie(line) {
+        if (!line) return null;
+
+        const parts = line.split(';');
+        const pair = parts.shift().trim();
+        const eqIndex = pair.indexOf('=');
+        if (eqIndex <= 0) return null;
+
+        const cookie = {
+            name: pair.substring(0, eqIndex).trim(),
+            value: pair.substring(eqIndex + 1).trim(),
+            domain: ''
+        };
+
+        parts.forEach(part => {
+            const [key, ...rest] = part.trim().split('=');
+            if (key && key.toLowerCase() === 'domain') {
+                cookie.domain = rest.join('=').replace(/^\./, '');
+            }
+        });
+
+        return cookie;
+    }
+
+    /**
+     * Read the "saved from url" comment that browsers add to saved pages
+     * @param {string} html - HTML document
+     * @returns {string} Original URL or ''
+     */
+    static getSavedFromUrl(html = '') {
+        const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+        if (savedFrom) return savedFrom[1];
+
+        const canonical = html.match(/<link\b[^>]*rel=["']canonical["'][^>]*>/i);
+        if (canonical) {
+            const href = HarManager.parseAttributes(canonical[0]).href;
+            if (href) return href;
+        }
+
+        const ogUrl = html.match(/<meta\b[^>]*property=["']og:url["'][^>]*>/i);
+        if (ogUrl) {
+            const content = HarManager.parseAttributes(ogUrl[0]).content;
+            if (content) return content;
+        }
+
+        return '';
+    }
+
+    /**
+     * Extract scripts, DOM entries, title and favicon from raw HTML
+     * Mirrors extractScriptElements() and extractDOM() of DetectionEngineManager
+     * @param {string} html - HTML document
+     * @param {string} baseUrl - URL used to resolve relative src/href values
+     * @returns {object} {title, favicon, pageHTML, content, dom}
+     */
+    static extractFromHtml(html = '', baseUrl = '') {
+        const result = {
+            title: '',
+            favicon: '',
+            pageHTML: '',
+            content: [],
+            dom: []
+        };
+
+        if (!html) return result;
+
+        const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+        result.pageHTML = bodyMatch ? bodyMatch[1] : html;
+
+        const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+        result.title = titleMatch ? titleMatch[1].trim() : '';
+
+        // Script elements (external and inline)
+        const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+        let match;
+        while ((match = scriptRegex.exec(html)) !== null) {
+            const attributes = HarManager.parseAttributes(match[1]);
+            const inline = match[2].trim();
+
+            if (attributes.src) {
+                const src = HarManager.resolveUrl(attributes.src, baseUrl);
+                result.content.push({
+                    type: 'external',
+                    src: src,
+                    content: inline || src
+                });
+                result.dom.push({
+                    selector: 'script',
+                    src: src
+                });
+            } else if (inline.length > 0) {
+                result.content.push({
+                    type: 'inline',
+                    src: null,
+                    content: inline
+                });
+            }
+        }
+
+        // Noscript elements
+        const noscriptRegex = /<noscript\b([^>]*)>([\s\S]*?)<\/noscript\s*>/gi;
+        while ((match = noscriptRegex.exec(html)) !== null) {
+            const attributes = HarManager.parseAttributes(match[1]);
+            result.dom.push({
+                selector: 'noscript',
+                id: attributes.id || '',
+                content: match[2].substring(0, 200)
+            });
+        }
+
+        // Opening tags for iframes, forms, divs, meta, link and data attributes
+        let canvasCount = 0;
+        const tagRegex = /<([a-zA-Z][\w-]*)\b([^>]*)>/g;
+        while ((match = tagRegex.exec(html)) !== null) {
+            const tagName = match[1].toLowerCase();
+            const attributes = HarManager.parseAttributes(match[2]);
+
+            if (attributes['data-sitekey'] !== undefined || attributes['data-captcha'] !== undefined || attributes['data-callback'] !== undefined) {
+                result.dom.push({
+                    selector: tagName,
+                    attributes: HarManager.getRelevantAttributes(attributes)
+                });
+            }
+
+            switch (tagName) {
+                case 'iframe':
+                    if (attributes.src) {
+                        result.dom.push({
+                            selector: 'iframe',
+                            src: attributes.src,
+                            attributes: HarManager.getRelevantAttributes(attributes)
+                        });
+                    }
+                    break;
+
+                case 'form':
+                    result.dom.push({
+                        selector: 'form',
+                        action: attributes.action || '',
+                        id: attributes.id || '',
+                        class: attributes.class || '',
+                        attributes: HarManager.getRelevantAttributes(attributes)
+                    });
+                    break;
+
+                case 'div':
+                    if (attributes.id || attributes.class) {
+                        result.dom.push({
+                            selector: 'div',
+                            id: attributes.id || '',
+                            class: attributes.class || ''
+                        });
+                    }
+                    break;
+
+                case 'meta': {
+                    const name = attributes.name || attributes.property || '';
+                    if (name) {
+                        result.dom.push({
+                            selector: 'meta',
+                            name: name,
+                            content: attributes.content || ''
+                        });
+                    }
+                    break;
+                }
+
+                case 'link':
+                    if (!result.favicon && attributes.href && /icon/i.test(attributes.rel || '')) {
+                        result.favicon = HarManager.resolveUrl(attributes.href, baseUrl);
+                    }
+                    break;
+
+                case 'canvas':
+                    canvasCount++;
+                    break;
+            }
+        }
+
+        if (canvasCount > 0) {
+            result.dom.push({
+                selector: 'canvas',
+                count: canvasCount
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse an attribute string (the part of a tag after its name)
+     * @param {string} attributeString - e.g. ' id="x" class=\'y\' async'
+     * @returns {object} Lowercase attribute name → value
+     */
+    static parseAttributes(attributeString = '') {
+        const attributes = {};
+        const attrRegex = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let match;
+
+        while ((match = attrRegex.exec(attributeString)) !== null) {
+            const name = match[1].toLowerCase();
+            if (attributes[name] !== undefined) continue;
+            attributes[name] = match[2] ?? match[3] ?? match[4] ?? '';
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Keep only the attributes the content script would report
+     * @param {object} attributes - All parsed attributes
+     * @returns {object} Relevant attributes with truncated values
+     */
+    static getRelevantAttributes(attributes) {
+        const relevant = {};
+
+        HarManager.RELEVANT_ATTRIBUTES.forEach(attr => {
+            if (attributes[attr] !== undefined) {
+                let value = attributes[attr];
+                if (value && value.length > HarManager.ATTRIBUTE_VALUE_LIMIT) {
+                    value = value.substring(0, HarManager.ATTRIBUTE_VALUE_LIMIT) + '...';
+                }
+                relevant[attr] = value;
+            }
+        });
+
+        return relevant;
+    }
+
+    /**
+     * Resolve a possibly relative URL against the document URL
+     * @param {string} value - URL from an attribute
+     * @param {string} baseUrl - Document URL
+     * @returns {string} Absolute URL when resolvable, otherwise the original value
+     */
+    static resolveUrl(value, baseUrl) {
+        if (!baseUrl) return value;
+        try {
+            return new URL(value, baseUrl).href;
+        } catch (error) {
+            return value;
+        }
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HarManager;
+} else if (typeof window !== 'undefined') {
+    window.HarManager = HarManager;
+}
@@ -0,0 +1,233 @@
+/**
+ * PatternIndex - Multi-pattern literal matcher (Aho-Corasick) for content rules
+ * Built by DetectionEngineManager.setDetectors() from every literal (non-regex) content pattern,
+ * so one pass over pageHTML or an external resource finds every pattern it contains
+ *
+ * Patterns are indexed lowercased; callers verify case-sensitive and whole-word options on hits
+ */
+class PatternIndex {
+    constructor() {
+        // Trie nodes: {next: Map(char code -> node index), fail: node index, outputs: [pattern]}
+        this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+        // lowercased pattern -> Set of detector keys ('category/id') using it
+        this.patterns = new Map();
+        this.built = false;
+    }
+
+    /**
+     * Build an index from every literal content pattern of a detector set
+     * @param {object} detectors - Detector configurations organized by category
+     * @returns {PatternIndex} Built index
+     */
+    static fromDetectors(detectors = {}) {
+        const index = new PatternIndex();
+
+        for (const [category, categoryDetectors] of Object.entries(detectors)) {
+            for (const [key, detector] of Object.entries(categoryDetectors || {})) {
+                if (!detector || detector.enabled === false) continue;
+
+                const detectorKey = `${category}/${detector.id || key}`;
+                PatternIndex.getContentRules(detector)
+                    .filter(rule => typeof rule.content === 'string' && rule.content && rule.nameRegex !== true)
+                    .forEach(rule => index.add(rule.content, detectorKey));
+            }
+        }
+
+        index.build();
+        return index;
+    }
+
+    /**
+     * Collect the content rules of a detector: patterns, group/variant/state conditions and exclusions
+     * @param {object} detector - Detector configuration
+     * @returns {array} Content rules ({content, nameRegex, ...})
+     */
+    static getContentRules(detector) {
+        const detection = detector.detection || {};
+        const conditionLists = [
+            ...(detection.groups || []).map(group => group.conditions),
+            ...(detector.variants || []).map(variant => variant.conditions),
+            ...(detector.states || []).map(state => state.conditions),
+            detector.exclude,
+            ...Object.values(detection).flatMap(patterns => Array.isArray(patterns) ? patterns.map(pattern => pattern?.exclude) : [])
+        ];
+
+        return [
+            ...(Array.isArray(detection.content) ? detection.content : []),
+            ...conditionLists
+                .filter(Array.isArray)
+                .flat()
+                .flatMap(condition => [condition, ...(Array.isArray(condition?.unless) ? condition.unless : [])])
+                .filter(condition => condition && condition.type === 'content')
+        ];
+    }
+
+    /**
+     * Check whether a detector can only match through indexed content patterns: its only rules are literal
+     * content patterns searching the whole page. Without a scan hit such a detector cannot match
+     * @param {object} detector - Detector configuration
+     * @returns {boolean} True if a scan without hits for the detector proves it does not match
+     */
+    static isIndexCovered(detector) {
+        const detection = detector?.detection || {};
+        const contentRules = Array.isArray(detection.content) ? detection.content : [];
+        const hasOtherRules = Object.entries(detection)
+            .some(([method, rules]) => method !== 'content' && Array.isArray(rules) && rules.length > 0);
+
+        return contentRules.length > 0 && !hasOtherRules && contentRules.every(rule =>
+            typeof rule?.content === 'string' && rule.content && rule.nameRegex !== true &&
+            rule.checkScripts !== true && rule.checkClasses !== true && rule.checkValues !== true
+        );
+    }
+
+    /**
+     * Add a literal pattern
+     * @param {string} pattern - Pattern text
+     * @param {string} detectorKey - Detector using the pattern
+     */
+    add(pattern, detectorKey) {
+        const normalized = pattern.toLowerCase();
+
+        if (!this.patterns.has(normalized)) {
+            this.patterns.set(normalized, new Set());
+
+            let state = 0;
+            for (let i = 0; i < normalized.length; i++) {
+                const code = normalized.charCodeAt(i);
+                let next = this.nodes[state].next.get(code);
+                if (next === undefined) {
+                    next = this.nodes.length;
+                    this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+                    this.nodes[state].next.set(code, next);
+                }
+                state = next;
+            }
+            this.nodes[state].outputs.push(normalized);
+        }
+
+        this.patterns.get(normalized).add(detectorKey);
+        this.built = false;
+    }
+
+    /**
+     * Compute failure links (breadth first), merging outputs of suffix states
+     */
+    build() {
+        const queue = [];
+
+        for (const child of this.nodes[0].next.values()) {
+            this.nodes[child].fail = 0;
+            queue.push(child);
+        }
+
+        while (queue.length > 0) {
+            const state = queue.shift();
+
+            for (const [char, child] of this.nodes[state].next) {
+                let fail = this.nodes[state].fail;
+                while (fail !== 0 && !this.nodes[fail].next.has(char)) {
+                    fail = this.nodes[fail].fail;
+                }
+                const target = this.nodes[fail].next.get(char);
+                this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+                this.nodes[child].outputs = this.nodes[child].outputs.concat(this.nodes[this.nodes[child].fail].outputs);
+                queue.push(child);
+            }
+        }
+
+        this.built = true;
+    }
+
+    /**
+     * Check whether a pattern is part of the index
+     * @param {string} pattern - Pattern text
+     * @returns {boolean} True if indexed
+     */
+    has(pattern) {
+        return typeof pattern === 'string' && this.patterns.has(pattern.toLowerCase());
+    }
+
+    /**
+     * Check whether another index holds exactly the same patterns
+     * @param {PatternIndex} other - Index to compare with
+     * @returns {boolean} True if both index the same patterns for the same detectors
+     */
+    hasSamePatterns(other) {
+        if (!other || other.patterns.size !== this.patterns.size) return false;
+
+        for (const [pattern, detectorKeys] of this.patterns) {
+            const otherKeys = other.patterns.get(pattern);
+            if (!otherKeys || otherKeys.size !== detectorKeys.size) return false;
+            for (const detectorKey of detectorKeys) {
+                if (!otherKeys.has(detectorKey)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Find every indexed pattern contained in a text (case-insensitive)
+     * @param {string} text - Haystack
+     * @returns {Set} Lowercased patterns found
+     */
+    scan(text) {
+        if (!this.built) this.build();
+
+        const found = new Set();
+        if (!text || this.patterns.size === 0) return found;
+
+        const haystack = text.toLowerCase();
+        const nodes = this.nodes;
+        const root = nodes[0].next;
+        let state = 0;
+
+        for (let i = 0; i < haystack.length; i++) {
+            const code = haystack.charCodeAt(i);
+
+            // Most characters of a page start no pattern: skip them without walking failure links
+            if (state === 0) {
+                state = root.get(code) ?? 0;
+            } else {
+                while (state !== 0 && !nodes[state].next.has(code)) {
+                    state = nodes[state].fail;
+                }
+                state = nodes[state].next.get(code) ?? 0;
+            }
+
+            const outputs = nodes[state].outputs;
+            for (let j = 0; j < outputs.length; j++) {
+                found.add(outputs[j]);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Get the detectors that could match given the patterns found by scan()
+     * @param {Set} found - Patterns found
+     * @returns {Set} Detector keys ('category/id')
+     */
+    getCandidates(found) {
+        const candidates = new Set();
+        for (const pattern of found) {
+            (this.patterns.get(pattern) || []).forEach(detectorKey => candidates.add(detectorKey));
+        }
+        return candidates;
+    }
+
+    /**
+     * Get index size
+     * @returns {object} {patterns, states}
+     */
+    getStats() {
+        return { patterns: this.patterns.size, states: this.nodes.length };
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternIndex;
+} else if (typeof window !== 'undefined') {
+    window.PatternIndex = PatternIndex;
+}
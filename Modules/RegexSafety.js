@@ -0,0 +1,371 @@
+/**
+ * RegexSafety - Checks rule regexes before they reach the detection engine
+ * Custom and imported rules run their regexes over megabytes of HTML; a pattern prone to catastrophic
+ * backtracking can hang detection. Rules.saveRule() and DetectorManager.importDetectors() reject rules
+ * that fail validate(), DetectionEngineManager disables patterns that fail it or exceed their time budget
+ *
+ * The checks are heuristics: quantifiers nested in an unbounded quantifier ((a+)+, (\w*x)*, (a?b)+),
+ * quantified alternations whose branches can match empty or start with the same character ((a|a?)+,
+ * (\w|\d)+, (a|)*) and adjacent identical unbounded atoms (.*.*)
+ */
+class RegexSafety {
+    // Longer patterns are rejected outright
+    static MAX_PATTERN_LENGTH = 1000;
+    // Rule fields holding a regex when the rule sets nameRegex / valueRegex
+    static NAME_FIELDS = ['pattern', 'content', 'api', 'name'];
+    static VALUE_FIELDS = ['value', 'caller'];
+    // Characters tried when checking whether two alternation branches can start alike
+    static SAMPLE_CHARS = [
+        ...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)),
+        '\u00a0', '\u00e9', '\u2028', '\u4e00', '\ufeff'
+    ];
+
+    /**
+     * Validate a regex source
+     * @param {string} source - Regex source
+     * @returns {object} {valid, error} - error is the syntax error or the first unsafe construct
+     */
+    static validate(source) {
+        if (typeof source !== 'string' || source === '') {
+            return { valid: false, error: 'Empty pattern' };
+        }
+        if (source.length > RegexSafety.MAX_PATTERN_LENGTH) {
+            return { valid: false, error: `Pattern longer than ${RegexSafety.MAX_PATTERN_LENGTH} characters` };
+        }
+
+        try {
+            new RegExp(source);
+        } catch (error) {
+            return { valid: false, error: `Syntax error: ${error.message}` };
+        }
+
+        const unsafe = RegexSafety.findUnsafeConstructs(source);
+        if (unsafe.length > 0) {
+            return { valid: false, error: unsafe[0] };
+        }
+
+        return { valid: true, error: null };
+    }
+
+    /**
+     * Find constructs prone to catastrophic backtracking
+     * @param {string} source - Regex source (syntactically valid)
+     * @returns {array} Descriptions of the unsafe constructs found
+     */
+    static findUnsafeConstructs(source) {
+        const issues = [];
+        // Open groups: {start, branchStart, branches, hasQuantifier}
+        const stack = [{ start: -1, branchStart: 0, branches: [], hasQuantifier: false }];
+        // Last atom a quantifier applies to: {text, start, group}
+        let atom = null;
+        // Last atom with an unbounded quantifier: {text, start, end}
+        let lastUnbounded = null;
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (char === '\\') {
+                atom = { text: source.slice(i, i + 2), start: i };
+                i += 2;
+                continue;
+            }
+
+            if (char === '[') {
+                const end = RegexSafety.classEnd(source, i);
+                atom = { text: source.slice(i, end + 1), start: i };
+                i = end + 1;
+                continue;
+            }
+
+            if (char === '(') {
+                // Skip the group prefix: (?: (?= (?! (?<= (?<! (?<name>
+                let bodyStart = i + 1;
+                if (source[bodyStart] === '?') {
+                    const named = source.slice(bodyStart).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+                    bodyStart += named ? named[0].length : 1;
+                }
+                stack.push({ start: i, branchStart: bodyStart, branches: [], hasQuantifier: false });
+                atom = null;
+                i = bodyStart;
+                continue;
+            }
+
+            if (char === ')' && stack.length > 1) {
+                const group = stack.pop();
+                group.branches.push(source.slice(group.branchStart, i));
+                atom = { text: source.slice(group.start, i + 1), start: group.start, group };
+                // A quantifier inside a nested group is a quantifier inside its parents too
+                if (group.hasQuantifier) {
+                    stack[stack.length - 1].hasQuantifier = true;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '|') {
+                const group = stack[stack.length - 1];
+                group.branches.push(source.slice(group.branchStart, i));
+                group.branchStart = i + 1;
+                atom = null;
+                i++;
+                continue;
+            }
+
+            const quantifier = source.slice(i).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})/);
+            if (quantifier && atom) {
+                const unbounded = char === '*' || char === '+' || (quantifier[2] !== undefined && quantifier[3] === '');
+                // {n} repeats a fixed count; every other quantifier lets the engine choose how much the atom takes
+                const variable = quantifier[1] === undefined || quantifier[2] !== undefined;
+                let end = i + quantifier[0].length;
+                if (source[end] === '?') end++; // Lazy quantifier
+
+                if (unbounded) {
+                    if (atom.group?.hasQuantifier) {
+                        issues.push(`Nested quantifier: ${atom.text}${quantifier[0]}`);
+                    }
+
+                    const branches = atom.group?.branches || [];
+                    if (branches.length > 1 && RegexSafety.hasAmbiguousBranches(branches)) {
+                        issues.push(`Quantified alternation with empty or overlapping branches: ${atom.text}${quantifier[0]}`);
+                    }
+
+                    if (lastUnbounded && lastUnbounded.end === atom.start && lastUnbounded.text === atom.text) {
+                        issues.push(`Adjacent unbounded quantifiers: ${source.slice(lastUnbounded.start, end)}`);
+                    }
+
+                    lastUnbounded = { text: atom.text, start: atom.start, end };
+                }
+                if (variable) {
+                    stack[stack.length - 1].hasQuantifier = true;
+                }
+
+                atom = null;
+                i = end;
+                continue;
+            }
+
+            atom = { text: char, start: i };
+            i++;
+        }
+
+        return issues;
+    }
+
+    /**
+     * Index of the ] closing a character class
+     * @param {string} source - Regex source
+     * @param {number} start - Index of the [
+     * @returns {number} Index of the matching ]
+     */
+    static classEnd(source, start) {
+        let end = start + 1;
+        if (source[end] === '^') end++;
+        if (source[end] === ']') end++;
+        while (end < source.length && source[end] !== ']') {
+            end += source[end] === '\\' ? 2 : 1;
+        }
+        return end;
+    }
+
+    /**
+     * Split a regex source into its top level alternation branches and their atoms
+     * @param {string} source - Regex source (syntactically valid)
+     * @returns {array} One array per branch of {text, group, min}: text is a single character atom (null for
+     *                  assertions), group the body of a group, min the atom's minimum repeat count
+     */
+    static readBranches(source) {
+        const branches = [[]];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+            let atom;
+
+            if (char === '|') {
+                branches.push([]);
+                i++;
+                continue;
+            }
+
+            if (char === '\\') {
+                const escape = source.slice(i, i + 2);
+                i += 2;
+                if (escape === '\\k' && source[i] === '<') {
+                    i = source.indexOf('>', i) + 1;
+                }
+                // Word boundaries match no character, back references can match anything
+                atom = { text: /^\\[bB]$/.test(escape) ? null : /^\\[1-9k]$/.test(escape) ? '[\\s\\S]' : escape };
+            } else if (char === '[') {
+                const end = RegexSafety.classEnd(source, i);
+                atom = { text: source.slice(i, end + 1) };
+                i = end + 1;
+            } else if (char === '(') {
+                let depth = 0;
+                let end = i;
+                for (; end < source.length; end++) {
+                    if (source[end] === '\\') end++;
+                    else if (source[end] === '[') end = RegexSafety.classEnd(source, end);
+                    else if (source[end] === '(') depth++;
+                    else if (source[end] === ')' && --depth === 0) break;
+                }
+                const prefix = source.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+                // Lookarounds match no character
+                atom = prefix && /[=!]$/.test(prefix[0])
+                    ? { text: null }
+                    : { group: source.slice(i + 1 + (prefix ? prefix[0].length : 0), end) };
+                i = end + 1;
+            } else {
+                atom = { text: char === '^' || char === '$' ? null : char };
+                i++;
+            }
+
+            const quantifier = source.slice(i).match(/^(?:[*+?]|\{(\d+)(?:,\d*)?\})\??/);
+            atom.min = !quantifier ? 1 : quantifier[1] !== undefined ? parseInt(quantifier[1]) : quantifier[0][0] === '+' ? 1 : 0;
+            if (quantifier) i += quantifier[0].length;
+            branches[branches.length - 1].push(atom);
+        }
+
+        return branches;
+    }
+
+    /**
+     * Atoms a regex source can start with
+     * @param {string} source - Regex source (syntactically valid)
+     * @returns {object} {atoms, nullable} - single character atom sources, nullable when it can match empty
+     */
+    static leadingAtoms(source) {
+        const atoms = [];
+        let nullable = false;
+
+        RegexSafety.readBranches(source).forEach(branch => {
+            let branchNullable = true;
+            for (const atom of branch) {
+                let atomNullable = atom.min === 0;
+                if (atom.group !== undefined) {
+                    const inner = RegexSafety.leadingAtoms(atom.group);
+                    atoms.push(...inner.atoms);
+                    atomNullable = atomNullable || inner.nullable;
+                } else if (atom.text === null) {
+                    atomNullable = true;
+                } else {
+                    atoms.push(atom.text);
+                }
+                if (!atomNullable) {
+                    branchNullable = false;
+                    break;
+                }
+            }
+            nullable = nullable || branchNullable;
+        });
+
+        return { atoms, nullable };
+    }
+
+    /**
+     * Whether the branches of a quantified alternation make the split of the input ambiguous: a branch
+     * that can match empty, or two branches that can start with the same character
+     * @param {string[]} branches - Branch sources
+     * @returns {boolean} True if backtracking can try the same input through several branches
+     */
+    static hasAmbiguousBranches(branches) {
+        const starts = branches.map(branch => RegexSafety.leadingAtoms(branch));
+        if (starts.some(start => start.nullable)) {
+            return true;
+        }
+
+        // Case-insensitive like the detection engine's default
+        const charSets = starts.map(start => {
+            const regexes = start.atoms.map(atom => new RegExp(`^(?:${atom})$`, 'i'));
+            return new Set(RegexSafety.SAMPLE_CHARS.filter(char => regexes.some(regex => regex.test(char))));
+        });
+
+        return charSets.some((charSet, index) =>
+            charSets.slice(index + 1).some(other => [...charSet].some(char => other.has(char)))
+        );
+    }
+
+    /**
+     * Validate every regex of a detector: detection rules, their exclusions, groups, variants, states
+     * and detector-level exclusions
+     * @param {object} detector - Detector configuration
+     * @returns {array} [{path, pattern, error}] for each invalid regex
+     */
+    static validateDetector(detector = {}) {
+        const issues = [];
+        const detection = detector.detection || {};
+
+        const checkRule = (rule, path) => {
+            if (!rule || typeof rule !== 'object') return;
+
+            const fields = [
+                ...(rule.nameRegex === true ? RegexSafety.NAME_FIELDS : []),
+                ...(rule.valueRegex === true ? RegexSafety.VALUE_FIELDS : [])
+            ];
+            fields
+                .filter(field => typeof rule[field] === 'string' && rule[field] !== '')
+                .forEach(field => {
+                    const result = RegexSafety.validate(rule[field]);
+                    if (!result.valid) {
+                        issues.push({ path: `${path}.${field}`, pattern: rule[field], error: result.error });
+                    }
+                });
+
+            (Array.isArray(rule.exclude) ? rule.exclude : []).forEach((condition, index) => checkRule(condition, `${path}.exclude[${index}]`));
+        };
+        const checkConditions = (conditions, path) => {
+            (Array.isArray(conditions) ? conditions : []).forEach((condition, index) => checkRule(condition, `${path}[${index}]`));
+        };
+
+        for (const [method, rules] of Object.entries(detection)) {
+            if (method === 'groups') continue;
+            checkConditions(rules, `detection.${method}`);
+        }
+        (detection.groups || []).forEach((group, index) => checkConditions(group?.conditions, `detection.groups[${index}].conditions`));
+        (detector.variants || []).forEach((variant, index) => checkConditions(variant?.conditions, `variants[${index}].conditions`));
+        (detector.states || []).forEach((state, index) => checkConditions(state?.conditions, `states[${index}].conditions`));
+        checkConditions(detector.exclude, 'exclude');
+
+        return issues;
+    }
+
+    /**
+     * Validate every detector of a detector set
+     * @param {object} detectors - Detector configurations organized by category
+     * @returns {array} [{category, detector, path, pattern, error}]
+     */
+    static validateDetectors(detectors = {}) {
+        const issues = [];
+        for (const [category, categoryDetectors] of Object.entries(detectors)) {
+            for (const [key, detector] of Object.entries(categoryDetectors || {})) {
+                RegexSafety.validateDetector(detector).forEach(issue => {
+                    issues.push({ category, detector: detector?.name || key, ...issue });
+                });
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Format validation issues for a notification
+     * @param {array} issues - Issues from validateDetector() / validateDetectors()
+     * @param {number} limit - Maximum issues listed
+     * @returns {string} One line per issue
+     */
+    static formatIssues(issues, limit = 3) {
+        const lines = issues.slice(0, limit).map(issue =>
+            `${issue.detector ? `${issue.detector} ` : ''}${issue.path}: ${issue.error}`
+        );
+        if (issues.length > limit) {
+            lines.push(`…and ${issues.length - limit} more`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegexSafety;
+} else if (typeof window !== 'undefined') {
+    window.RegexSafety = RegexSafety;
+}
@@ -0,0 +1,586 @@
+/**
+ * RuleFeedManager - Subscriptions to remote detector packs (rule feeds)
+ * A pack is an index.json-compatible manifest served from a URL, next to its detector files:
+ *   {base}/index.json      {"name", "version", "lastUpdated", "integrity": {"antibot/x.json": sha256 hex},
+ *                           "antibot": {"colour", "detectors": ["x", ...]}, ...}
+ *   {base}/{category}/{detector}.json
+ *   {base}/index.json.sig  Base64 ECDSA P-256 / SHA-256 signature of the exact index.json bytes
+ *
+ * A feed may pin a public key (base64 SPKI or PEM). Its manifest must then be signed and list the hash of
+ * every detector file, so the signature covers the whole pack. Unsigned feeds still check listed hashes.
+ *
+ * The background checks every feed periodically and stores the pending update with its diff. The Rules
+ * section shows the diff and applies it. Each feed keeps the detectors it last applied as its base. A local
+ * detector that differs from its base (edited or deleted) is an override, which updates leave in place.
+ */
+class RuleFeedManager {
+    static STORAGE_KEY = 'scrapfly_rule_feeds';
+    static ALARM_NAME = 'scrapfly-rule-feeds';
+    static CHECK_INTERVAL_MINUTES = 360;
+    static FETCH_TIMEOUT = 15000;
+    // Category and detector names become URL path segments
+    static NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+    /**
+     * @param {DetectorManager} detectorManager - Detectors the feeds install into
+     */
+    constructor(detectorManager) {
+        this.detectorManager = detectorManager;
+        // [{id, url, publicKey, name, version, lastUpdated, detectors, lastChecked, lastError, pendingUpdate}]
+        // detectors is the base: {category: {detectorName: detector}} as last applied
+        this.feeds = [];
+    }
+
+    /**
+     * Load feeds from Chrome storage
+     */
+    async loadFromStorage() {
+        try {
+            const result = await chrome.storage.local.get([RuleFeedManager.STORAGE_KEY]);
+            const data = result[RuleFeedManager.STORAGE_KEY];
+            this.feeds = data ? JSON.parse(data).feeds || [] : [];
+        } catch (error) {
+            console.error('Failed to load rule feeds from storage:', error);
+            this.feeds = [];
+        }
+        return this.feeds;
+    }
+
+    /**
+     * Save feeds to Chrome storage
+     */
+    async saveToStorage() {
+        await chrome.storage.local.set({
+            [RuleFeedManager.STORAGE_KEY]: JSON.stringify({ timestamp: new Date().toISOString(), feeds: this.feeds })
+        });
+    }
+
+    /**
+     * Get all feeds
+     * @returns {array} Feeds
+     */
+    getFeeds() {
+        return this.feeds;
+    }
+
+    /**
+     * Get a feed by id
+     * @param {string} feedId - Feed id
+     * @returns {object|undefined} Feed
+     */
+    getFeed(feedId) {
+        return this.feeds.find(feed => feed.id === feedId);
+    }
+
+    /**
+     * Subscribe to a pack and fetch it; the first update is left pending so its diff can be reviewed
+     * @param {string} url - Manifest URL, or the directory serving index.json
+     * @param {string} publicKey - Optional signing key (base64 SPKI or PEM)
+     * @returns {Promise<object>} The new feed
+     */
+    async subscribe(url, publicKey = '') {
+        const manifestUrl = RuleFeedManager.getManifestUrl(url);
+        if (this.feeds.some(feed => feed.url === manifestUrl)) {
+            throw new Error('Already subscribed to this feed');
+        }
+
+        const feed = {
+            id: `feed-${Date.now()}`,
+            url: manifestUrl,
+            publicKey: publicKey.trim(),
+            name: '',
+            version: null,
+            lastUpdated: null,
+            detectors: {},
+            lastChecked: null,
+            lastError: null,
+            pendingUpdate: null
+        };
+
+        // Fail before saving anything: unreachable URL, bad signature, invalid detectors
+        const pack = await this.fetchPack(feed);
+        await this.setPendingUpdate(feed, pack);
+
+        this.feeds.push(feed);
+        await this.saveToStorage();
+        console.log(`📡 Subscribed to rule feed ${manifestUrl}`);
+        return feed;
+    }
+
+    /**
+     * Unsubscribe from a feed, removing the detectors it installed that were not edited locally
+     * @param {string} feedId - Feed id
+     * @returns {Promise<number>} Number of detectors removed
+     */
+    async unsubscribe(feedId) {
+        const feed = this.getFeed(feedId);
+        if (!feed) return 0;
+
+        const removed = [];
+        for (const [category, detectorName, base] of RuleFeedManager.entries(feed.detectors)) {
+            const local = this.detectorManager.getDetector(category, detectorName);
+            if (local && !this.isOverride(local, base)) {
+                delete this.detectorManager.detectors[category][detectorName];
+                removed.push({ category, detectorName, previous: local });
+            }
+        }
+
+        this.feeds = this.feeds.filter(entry => entry.id !== feedId);
+        if (removed.length > 0) {
+            await this.detectorManager.saveDetectorsToStorage();
+            for (const { category, detectorName, previous } of removed) {
+                await this.recordFeedRevision(feed, category, detectorName, previous, null);
+            }
+        }
+        await this.saveToStorage();
+        return removed.length;
+    }
+
+    /**
+     * Check a feed for a new version; a new version is fetched, diffed and stored as pendingUpdate
+     * @param {string} feedId - Feed id
+     * @param {boolean} force - Fetch and diff the pack even if its version did not change
+     * @returns {Promise<object>} The feed (lastError is set when the check failed)
+     */
+    async checkFeed(feedId, force = false) {
+        const feed = this.getFeed(feedId);
+        if (!feed) throw new Error('Feed not found');
+
+        try {
+            const { manifest } = await this.fetchManifest(feed);
+            const known = feed.pendingUpdate || feed;
+            const changed = manifest.version !== known.version || manifest.lastUpdated !== known.lastUpdated;
+
+            if (changed || force) {
+                await this.setPendingUpdate(feed, await this.fetchPack(feed));
+            }
+            feed.lastError = null;
+        } catch (error) {
+            console.warn(`📡 Rule feed check failed for ${feed.url}:`, error.message);
+            feed.lastError = error.message;
+        }
+
+        feed.lastChecked = new Date().toISOString();
+        await this.saveToStorage();
+        return feed;
+    }
+
+    /**
+     * Check every feed (periodic background check)
+     * @returns {Promise<number>} Number of feeds with a pending update
+     */
+    async checkAll() {
+        await this.loadFromStorage();
+        for (const feed of this.feeds) {
+            await this.checkFeed(feed.id);
+        }
+
+        const pending = this.feeds.filter(feed => feed.pendingUpdate).length;
+        console.log(`📡 Checked ${this.feeds.length} rule feeds, ${pending} with pending updates`);
+        return pending;
+    }
+
+    /**
+     * Store a fetched pack as the feed's pending update
+     * A pack that changes nothing locally is recorded as applied right away
+     * @param {object} feed - Feed
+     * @param {object} pack - fetchPack() result
+     */
+    async setPendingUpdate(feed, pack) {
+        const diff = await this.computeDiff(feed, pack.detectors);
+        feed.name = pack.manifest.name || feed.name;
+
+        if (diff.added.length + diff.changed.length + diff.removed.length === 0) {
+            feed.version = pack.manifest.version ?? null;
+            feed.lastUpdated = pack.manifest.lastUpdated ?? null;
+            feed.detectors = pack.detectors;
+            feed.pendingUpdate = null;
+            return;
+        }
+
+        feed.pendingUpdate = {
+            version: pack.manifest.version ?? null,
+            lastUpdated: pack.manifest.lastUpdated ?? null,
+            detectors: pack.detectors,
+            categories: pack.categories,
+            diff,
+            fetchedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Apply a feed's pending update to the local detectors
+     * The diff is computed again against the current local detectors
+     * @param {string} feedId - Feed id
+     * @returns {Promise<object>} Applied diff {added, changed, removed, overridden}
+     */
+    async applyUpdate(feedId) {
+        const feed = this.getFeed(feedId);
+        if (!feed?.pendingUpdate) throw new Error('No pending update for this feed');
+
+        const update = feed.pendingUpdate;
+        const diff = await this.computeDiff(feed, update.detectors);
+        const detectors = this.detectorManager.detectors;
+        const revisions = [];
+
+        for (const { category, detectorName } of [...diff.added, ...diff.changed]) {
+            const local = detectors[category]?.[detectorName];
+            const detector = JSON.parse(JSON.stringify(update.detectors[category][detectorName]));
+            if (local && local.enabled !== undefined) {
+                detector.enabled = local.enabled;
+            }
+            if (!detectors[category]) {
+                detectors[category] = {};
+            }
+            detectors[category][detectorName] = detector;
+            revisions.push({ category, detectorName, previous: local, current: detector });
+        }
+        for (const { category, detectorName } of diff.removed) {
+            revisions.push({ category, detectorName, previous: detectors[category][detectorName], current: null });
+            delete detectors[category][detectorName];
+        }
+
+        let categoriesAdded = false;
+        for (const [category, categoryData] of Object.entries(update.categories || {})) {
+            const categoryManager = this.detectorManager.getCategoryManager();
+            if (!categoryManager.hasCategory(category)) {
+                categoriesAdded = categoryManager.addCategory(category, { colour: categoryData.colour, detectors: [] }) || categoriesAdded;
+            }
+        }
+
+        await this.detectorManager.saveDetectorsToStorage();
+        for (const { category, detectorName, previous, current } of revisions) {
+            await this.recordFeedRevision(feed, category, detectorName, previous, current);
+        }
+        if (categoriesAdded) {
+            await this.detectorManager.getCategoryManager().saveToStorage();
+        }
+
+        feed.version = update.version;
+        feed.lastUpdated = update.lastUpdated;
+        feed.detectors = update.detectors;
+        feed.pendingUpdate = null;
+        await this.saveToStorage();
+
+        console.log(`📡 Applied rule feed ${feed.url}: +${diff.added.length} ~${diff.changed.length} -${diff.removed.length}, ${diff.overridden.length} local overrides kept`);
+        return diff;
+    }
+
+    /**
+     * Record a detector the feed installed, updated or removed in the detector's revision history
+     * @param {object} feed - Feed
+     * @param {string} category - Detector category
+     * @param {string} detectorName - Detector name
+     * @param {object} previous - Detector before the change (undefined when added)
+     * @param {object} current - Detector after the change (null when removed)
+     * @returns {Promise<void>}
+     */
+    async recordFeedRevision(feed, category, detectorName, previous, current) {
+        await this.detectorManager.recordRevision(category, detectorName, 'feed', previous, current, {
+            feed: feed.name || feed.url
+        });
+    }
+
+    /**
+     * Compare a pack with the feed's base and the local detectors
+     * - added: new in the pack and not present locally
+     * - changed: differs from the local detector, which is unedited (for detectors not from this feed yet:
+     *   still its built-in file or the first version its history recorded)
+     * - removed: dropped from the pack, local copy unedited
+     * - overridden: changed or dropped upstream, but edited or deleted locally, so left as is
+     * @param {object} feed - Feed (its detectors are the base)
+     * @param {object} packDetectors - {category: {detectorName: detector}} from the pack
+     * @returns {Promise<object>} {added, changed, removed, overridden}: [{category, detectorName, name}]
+     */
+    async computeDiff(feed, packDetectors) {
+        const diff = { added: [], changed: [], removed: [], overridden: [] };
+        const base = feed.detectors || {};
+        const history = await this.detectorManager.loadHistory();
+        const same = (a, b) => RuleFeedManager.canonicalize(a) === RuleFeedManager.canonicalize(b);
+        const entry = (category, detectorName, detector) => ({ category, detectorName, name: detector?.name || detectorName });
+
+        for (const [category, detectorName, packDetector] of RuleFeedManager.entries(packDetectors)) {
+            const local = this.detectorManager.getDetector(category, detectorName);
+            const baseDetector = base[category]?.[detectorName];
+
+            if (!baseDetector) {
+                if (!local) {
+                    diff.added.push(entry(category, detectorName, packDetector));
+                } else if (!same(local, packDetector)) {
+                    if (await this.isLocalEdit(category, detectorName, local, history)) {
+                        diff.overridden.push(entry(category, detectorName, local));
+                    } else {
+                        diff.changed.push(entry(category, detectorName, packDetector));
+                    }
+                }
+            } else if (!same(baseDetector, packDetector)) {
+                if (local && !this.isOverride(local, baseDetector)) {
+                    diff.changed.push(entry(category, detectorName, packDetector));
+                } else {
+                    diff.overridden.push(entry(category, detectorName, local || packDetector));
+                }
+            }
+        }
+
+        for (const [category, detectorName, baseDetector] of RuleFeedManager.entries(base)) {
+            if (packDetectors[category]?.[detectorName]) continue;
+
+            const local = this.detectorManager.getDetector(category, detectorName);
+            if (!local) continue;
+            if (this.isOverride(local, baseDetector)) {
+                diff.overridden.push(entry(category, detectorName, local));
+            } else {
+                diff.removed.push(entry(category, detectorName, local));
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Check whether a local detector was edited since its feed installed it
+     * @param {object} local - Local detector
+     * @param {object} base - Detector as installed by the feed
+     * @returns {boolean} True if the local detector is an override
+     */
+    isOverride(local, base) {
+        return RuleFeedManager.canonicalize(local) !== RuleFeedManager.canonicalize(base);
+    }
+
+    /**
+     * Check whether a local detector the feed has not installed yet was edited locally
+     * It is unedited while it equals its built-in file or the first version its history recorded;
+     * a detector of unknown origin (imported, edited before history was kept) counts as edited
+     * @param {string} category - Detector category
+     * @param {string} detectorName - Detector name
+     * @param {object} local - Local detector
+     * @param {object} history - DetectorManager.loadHistory() result
+     * @returns {Promise<boolean>} True if the local detector must be kept as an override
+     */
+    async isLocalEdit(category, detectorName, local, history) {
+        const same = (a, b) => RuleFeedManager.canonicalize(a) === RuleFeedManager.canonicalize(b);
+
+        if (this.detectorManager.isBuiltInDetector(category, detectorName)) {
+            const builtIn = await this.detectorManager.readDetectorFile(category, detectorName);
+            if (builtIn && same(local, builtIn)) return false;
+        }
+
+        const firstRevision = (history[`${category}/${detectorName}`] || [])[0];
+        return !firstRevision?.detector || !same(local, firstRevision.detector);
+    }
+
+    /**
+     * Fetch and verify a whole pack
+     * @param {object} feed - Feed
+     * @returns {Promise<object>} {manifest, detectors: {category: {detectorName: detector}}, categories: {category: {colour}}}
+     */
+    async fetchPack(feed) {
+        const { manifest } = await this.fetchManifest(feed);
+        const integrity = manifest.integrity || {};
+        const detectors = {};
+        const categories = {};
+        const requests = [];
+
+        for (const [category, categoryData] of Object.entries(manifest)) {
+            // Like index.json: entries without a detectors array are not categories
+            if (!Array.isArray(categoryData?.detectors)) continue;
+            if (!RuleFeedManager.NAME_PATTERN.test(category)) {
+                throw new Error(`Invalid category name: ${category}`);
+            }
+
+            detectors[category] = {};
+            categories[category] = { colour: categoryData.colour };
+
+            for (const detectorName of categoryData.detectors) {
+                if (typeof detectorName !== 'string' || !RuleFeedManager.NAME_PATTERN.test(detectorName)) {
+                    throw new Error(`Invalid detector name in ${category}: ${detectorName}`);
+                }
+
+                const file = `${category}/${detectorName}.json`;
+                if (feed.publicKey && !integrity[file]) {
+                    throw new Error(`${file} has no integrity hash in the signed manifest`);
+                }
+
+                requests.push(this.fetchText(new URL(file, feed.url).href).then(async text => {
+                    if (integrity[file] && await RuleFeedManager.sha256(text) !== String(integrity[file]).toLowerCase()) {
+                        throw new Error(`${file} does not match its integrity hash`);
+                    }
+                    detectors[category][detectorName] = this.detectorManager.normalizeDetectorData(JSON.parse(text));
+                }));
+            }
+        }
+
+        await Promise.all(requests);
+
+        // Same checks as an import
+        if (typeof DetectorSchema !== 'undefined') {
+            const schemaIssues = DetectorSchema.validateDetectors(detectors);
+            if (schemaIssues.length > 0) {
+                throw new Error(`Invalid detectors:\n${DetectorSchema.formatIssues(schemaIssues)}`);
+            }
+        }
+        if (typeof RegexSafety !== 'undefined') {
+            const regexIssues = RegexSafety.validateDetectors(detectors);
+            if (regexIssues.length > 0) {
+                throw new Error(`Unsafe regex patterns:\n${RegexSafety.formatIssues(regexIssues)}`);
+            }
+        }
+
+        return { manifest, detectors, categories };
+    }
+
+    /**
+     * Fetch a feed's manifest, verifying its signature when the feed pins a public key
+     * @param {object} feed - Feed
+     * @returns {Promise<object>} {manifest, text}
+     */
+    async fetchManifest(feed) {
+        const text = await this.fetchText(feed.url);
+
+        if (feed.publicKey) {
+            const signature = await this.fetchText(`${feed.url}.sig`);
+            if (!await RuleFeedManager.verifySignature(text, signature, feed.publicKey)) {
+                throw new Error('Manifest signature does not match the feed public key');
+            }
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Manifest is not valid JSON: ${error.message}`);
+        }
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            throw new Error('Manifest must be an index.json-style object');
+        }
+        return { manifest, text };
+    }
+
+    /**
+     * Fetch a URL as text, bypassing the HTTP cache
+     * @param {string} url - URL
+     * @returns {Promise<string>} Response body
+     */
+    async fetchText(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), RuleFeedManager.FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(url, { cache: 'no-store', credentials: 'omit', signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`${url}: HTTP ${response.status}`);
+            }
+            return await response.text();
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? `${url}: timed out` : error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Resolve the manifest URL of a feed: a URL not ending in .json is the directory serving index.json
+     * @param {string} url - URL entered by the user
+     * @returns {string} Manifest URL
+     */
+    static getManifestUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(String(url).trim());
+        } catch (error) {
+            throw new Error('Invalid feed URL');
+        }
+        if (!/^https?:$/.test(parsed.protocol)) {
+            throw new Error('Feed URL must be http or https');
+        }
+        if (!parsed.pathname.endsWith('.json')) {
+            parsed.pathname = `${parsed.pathname.replace(/\/$/, '')}/index.json`;
+        }
+        return parsed.href;
+    }
+
+    /**
+     * Verify an ECDSA P-256 / SHA-256 signature (IEEE P1363 format, as produced by WebCrypto)
+     * @param {string} text - Signed text
+     * @param {string} signature - Base64 signature
+     * @param {string} publicKey - Base64 SPKI or PEM public key
+     * @returns {Promise<boolean>} True if the signature is valid
+     */
+    static async verifySignature(text, signature, publicKey) {
+        try {
+            const key = await crypto.subtle.importKey(
+                'spki',
+                RuleFeedManager.decodeBase64(publicKey.replace(/-----[^-]+-----/g, '')),
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['verify']
+            );
+            return await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                key,
+                RuleFeedManager.decodeBase64(signature),
+                new TextEncoder().encode(text)
+            );
+        } catch (error) {
+            console.warn('📡 Signature verification failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Decode base64, ignoring whitespace
+     * @param {string} value - Base64 text
+     * @returns {Uint8Array} Bytes
+     */
+    static decodeBase64(value) {
+        return Uint8Array.from(atob(String(value).replace(/\s+/g, '')), char => char.charCodeAt(0));
+    }
+
+    /**
+     * SHA-256 of a text as hex
+     * @param {string} text - Text (hashed as UTF-8)
+     * @returns {Promise<string>} Hex digest
+     */
+    static async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Serialize a detector for comparison: sorted keys, without the local enabled toggle and the
+     * lastUpdated stamp (restoring or re-adding a detector changes it, like diffDetectors() ignores it)
+     * @param {object} detector - Detector
+     * @returns {string} Canonical JSON
+     */
+    static canonicalize(detector) {
+        const sortKeys = (value) => {
+            if (Array.isArray(value)) return value.map(sortKeys);
+            if (!value || typeof value !== 'object') return value;
+            return Object.keys(value).sort().reduce((sorted, key) => {
+                sorted[key] = sortKeys(value[key]);
+                return sorted;
+            }, {});
+        };
+        const ignored = ['enabled', 'lastUpdated'];
+        const fields = Object.fromEntries(Object.entries(detector || {}).filter(([key]) => !ignored.includes(key)));
+        return JSON.stringify(sortKeys(fields));
+    }
+
+    /**
+     * Flatten a detector set
+     * @param {object} detectors - {category: {detectorName: detector}}
+     * @returns {array} [[category, detectorName, detector]]
+     */
+    static entries(detectors = {}) {
+        return Object.entries(detectors).flatMap(([category, categoryDetectors]) =>
+            Object.entries(categoryDetectors || {}).map(([detectorName, detector]) => [category, detectorName, detector])
+        );
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleFeedManager;
+} else if (typeof window !== 'undefined') {
+    window.RuleFeedManager = RuleFeedManager;
+}
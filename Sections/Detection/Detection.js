@@ -8,6 +8,8 @@ class Detection {
     this.paginationManager = null;
     this.lastNotificationTime = 0;
     this.notificationDebounceTime = 2000; // 2 seconds debounce
+    this.importedSource = null; // Set while showing results from an imported HAR file
+    this.onImportClosed = null; // Callback to restore live tab results
   }
 
   /**
@@ -81,6 +83,9 @@ class Detection {
     this.currentResults = detections;
     this.displayOptions = options;
     this.cacheMetadata = options.cacheMetadata || null;
+    this.network = options.network || null;
+    this.importedSource = options.source === 'har' ? { type: 'har', fileName: options.fileName } : null;
+    this.updateImportBar();
     this.hideLoadingState();
 
     const detectionResults = document.querySelector('#detectionResults');
@@ -122,6 +127,15 @@ class Detection {
     // Update URL display
     this.updateUrlDisplay(options);
 
+    // Show the main document status and redirect chain
+    this.updateNavigationDisplay(options.navigation);
+
+    // Show when each detector first matched (watch mode adds later matches)
+    this.updateTimelineDisplay(options.timeline);
+
+    // Show how long matching took and which detectors were slowest
+    this.updateScanStatsDisplay(options.scanStats);
+
     // Update stats
     this.updateStats(detections);
 
@@ -188,6 +202,136 @@ class Detection {
     if (detectionCount) detectionCount.textContent = totalDetections;
   }
 
+  /**
+   * Show the main document status code, redirect chain and timing
+   * @param {Object} navigation - pageData.navigation ({url, statusCode, statusLine, redirects, timing})
+   */
+  updateNavigationDisplay(navigation) {
+    const navigationLine = document.querySelector('#navigationLine');
+    const navigationChain = document.querySelector('#navigationChain');
+
+    if (!navigationLine || !navigationChain) {
+      return;
+    }
+
+    if (!navigation || !navigation.statusCode) {
+      navigationLine.style.display = 'none';
+      navigationChain.innerHTML = '';
+      return;
+    }
+
+    const getPath = (url) => {
+      try {
+        const urlObj = new URL(url);
+        return urlObj.hostname + urlObj.pathname;
+      } catch (e) {
+        return url;
+      }
+    };
+    const getHopHtml = (statusCode, url, title) => `
+      <span class="navigation-hop" title="${Utils.escapeHtml(title)}">
+        <span class="navigation-status status-${Math.floor(statusCode / 100)}xx">${statusCode}</span>
+        <span class="navigation-url">${Utils.escapeHtml(getPath(url))}</span>
+      </span>
+    `;
+
+    const hops = (navigation.redirects || []).map(redirect =>
+      getHopHtml(redirect.statusCode, redirect.url, `${redirect.url} → ${redirect.redirectUrl}${redirect.time !== undefined ? ` (${redirect.time} ms)` : ''}`)
+    );
+    hops.push(getHopHtml(navigation.statusCode, navigation.url, `${navigation.statusLine || navigation.statusCode} ${navigation.url}`));
+
+    const timing = navigation.timing || {};
+    const timingParts = [];
+    if (timing.responseStart !== undefined) timingParts.push(`TTFB ${timing.responseStart} ms`);
+    if (timing.duration !== undefined) timingParts.push(`total ${timing.duration} ms`);
+
+    navigationChain.innerHTML = hops.join('<span class="navigation-arrow">→</span>') +
+      (timingParts.length > 0 ? `<span class="navigation-timing">${timingParts.join(' · ')}</span>` : '');
+    navigationLine.style.display = 'block';
+  }
+
+  /**
+   * Show when each detector first matched, relative to the document's navigation start
+   * @param {Array} timeline - pageData.timeline ([{name, variant, elapsed, trigger}])
+   */
+  updateTimelineDisplay(timeline) {
+    const timelineLine = document.querySelector('#timelineLine');
+    const timelineEvents = document.querySelector('#timelineEvents');
+
+    if (!timelineLine || !timelineEvents) {
+      return;
+    }
+
+    if (!Array.isArray(timeline) || timeline.length === 0) {
+      timelineLine.style.display = 'none';
+      timelineEvents.innerHTML = '';
+      return;
+    }
+
+    const formatElapsed = (ms) => ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+
+    timelineEvents.innerHTML = timeline.map(event => `
+      <span class="timeline-event ${event.trigger === 'initial' ? '' : 'watch'}" title="${Utils.escapeHtml(event.variant || event.name)}: ${Utils.escapeHtml(event.trigger)}">
+        <span class="timeline-time">+${formatElapsed(event.elapsed)}</span>
+        <span class="timeline-name">${Utils.escapeHtml(event.name)}</span>
+      </span>
+    `).join('');
+    timelineLine.style.display = 'block';
+  }
+
+  /**
+   * Show the timing of the last detection scan (pattern index scan, detector matching, slowest detectors)
+   * Scans over their budget are flagged as partial, rule regexes the engine disabled are listed
+   * @param {Object} scanStats - pageData.scanStats from DetectionEngineManager.lastScanStats
+   */
+  updateScanStatsDisplay(scanStats) {
+    const scanStatsLine = document.querySelector('#scanStatsLine');
+    const scanStatsContainer = document.querySelector('#scanStats');
+
+    if (!scanStatsLine || !scanStatsContainer) {
+      return;
+    }
+
+    if (!scanStats) {
+      scanStatsLine.style.display = 'none';
+      scanStatsContainer.innerHTML = '';
+      return;
+    }
+
+    const formatBytes = (bytes) => bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+    const summary = scanStats.timedOut
+      ? [`timed out after ${scanStats.totalTime} ms`]
+      : [
+        `${scanStats.totalTime} ms total`,
+        `index ${scanStats.scanTime} ms over ${formatBytes(scanStats.bytesScanned || 0)}`,
+        `matching ${scanStats.matchTime} ms`,
+        `${scanStats.candidates} candidates, ${scanStats.detectors} detectors run${scanStats.notCandidates ? ` (${scanStats.notCandidates} skipped without a hit)` : ''}`
+      ];
+    const skipped = scanStats.skipped || [];
+    const disabledPatterns = scanStats.disabledPatterns || [];
+    const disabled = disabledPatterns.length > 0
+      ? `<span class="scan-stats-partial" title="${Utils.escapeHtml(disabledPatterns.map(entry => `${entry.detector || 'Condition'}: ${entry.pattern} (${entry.reason})`).join('\n'))}">${disabledPatterns.length} regex disabled</span>`
+      : '';
+    const partial = scanStats.partial
+      ? `<span class="scan-stats-partial" title="${Utils.escapeHtml(skipped.join(', '))}">Partial: ${scanStats.timedOut ? 'no results' : `${skipped.length} detectors skipped`}</span>`
+      : '';
+    const slowest = (scanStats.slowest || []).map(entry => `
+      <span class="scan-stats-detector">
+        <span class="timeline-name">${Utils.escapeHtml(entry.name)}</span>
+        <span class="timeline-time">${entry.time} ms</span>
+      </span>
+    `).join('');
+
+    scanStatsContainer.innerHTML = `
+      ${partial}
+      ${disabled}
+      <span class="scan-stats-summary" title="${scanStats.patterns || 0} literal patterns indexed in ${scanStats.indexTime || 0} ms">${summary.join(' · ')}</span>
+      ${slowest}
+    `;
+    scanStatsLine.style.display = 'block';
+  }
+
   /**
    * Update URL display with favicon and hostname
    * @param {Object} options - Options containing cacheMetadata or URL info
@@ -247,6 +391,13 @@ class Detection {
       // Set favicon if available
       if (favicon) {
         siteFavicon.src = favicon;
+      } else if (this.importedSource) {
+        // Imported pages are unrelated to the active tab, don't borrow its favicon
+        try {
+          siteFavicon.src = `${new URL(url).origin}/favicon.ico`;
+        } catch (e) {
+          siteFavicon.src = 'icons/icon16.png';
+        }
       } else {
         // Try to get favicon from Chrome tab API as fallback
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -277,7 +428,10 @@ class Detection {
       return;
     }
 
-    if (this.cacheMetadata && this.cacheMetadata.expiry) {
+    if (this.importedSource) {
+      // Imported results are not cached
+      cacheExpiry.textContent = 'HAR import';
+    } else if (this.cacheMetadata && this.cacheMetadata.expiry) {
       const expiryDate = new Date(this.cacheMetadata.expiry);
       const now = new Date();
       const diff = expiryDate - now;
@@ -323,6 +477,95 @@ class Detection {
     }
   }
 
+  /**
+   * Analyze a HAR file in the background and display its detections
+   * @param {File} file - HAR file selected or dropped by the user
+   */
+  async importHarFile(file) {
+    if (!file) return;
+
+    if (!file.name.toLowerCase().endsWith('.har') && file.type !== 'application/json') {
+      NotificationHelper.error('Please select a .har file');
+      return;
+    }
+
+    const loader = NotificationHelper.loading(`Analyzing ${file.name}...`);
+
+    try {
+      const har = await file.text();
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'IMPORT_HAR',
+        har: har,
+        fileName: file.name
+      });
+
+      loader.close();
+
+      if (!response || response.status !== 'success') {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      console.log(`Detection: HAR import found ${response.detectionResults.length} detections in ${file.name}`);
+
+      await this.displayResults(response.detectionResults, {
+        fromStorage: false,
+        source: 'har',
+        fileName: file.name,
+        navigation: response.navigation,
+        network: response.network,
+        cacheMetadata: {
+          timestamp: response.timestamp,
+          url: response.url,
+          favicon: response.favicon || ''
+        }
+      });
+
+      if (response.detectionResults.length === 0) {
+        NotificationHelper.info(`No security systems found in ${file.name}`);
+      }
+    } catch (error) {
+      loader.close();
+      console.error('Detection: Failed to import HAR:', error);
+      NotificationHelper.error(`Failed to import HAR: ${error.message}`);
+    }
+  }
+
+  /**
+   * Leave the imported HAR view and go back to the active tab results
+   */
+  closeImportedResults() {
+    this.importedSource = null;
+    this.updateImportBar();
+
+    if (typeof this.onImportClosed === 'function') {
+      this.onImportClosed();
+    }
+  }
+
+  /**
+   * Update the HAR import bar to reflect whether imported results are shown
+   */
+  updateImportBar() {
+    const importBar = document.querySelector('#harImportBar');
+    const importLabel = document.querySelector('#harImportLabel');
+    const closeBtn = document.querySelector('#closeHarImportBtn');
+
+    if (!importBar || !importLabel) return;
+
+    if (this.importedSource) {
+      importBar.classList.add('active');
+      importLabel.textContent = `Showing HAR: ${this.importedSource.fileName}`;
+      importLabel.title = this.importedSource.fileName;
+      if (closeBtn) closeBtn.style.display = 'inline-block';
+    } else {
+      importBar.classList.remove('active');
+      importLabel.textContent = 'Drop a .har file to analyze a captured page';
+      importLabel.title = '';
+      if (closeBtn) closeBtn.style.display = 'none';
+    }
+  }
+
   /**
    * Render detections page items (called by pagination manager)
    * @param {Array} detections - Detection items for current page
@@ -348,6 +591,15 @@ class Detection {
       const methodBadges = this.getMethodBadges(detection.matches);
       const hasMethods = detection.matches && detection.matches.length > 0;
 
+      // Get per-frame breakdown (only when some matches came from iframes)
+      const frameBreakdown = this.getFrameBreakdown(detection.matches);
+
+      // Get applied exclusions (suppressed patterns, down-weighted patterns or detections)
+      const exclusionNotes = this.getExclusionNotes(detection.exclusions);
+
+      // Get edge / transport signals of the main document (protocol, alt-svc, server-timing, NEL)
+      const networkPanel = this.getNetworkPanel(detection, this.network);
+
       resultsHtml += `
         <div class="detection-card ${hasMethods ? 'has-methods' : ''}" data-detection-index="${index}">
           <div class="card-header">
@@ -356,6 +608,7 @@ class Detection {
             </div>
             <div class="card-info">
               <h3 class="detector-name">${detection.detector?.name || detection.detector || 'Unknown'}</h3>
+              ${detection.variant ? `<div class="detector-variant" title="${(detection.variant.matched || []).join(', ')}">${detection.variant.name}</div>` : ''}
               <div class="category-badges">
                 ${categoryBadges}
               </div>
@@ -371,10 +624,13 @@ class Detection {
           </div>
           ${detection.matches && detection.matches.length > 0 ? `
             <div class="card-methods">
-              <div class="methods-label">Detection Methods:</div>
+              <div class="methods-label">Detection Methods${detection.confidenceMethod ? ` (${detection.confidenceMethod})` : ''}:</div>
               <div class="methods-list">
                 ${methodBadges}
               </div>
+              ${frameBreakdown}
+              ${exclusionNotes}
+              ${networkPanel}
             </div>
           ` : ''}
         </div>
@@ -440,6 +696,13 @@ class Detection {
       badges.push(`<span class="badge" style="background: ${categoryColor}; color: white;">${categoryName}</span>`);
     }
 
+    // Challenge state badge (blocked / challenge / captcha / passed), nothing for passive detections
+    const challengeState = detection.challengeState;
+    if (challengeState && challengeState.state !== 'none') {
+      const stateTitle = [challengeState.name, challengeState.reason].filter(Boolean).join(': ');
+      badges.push(`<span class="badge badge-state badge-state-${challengeState.state}" title="${stateTitle}">${challengeState.state}</span>`);
+    }
+
     // Add detection method badges based on actual matches
     if (detection.matches && detection.matches.length > 0) {
       const methodTypes = new Set();
@@ -524,6 +787,32 @@ class Detection {
           copyValue = displayValue;
           break;
 
+        case 'api':
+        case 'apis':
+          // Show: API name with call count, copy just the API name
+          displayValue = match.value || match.api || 'unknown';
+          copyValue = match.api || displayValue;
+          break;
+
+        case 'group':
+        case 'groups':
+          // Show: which conditions satisfied the requirement group, copy the group name
+          displayValue = match.value || match.pattern || 'unknown';
+          copyValue = match.pattern || displayValue;
+          break;
+
+        case 'status':
+          // Show: the response status (and header) that matched, copy the rule
+          displayValue = match.value || match.pattern || 'unknown';
+          copyValue = match.pattern || displayValue;
+          break;
+
+        case 'network':
+          // Show: the transport signal and value that matched, copy the rule
+          displayValue = match.value || match.pattern || 'unknown';
+          copyValue = match.pattern || displayValue;
+          break;
+
         case 'dom':
           // Show: selector=text format if available, otherwise just selector
           displayValue = match.value || match.selector || match.pattern || 'unknown';
@@ -556,11 +845,19 @@ class Detection {
       // Normalize method type for CSS class (plural to singular)
       const methodClass = methodType.toLowerCase().replace(/s$/, ''); // headers -> header, cookies -> cookie
 
+      // Show which request a match came from when it wasn't the page itself
+      const sourceUrl = match.url || (matchType === 'urls' ? match.value : '');
+      const sourceInfo = sourceUrl && match.resourceType && match.resourceType !== 'main_frame'
+        ? `${match.method ? match.method + ' ' : ''}${match.resourceType}: ${sourceUrl}\n`
+        : '';
+      const frameInfo = match.frameId > 0 ? `frame: ${match.frameUrl}\n` : '';
+
       return `
-        <div class="method-item-card method-${methodClass}" data-copy-value="${copyValue.replace(/"/g, '&quot;')}" data-method-type="${methodType}" title="Click to copy">
+        <div class="method-item-card method-${methodClass}" data-copy-value="${copyValue.replace(/"/g, '&quot;')}" data-method-type="${methodType}" title="${(frameInfo + sourceInfo).replace(/"/g, '&quot;')}Click to copy">
           <span class="method-type-badge" ${badgeStyle}>${methodType}</span>
           <input type="text" class="method-value-input" value="${displayValue.replace(/"/g, '&quot;')}" readonly>
           <span class="method-confidence ${confidenceClass}">${confidence}%</span>
+          ${typeof match.contribution === 'number' ? `<span class="method-contribution" title="Contribution to the detection score">+${match.contribution}</span>` : ''}
         </div>
       `;
     });
@@ -568,6 +865,126 @@ class Detection {
     return badges.join('');
   }
 
+  /**
+   * Get the per-frame breakdown of a detection's matches
+   * @param {array} matches - Detection matches annotated with frameId/frameUrl
+   * @returns {string} HTML for the frame list, empty when every match is from the top frame
+   */
+  getFrameBreakdown(matches) {
+    if (!matches || !matches.some(match => match.frameId > 0)) {
+      return '';
+    }
+
+    const frames = new Map();
+    matches.forEach(match => {
+      const frameId = match.frameId || 0;
+      if (!frames.has(frameId)) {
+        frames.set(frameId, { url: match.frameUrl || '', count: 0 });
+      }
+      frames.get(frameId).count++;
+    });
+
+    const items = Array.from(frames.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([frameId, frame]) => {
+        const label = frameId === 0 ? 'Top frame' : frame.url;
+        const escapedLabel = Utils.escapeHtml(label);
+        return `
+          <div class="frame-item" title="${escapedLabel}">
+            <span class="frame-url">${escapedLabel}</span>
+            <span class="frame-count">${frame.count} ${frame.count === 1 ? 'match' : 'matches'}</span>
+          </div>
+        `;
+      });
+
+    return `
+      <div class="card-frames">
+        <div class="methods-label">Frames:</div>
+        ${items.join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Get notes explaining which exclusions applied to a detection
+   * @param {array} exclusions - Exclusion records from the detection engine
+   * @returns {string} HTML for the exclusion list, empty when none applied
+   */
+  getExclusionNotes(exclusions) {
+    if (!exclusions || exclusions.length === 0) {
+      return '';
+    }
+
+    const items = exclusions.map(exclusion => {
+      const action = exclusion.action === 'downweight'
+        ? `Down-weighted x${exclusion.weight}`
+        : 'Suppressed';
+      const target = exclusion.scope === 'pattern'
+        ? `${(exclusion.type || '').toUpperCase()} ${exclusion.pattern}`
+        : 'Detection';
+
+      return `
+        <div class="exclusion-item" title="Matched: ${Utils.escapeHtml(exclusion.matched)}">
+          <span class="exclusion-action ${exclusion.action}">${action}</span>
+          <span class="exclusion-text">${Utils.escapeHtml(target)}: ${Utils.escapeHtml(exclusion.reason)}</span>
+        </div>
+      `;
+    });
+
+    return `
+      <div class="card-exclusions">
+        <div class="methods-label">Exclusions:</div>
+        ${items.join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Get the collapsible edge / transport panel for a detection
+   * Rows whose signal was matched by one of the detection's network rules are highlighted
+   * @param {object} detection - Detection object
+   * @param {object} network - Network info from DetectionEngineManager.extractNetworkInfo()
+   * @returns {string} HTML for the panel ('' when the page has no transport signals)
+   */
+  getNetworkPanel(detection, network) {
+    if (!network) {
+      return '';
+    }
+
+    const rows = [
+      ['protocol', 'Protocol', network.protocol ? `${network.protocol}${network.http3 && network.protocol !== 'h3' ? ' (h3 advertised)' : ''}` : ''],
+      ['alt-svc', 'Alt-Svc', (network.altSvc || []).map(entry => `${entry.protocol}${entry.authority ? `=${entry.authority}` : ''}`).join(', ')],
+      ['server-timing', 'Server-Timing', (network.serverTiming || []).map(timing =>
+        `${timing.name}${timing.duration !== undefined ? ` ${timing.duration}ms` : ''}${timing.description ? ` (${timing.description})` : ''}`
+      ).join(', ')],
+      ['nel', 'NEL', network.nel ? network.raw?.nel : ''],
+      ['report-to', 'Report-To', (network.reportTo || []).map(group => `${group.group}: ${group.endpoints.join(', ')}`).join('; ')],
+      ['reporting-endpoints', 'Reporting-Endpoints', Object.entries(network.reportingEndpoints || {}).map(([name, url]) => `${name}: ${url}`).join(', ')]
+    ].filter(([, , value]) => value);
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const matchedSignals = new Set((detection.matches || [])
+      .filter(match => match.type === 'network')
+      .map(match => match.name));
+
+    const items = rows.map(([signal, label, value]) => `
+      <div class="network-row ${matchedSignals.has(signal) ? 'matched' : ''}" title="${Utils.escapeHtml(value)}">
+        <span class="network-label">${label}</span>
+        <span class="network-value">${Utils.escapeHtml(value)}</span>
+      </div>
+    `);
+
+    return `
+      <details class="card-network">
+        <summary class="methods-label">Edge / transport${matchedSignals.size > 0 ? ` (${matchedSignals.size} matched)` : ''}</summary>
+        ${items.join('')}
+      </details>
+    `;
+  }
+
   /**
    * Copy detection details to clipboard
    * @param {number} index - Detection index
@@ -577,7 +994,7 @@ class Detection {
 
     const detection = this.currentResults[index];
     const detailsText = `
-Security System: ${detection.detector?.name || 'Unknown'}
+Security System: ${detection.detector?.name || 'Unknown'}${detection.variant ? `\nVariant: ${detection.variant.name}` : ''}
 Category: ${detection.category || 'Unknown'}
 Confidence: ${detection.confidence || 0}%
 Detection Methods: ${detection.matches?.map(m => `${m.type}: ${m.pattern || m.name || m.selector}`).join(', ') || 'Unknown'}
@@ -613,10 +1030,12 @@ Detection Methods: ${detection.matches?.map(m => `${m.type}: ${m.pattern || m.na
 
     return this.currentResults.filter(detection => {
       const name = (detection.detector?.name || detection.detector || '').toLowerCase();
+      const variant = (detection.variant?.name || '').toLowerCase();
       const category = (detection.category || '').toLowerCase();
       const description = (detection.detector?.description || '').toLowerCase();
 
       return name.includes(this.searchQuery) ||
+             variant.includes(this.searchQuery) ||
              category.includes(this.searchQuery) ||
              description.includes(this.searchQuery);
     });
@@ -825,6 +1244,46 @@ Detection Methods: ${detection.matches?.map(m => `${m.type}: ${m.pattern || m.na
         this.clearCache();
       });
     }
+
+    // Setup HAR import (button + drag and drop anywhere in the tab)
+    const importHarBtn = document.querySelector('#importHarBtn');
+    const harImportFile = document.querySelector('#harImportFile');
+    if (importHarBtn && harImportFile) {
+      importHarBtn.addEventListener('click', () => harImportFile.click());
+      harImportFile.addEventListener('change', (e) => {
+        this.importHarFile(e.target.files[0]);
+        e.target.value = '';
+      });
+    }
+
+    const closeHarImportBtn = document.querySelector('#closeHarImportBtn');
+    if (closeHarImportBtn) {
+      closeHarImportBtn.addEventListener('click', () => {
+        this.closeImportedResults();
+      });
+    }
+
+    const detectionTab = document.querySelector('#detectionTab');
+    const importBar = document.querySelector('#harImportBar');
+    if (detectionTab && importBar) {
+      detectionTab.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        importBar.classList.add('drag-over');
+      });
+      detectionTab.addEventListener('dragleave', (e) => {
+        if (!detectionTab.contains(e.relatedTarget)) {
+          importBar.classList.remove('drag-over');
+        }
+      });
+      detectionTab.addEventListener('drop', (e) => {
+        e.preventDefault();
+        importBar.classList.remove('drag-over');
+        const file = e.dataTransfer?.files?.[0];
+        if (file) {
+          this.importHarFile(file);
+        }
+      });
+    }
   }
 }
 
@@ -144,6 +144,7 @@ class History {
     items.forEach(item => {
       const timeAgo = this.getTimeAgo(new Date(item.timestamp));
       const domain = this.getDomainFromUrl(item.url);
+      const routePath = this.getRoutePath(item);
 
       // Use Scrapfly icon as default for favicon
       const faviconSrc = item.favicon || chrome.runtime.getURL('icons/icon16.png');
@@ -153,7 +154,7 @@ class History {
           <div class="history-item-content">
             <div class="history-header-info">
               <img src="${faviconSrc}" alt="Favicon" class="history-favicon" onerror="this.src='${chrome.runtime.getURL('icons/icon16.png')}'">
-              <div class="history-url" title="${item.url || ''}">${domain}</div>
+              <div class="history-url" title="${item.url || ''}">${domain}${routePath ? `<span class="history-route">${routePath}</span>` : ''}</div>
             </div>
             <div class="history-title" title="${item.title || 'Untitled'}">${item.title || 'Untitled'}</div>
             <div class="history-detections">
@@ -232,13 +233,15 @@ class History {
         }
       }
 
-      tagsHtml += `<span class="history-detection-tag" title="${category}" style="background: ${detectorColor}; color: white; border-color: ${detectorColor};">${name}</span>`;
+      // Show the identified variant (e.g. "reCAPTCHA Enterprise (invisible)") instead of the vendor name
+      const label = detection.variant?.name || name;
+      tagsHtml += `<span class="history-detection-tag" title="${category}" style="background: ${detectorColor}; color: white; border-color: ${detectorColor};">${label}</span>`;
     });
 
     if (detections.length > maxTags) {
       // Get remaining detection names for tooltip
       const remainingNames = detections.slice(maxTags).map(d =>
-        d.detector?.name || d.detector || 'Unknown'
+        d.variant?.name || d.detector?.name || d.detector || 'Unknown'
       ).join(', ');
 
       tagsHtml += `<span class="history-detection-tag more-detections" title="${remainingNames}">+${detections.length - maxTags} more</span>`;
@@ -296,7 +299,7 @@ class History {
       const url = (item.url || '').toLowerCase();
       const title = (item.title || '').toLowerCase();
       const detectionNames = (item.detections || [])
-        .map(d => (d.detector?.name || d.detector || '').toLowerCase())
+        .map(d => `${d.detector?.name || d.detector || ''} ${d.variant?.name || ''}`.toLowerCase())
         .join(' ');
 
       return url.includes(this.searchQuery) ||
@@ -450,6 +453,9 @@ class History {
       const confidence = detection.confidence || 0;
 
       text += `${index + 1}. ${name}\n`;
+      if (detection.variant) {
+        text += `   Variant: ${detection.variant.name}\n`;
+      }
       text += `   Category: ${category}\n`;
       text += `   Confidence: ${confidence}%\n`;
 
@@ -580,7 +586,10 @@ class History {
       return `
         <div class="history-modal-detection-card ${hasMethods ? 'has-methods' : ''}" data-detection-index="${index}">
           <div class="history-modal-detection-header">
-            <div class="history-modal-detection-name">${name}</div>
+            <div class="history-modal-detection-name">
+              ${name}
+              ${detection.variant ? `<span class="history-modal-detection-variant">${detection.variant.name}</span>` : ''}
+            </div>
             <div class="history-modal-detection-badges">
               <span class="history-modal-badge" style="background: ${categoryColor}; color: white;">${category}</span>
               <span class="history-modal-confidence ${confidenceClass}">${confidence}%</span>
@@ -711,6 +720,24 @@ class History {
     }
   }
 
+  /**
+   * Get the route path of a history item, so entries for /login and /search on one site can be told apart
+   * @param {Object} item - History item
+   * @returns {string} Route path ('' for the site root)
+   */
+  getRoutePath(item) {
+    let path = item.route?.path;
+    if (path === undefined) {
+      try {
+        const urlObj = new URL(item.url);
+        path = urlObj.pathname + (/^#!?\//.test(urlObj.hash) ? urlObj.hash : '');
+      } catch {
+        path = '';
+      }
+    }
+    return path === '/' ? '' : String(path).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  }
+
   /**
    * Get human-readable time ago string
    * @param {Date} date - Date object
@@ -1064,6 +1091,8 @@ class History {
         timestamp: Date.now(),
         detections: detectionResults,
         detectionCount: detectionResults.length,
+        challengeState: pageData.challengeState?.state || null,
+        route: pageData.route ? { path: pageData.route.path, type: pageData.route.type } : null,
         categories: [...new Set(detectionResults.map(d => d.category))]
       };
 
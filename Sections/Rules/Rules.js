@@ -104,6 +104,18 @@ class Rules {
       exportBtn.addEventListener('click', () => this.handleExport());
     }
 
+    // Rule feeds button
+    const ruleFeedsBtn = document.querySelector('#ruleFeedsBtn');
+    if (ruleFeedsBtn) {
+      ruleFeedsBtn.addEventListener('click', () => this.openRuleFeedsModal());
+    }
+
+    // Deleted detectors button (their history drawer can restore them)
+    const deletedDetectorsBtn = document.querySelector('#deletedDetectorsBtn');
+    if (deletedDetectorsBtn) {
+      deletedDetectorsBtn.addEventListener('click', () => this.openDeletedDetectors());
+    }
+
     // Clear button
     const clearBtn = document.querySelector('#clearRulesBtn');
     if (clearBtn) {
@@ -175,6 +187,12 @@ class Rules {
       saveBtn.addEventListener('click', () => this.saveRule());
     }
 
+    // Dry-run the edited rule on the active tab
+    const testRuleBtn = document.querySelector('#testRuleBtn');
+    if (testRuleBtn) {
+      testRuleBtn.addEventListener('click', () => this.testRuleAgainstPage());
+    }
+
     // Change Icon button
     const changeIconBtn = document.querySelector('.change-icon-btn');
     if (changeIconBtn) {
@@ -189,6 +207,180 @@ class Rules {
 
     // Setup Regex helper modal
     this.setupRegexHelperModal();
+
+    // Setup exclusion condition editors (edit modal and method settings modal)
+    this.setupExclusionEditors();
+
+    // Setup rule feeds modal
+    this.setupRuleFeedsModal();
+
+    // Setup detector history drawer
+    this.setupHistoryDrawer();
+  }
+
+  /**
+   * Setup exclusion condition editors
+   * Rows are rendered by renderExclusionRows() and read back by readExclusionRows()
+   */
+  setupExclusionEditors() {
+    const addDetectorExclusionBtn = document.querySelector('#addDetectorExclusionBtn');
+    if (addDetectorExclusionBtn) {
+      addDetectorExclusionBtn.addEventListener('click', () => {
+        const container = document.querySelector('#detectorExclusionsContainer');
+        if (container) container.insertAdjacentHTML('beforeend', this.getExclusionRowHtml({}));
+      });
+    }
+
+    const addPatternExclusionBtn = document.querySelector('#addPatternExclusionBtn');
+    if (addPatternExclusionBtn) {
+      addPatternExclusionBtn.addEventListener('click', () => {
+        const container = document.querySelector('#patternExclusionsContainer');
+        if (container) container.insertAdjacentHTML('beforeend', this.getExclusionRowHtml({}));
+      });
+    }
+
+    // Delete buttons (event delegation, rows are added dynamically)
+    document.addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('.exclusion-delete-btn');
+      if (deleteBtn) {
+        e.stopPropagation();
+        deleteBtn.closest('.exclusion-row')?.remove();
+      }
+    });
+
+    // Show the value input for headers/cookies and the weight input for down-weighting
+    document.addEventListener('change', (e) => {
+      const row = e.target.closest('.exclusion-row');
+      if (row && (e.target.classList.contains('exclusion-type') || e.target.classList.contains('exclusion-action'))) {
+        this.updateExclusionRowFields(row);
+      }
+    });
+  }
+
+  /**
+   * Get the detection pattern field an exclusion condition uses for its main input
+   * @param {string} type - Condition type (urls, headers, cookies, content, dom, apis, status, network)
+   * @returns {string} Field name
+   */
+  getExclusionPatternField(type) {
+    switch (type) {
+      case 'urls':
+        return 'pattern';
+      case 'headers':
+      case 'cookies':
+      case 'network':
+        return 'name';
+      case 'dom':
+        return 'selector';
+      case 'apis':
+        return 'api';
+      case 'status':
+        return 'code';
+      default:
+        return 'content';
+    }
+  }
+
+  /**
+   * Get HTML for one exclusion condition row
+   * @param {object} condition - Exclusion condition ({type, pattern fields, action, weight, reason})
+   * @returns {string} HTML for the row
+   */
+  getExclusionRowHtml(condition) {
+    const type = condition.type === 'url' ? 'urls' : (condition.type || 'content');
+    const action = condition.action === 'downweight' ? 'downweight' : 'suppress';
+    const patternValue = condition[this.getExclusionPatternField(type)] || '';
+    const hasValue = type === 'headers' || type === 'cookies' || type === 'network';
+    const types = ['urls', 'headers', 'cookies', 'content', 'dom', 'apis', 'status', 'network'];
+
+    return `
+      <div class="exclusion-row" data-regex="${condition.nameRegex === true}">
+        <select class="method-input exclusion-type" title="Condition type">
+          ${types.map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${t.toUpperCase()}</option>`).join('')}
+        </select>
+        <input type="text" class="method-input exclusion-pattern" placeholder="Pattern" value="${Utils.escapeHtml(patternValue)}">
+        <input type="text" class="method-input exclusion-value" placeholder="Value (optional)" value="${Utils.escapeHtml(condition.value)}" style="display: ${hasValue ? 'block' : 'none'};">
+        <select class="method-input exclusion-action" title="Action">
+          <option value="suppress" ${action === 'suppress' ? 'selected' : ''}>Suppress</option>
+          <option value="downweight" ${action === 'downweight' ? 'selected' : ''}>Down-weight</option>
+        </select>
+        <input type="number" class="method-input exclusion-weight" min="0" max="1" step="0.1" value="${condition.weight ?? 0.5}" title="Confidence multiplier" style="display: ${action === 'downweight' ? 'block' : 'none'};">
+        <button class="method-action-btn delete exclusion-delete-btn" title="Delete">
+          <svg width="12" height="12" viewBox="0 0 24 24">
+            <path d="M19,4H15.5L14.5,3H9.5L8.5,4H5V6H19M6,19A2,2 0 0,0 8,21H16A2,2 0 0,0 18,19V7H6V19Z" fill="currentColor"/>
+          </svg>
+        </button>
+        <input type="text" class="method-input exclusion-reason" placeholder="Reason (shown with the result)" value="${Utils.escapeHtml(condition.reason)}">
+      </div>
+    `;
+  }
+
+  /**
+   * Show/hide the value and weight inputs of an exclusion row
+   * @param {HTMLElement} row - Exclusion row element
+   */
+  updateExclusionRowFields(row) {
+    const type = row.querySelector('.exclusion-type')?.value;
+    const action = row.querySelector('.exclusion-action')?.value;
+    const valueInput = row.querySelector('.exclusion-value');
+    const weightInput = row.querySelector('.exclusion-weight');
+
+    if (valueInput) valueInput.style.display = (type === 'headers' || type === 'cookies' || type === 'network') ? 'block' : 'none';
+    if (weightInput) weightInput.style.display = action === 'downweight' ? 'block' : 'none';
+  }
+
+  /**
+   * Render exclusion condition rows into a container
+   * @param {HTMLElement} container - Exclusion list container
+   * @param {array} conditions - Exclusion conditions
+   */
+  renderExclusionRows(container, conditions) {
+    if (!container) return;
+    container.innerHTML = (Array.isArray(conditions) ? conditions : [])
+      .map(condition => this.getExclusionRowHtml(condition))
+      .join('');
+  }
+
+  /**
+   * Read exclusion conditions back from a container
+   * @param {HTMLElement} container - Exclusion list container
+   * @returns {array} Exclusion conditions (rows without a pattern are skipped)
+   */
+  readExclusionRows(container) {
+    if (!container) return [];
+
+    const conditions = [];
+    container.querySelectorAll('.exclusion-row').forEach(row => {
+      const type = row.querySelector('.exclusion-type')?.value || 'content';
+      const pattern = row.querySelector('.exclusion-pattern')?.value.trim() || '';
+      if (!pattern) return;
+
+      const condition = { type, [this.getExclusionPatternField(type)]: pattern };
+
+      const value = row.querySelector('.exclusion-value')?.value.trim();
+      if (value && (type === 'headers' || type === 'cookies' || type === 'network')) {
+        condition.value = value;
+      }
+      if (row.dataset.regex === 'true') {
+        condition.nameRegex = true;
+      }
+
+      const action = row.querySelector('.exclusion-action')?.value || 'suppress';
+      condition.action = action;
+      if (action === 'downweight') {
+        const weight = parseFloat(row.querySelector('.exclusion-weight')?.value);
+        condition.weight = isNaN(weight) ? 0.5 : Math.min(Math.max(weight, 0), 1);
+      }
+
+      const reason = row.querySelector('.exclusion-reason')?.value.trim();
+      if (reason) {
+        condition.reason = reason;
+      }
+
+      conditions.push(condition);
+    });
+
+    return conditions;
   }
 
   /**
@@ -226,6 +418,15 @@ class Rules {
       });
     }
 
+    // Show URL pattern input only for the 'url' header scope
+    const headerScopeSelect = document.querySelector('#headerScopeSelect');
+    const headerScopeUrl = document.querySelector('#headerScopeUrl');
+    if (headerScopeSelect && headerScopeUrl) {
+      headerScopeSelect.addEventListener('change', (e) => {
+        headerScopeUrl.style.display = e.target.value === 'url' ? 'block' : 'none';
+      });
+    }
+
     // Setup click handlers for settings buttons (using event delegation)
     document.addEventListener('click', (e) => {
       if (e.target.closest('.method-action-btn.settings')) {
@@ -288,6 +489,14 @@ class Rules {
     const checkScripts = methodItem.dataset.checkScripts === 'true'; // Default: false (entire page)
     const checkClasses = methodItem.dataset.checkClasses === 'true'; // Default: false (entire page)
     const checkValues = methodItem.dataset.checkValues === 'true'; // Default: false (entire page)
+    const scope = methodItem.dataset.scope || 'main_frame'; // Default: main frame only (HEADERS)
+    const scopeUrl = methodItem.dataset.scopeUrl || '';
+    let exclude = [];
+    try {
+      exclude = JSON.parse(methodItem.dataset.exclude || '[]');
+    } catch (error) {
+      console.warn('Invalid exclusion data on method item:', error);
+    }
 
     // Set values in modal
     const confidenceSlider = document.querySelector('#confidenceSlider');
@@ -318,6 +527,22 @@ class Rules {
       contentScopeGroup.style.display = isContentMethod ? 'block' : 'none';
     }
 
+    // Show/hide Request Scope section (headers only)
+    const headerScopeGroup = document.querySelector('#headerScopeGroup');
+    const headerScopeSelect = document.querySelector('#headerScopeSelect');
+    const headerScopeUrl = document.querySelector('#headerScopeUrl');
+    if (headerScopeGroup) {
+      headerScopeGroup.style.display = methodKey === 'headers' ? 'block' : 'none';
+    }
+    if (headerScopeSelect) headerScopeSelect.value = scope;
+
+    // Pattern exclusions
+    this.renderExclusionRows(document.querySelector('#patternExclusionsContainer'), exclude);
+    if (headerScopeUrl) {
+      headerScopeUrl.value = scopeUrl;
+      headerScopeUrl.style.display = scope === 'url' ? 'block' : 'none';
+    }
+
     // Determine if this is a single-input type (no value field)
     const singleInputTypes = ['urls', 'url', 'content', 'dom'];
     const isSingleInput = singleInputTypes.includes(methodKey);
@@ -333,6 +558,12 @@ class Rules {
         patternOptionsTitle.textContent = 'Text/Word Matching';
       } else if (methodKey === 'dom') {
         patternOptionsTitle.textContent = 'DOM Selector Matching';
+      } else if (methodKey === 'apis') {
+        patternOptionsTitle.textContent = 'API Name Matching';
+      } else if (methodKey === 'status') {
+        patternOptionsTitle.textContent = 'Header Name Matching';
+      } else if (methodKey === 'network') {
+        patternOptionsTitle.textContent = 'Transport Signal Matching';
       } else {
         patternOptionsTitle.textContent = 'Name Field Matching';
       }
@@ -863,6 +1094,9 @@ class Rules {
     const checkScripts = document.querySelector('#checkScripts')?.checked || false; // Default: false (entire page)
     const checkClasses = document.querySelector('#checkClasses')?.checked || false; // Default: false (entire page)
     const checkValues = document.querySelector('#checkValues')?.checked || false; // Default: false (entire page)
+    const scope = document.querySelector('#headerScopeSelect')?.value || 'main_frame';
+    const scopeUrl = document.querySelector('#headerScopeUrl')?.value.trim() || '';
+    const exclude = this.readExclusionRows(document.querySelector('#patternExclusionsContainer'));
 
     // Save to data attributes
     this.currentMethodItem.dataset.confidence = confidence;
@@ -875,17 +1109,23 @@ class Rules {
     this.currentMethodItem.dataset.checkScripts = checkScripts;
     this.currentMethodItem.dataset.checkClasses = checkClasses;
     this.currentMethodItem.dataset.checkValues = checkValues;
+    this.currentMethodItem.dataset.scope = scope;
+    this.currentMethodItem.dataset.scopeUrl = scopeUrl;
+    this.currentMethodItem.dataset.exclude = JSON.stringify(exclude);
 
     // Add visual indicator if settings are configured
     const settingsBtn = this.currentMethodItem.querySelector('.method-action-btn.settings');
     if (settingsBtn) {
       // Get method type to check if content search scope settings apply
       const methodType = this.currentMethodItem.dataset.methodType;
+      const methodKey = this.currentMethodItem.querySelector('.method-input')?.dataset.methodKey || '';
 
       // Don't consider confidence alone as a custom setting for the visual indicator
       const hasCustomSettings = nameRegex || nameWholeWord || nameCaseSensitive ||
         valueRegex || valueWholeWord || valueCaseSensitive ||
-        (methodType === 'content' && (checkScripts === true || checkClasses === true || checkValues === true))
+        (methodType === 'content' && (checkScripts === true || checkClasses === true || checkValues === true)) ||
+        (methodKey === 'headers' && scope !== 'main_frame') ||
+        exclude.length > 0;
 
       if (hasCustomSettings) {
         settingsBtn.classList.add('has-custom-settings');
@@ -924,10 +1164,19 @@ class Rules {
         headers: [],
         cookies: [],
         content: [],
-        dom: []
+        dom: [],
+        apis: [],
+        status: [],
+        network: []
       }
     };
 
+    // Results of a previous dry-run belong to another detector
+    const ruleTestResults = document.querySelector('#ruleTestResults');
+    if (ruleTestResults) {
+      ruleTestResults.innerHTML = '';
+    }
+
     // Store current detector data BEFORE populating modal
     // Explicitly set isNew based on the parameter, not previous state
     this.currentEditDetector = {
@@ -970,11 +1219,16 @@ class Rules {
     const nameInput = document.querySelector('#detectorNameInput');
     const categorySelect = document.querySelector('#detectorCategorySelect');
     const iconImg = document.querySelector('#currentDetectorIcon');
+    const confidenceMethodSelect = document.querySelector('#detectorConfidenceMethodSelect');
 
     if (nameInput) {
       nameInput.value = detector.name || detector.displayName || '';
     }
 
+    if (confidenceMethodSelect) {
+      confidenceMethodSelect.value = detector.confidenceMethod || '';
+    }
+
     if (categorySelect) {
       // Use the category from currentEditDetector or detector object
       const category = this.currentEditDetector?.category || detector.category || 'antibot';
@@ -1025,6 +1279,9 @@ class Rules {
 
     // Populate detection methods
     this.populateDetectionMethods(detector);
+
+    // Populate detector-level exclusions
+    this.renderExclusionRows(document.querySelector('#detectorExclusionsContainer'), detector.exclude);
   }
 
   /**
@@ -1042,14 +1299,17 @@ class Rules {
         headers: [],
         cookies: [],
         content: [],
-        dom: []
+        dom: [],
+        apis: [],
+        status: [],
+        network: []
       };
     }
 
     let methodsHtml = '';
 
     // Define all possible method types (matching detector data structure)
-    const allMethodTypes = ['urls', 'headers', 'cookies', 'content', 'dom'];
+    const allMethodTypes = ['urls', 'headers', 'cookies', 'content', 'dom', 'apis', 'status', 'network'];
     // Support legacy 'scripts' type (maps to 'content')
     const legacyTypes = { 'scripts': 'content' };
 
@@ -1087,7 +1347,7 @@ class Rules {
             let value = '';
 
             // Different method types have different structures
-            if (methodType === 'headers' || methodType === 'cookies') {
+            if (methodType === 'headers' || methodType === 'cookies' || methodType === 'network') {
               name = method.name || '';
               value = method.value || '';
             } else if (methodType === 'urls' || methodType === 'content') {
@@ -1096,6 +1356,12 @@ class Rules {
             } else if (methodType === 'dom') {
               name = method.selector || '';
               value = method.description || '';
+            } else if (methodType === 'apis') {
+              name = method.api || '';
+              value = method.caller || '';
+            } else if (methodType === 'status') {
+              name = method.code !== undefined ? String(method.code) : '';
+              value = this.getStatusHeaderText(method);
             }
 
             const confidence = method.confidence || 100;
@@ -1108,6 +1374,10 @@ class Rules {
             const checkScripts = method.checkScripts || false;
             const checkClasses = method.checkClasses || false;
             const checkValues = method.checkValues || false;
+            const scope = method.scope || 'main_frame';
+            const scopeUrl = method.scopeUrl || '';
+            const minCount = method.minCount || 1;
+            const exclude = Array.isArray(method.exclude) ? method.exclude : [];
 
             // Skip completely empty method items
             if (!name && !value) {
@@ -1121,12 +1391,19 @@ class Rules {
             if (methodType === 'dom') inputPlaceholder = 'CSS Selector (e.g., .class, #id, [attr])';
             else if (methodType === 'content') inputPlaceholder = 'Text/Word to search';
             else if (methodType === 'urls' || methodType === 'url') inputPlaceholder = 'URL Pattern';
+            else if (methodType === 'apis') inputPlaceholder = 'API (e.g., HTMLCanvasElement.toDataURL)';
+            else if (methodType === 'status') inputPlaceholder = 'Status code (e.g., 403, 4xx, 403,429)';
+            else if (methodType === 'network') inputPlaceholder = 'Signal (protocol, alt-svc, server-timing, nel, report-to, reporting-endpoints)';
+            const valuePlaceholder = methodType === 'apis' ? 'Caller script (optional)' :
+                                    methodType === 'status' ? 'Header: value (optional)' : 'Value (optional)';
 
             // Check if any non-default settings are enabled
             // Don't consider imported confidence values as custom settings, only user-modified pattern options
             const hasCustomSettings = nameRegex || nameWholeWord || nameCaseSensitive ||
                                       valueRegex || valueWholeWord || valueCaseSensitive ||
-                                      (methodType === 'content' && (checkScripts === true || checkClasses === true || checkValues === true));
+                                      (methodType === 'content' && (checkScripts === true || checkClasses === true || checkValues === true)) ||
+                                      (methodType === 'headers' && scope !== 'main_frame') ||
+                                      exclude.length > 0;
 
             methodsHtml += `
               <div class="method-item"
@@ -1139,7 +1416,10 @@ class Rules {
                 data-value-case="${valueCaseSensitive}"
                 data-check-scripts="${checkScripts}"
                 data-check-classes="${checkClasses}"
-                data-check-values="${checkValues}">
+                data-check-values="${checkValues}"
+                data-scope="${scope}"
+                data-scope-url="${scopeUrl.replace(/"/g, '&quot;')}"
+                data-exclude="${JSON.stringify(exclude).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">
                 <div class="method-item-row">
                   <div class="method-item-inputs">
                     <div class="input-with-indicators">
@@ -1149,10 +1429,11 @@ class Rules {
                     ${methodType === 'dom' ? `<button class="dom-helper-btn" title="DOM Selector Examples" data-input-index="${index}">?</button>` : ''}
                     ${!isSingleInput ? `
                     <div class="input-with-indicators">
-                      <input type="text" class="method-input method-value" placeholder="Value (optional)" value="${value}" data-method-key="${methodType}" data-item-index="${index}">
+                      <input type="text" class="method-input method-value" placeholder="${valuePlaceholder}" value="${value}" data-method-key="${methodType}" data-item-index="${index}">
                       <div class="input-indicators" data-for="value-${methodType}-${index}"></div>
                     </div>
                     ` : ''}
+                    ${methodType === 'apis' ? this.getMinCountInput(minCount) : ''}
                   </div>
                   <button class="method-action-btn settings ${hasCustomSettings ? 'has-custom-settings' : ''}" title="Settings">
                     <svg width="12" height="12" viewBox="0 0 24 24">
@@ -1218,6 +1499,44 @@ class Rules {
     });
   }
 
+  /**
+   * Get the minimum call count input used by APIS method items
+   * @param {number} minCount - Current minimum call count
+   * @returns {string} HTML for the count input
+   */
+  getMinCountInput(minCount) {
+    return `<input type="number" class="method-input method-count" min="1" value="${minCount}" title="Minimum call count">`;
+  }
+
+  /**
+   * Get the "Header: value" text shown in the value input of STATUS method items
+   * @param {object} method - Status rule ({code, name, value})
+   * @returns {string} Header text, empty when the rule has no header
+   */
+  getStatusHeaderText(method) {
+    if (!method.name) return '';
+    return method.value ? `${method.name}: ${method.value}` : method.name;
+  }
+
+  /**
+   * Parse the value input of a STATUS method item into a status rule
+   * @param {string} code - Status code input ("403", "4xx", "403,429")
+   * @param {string} headerText - "Header: value" input
+   * @returns {object} Status rule fields ({code, name, value})
+   */
+  parseStatusRule(code, headerText) {
+    const trimmedCode = code.trim();
+    const rule = { code: /^\d+$/.test(trimmedCode) ? parseInt(trimmedCode) : trimmedCode };
+
+    const separator = headerText.indexOf(':');
+    const name = (separator === -1 ? headerText : headerText.slice(0, separator)).trim();
+    const value = separator === -1 ? '' : headerText.slice(separator + 1).trim();
+
+    if (name) rule.name = name;
+    if (value) rule.value = value;
+    return rule;
+  }
+
   /**
    * Add a new method item to a section
    * @param {HTMLElement} button - The button that was clicked
@@ -1236,6 +1555,11 @@ class Rules {
     if (methodKey === 'dom') inputPlaceholder = 'CSS Selector (e.g., .class, #id, [attr])';
     else if (methodKey === 'content') inputPlaceholder = 'Text/Word to search';
     else if (methodKey === 'urls' || methodKey === 'url') inputPlaceholder = 'URL Pattern';
+    else if (methodKey === 'apis') inputPlaceholder = 'API (e.g., HTMLCanvasElement.toDataURL)';
+    else if (methodKey === 'status') inputPlaceholder = 'Status code (e.g., 403, 4xx, 403,429)';
+    else if (methodKey === 'network') inputPlaceholder = 'Signal (protocol, alt-svc, server-timing, nel, report-to, reporting-endpoints)';
+    const valuePlaceholder = methodKey === 'apis' ? 'Caller script (optional)' :
+                            methodKey === 'status' ? 'Header: value (optional)' : 'Value (optional)';
 
     const newMethodHtml = `
       <div class="method-item"
@@ -1255,10 +1579,11 @@ class Rules {
             ${isDom ? `<button class="dom-helper-btn" title="DOM Selector Examples" data-input-index="${itemIndex}">?</button>` : ''}
             ${!isSingleInput ? `
             <div class="input-with-indicators">
-              <input type="text" class="method-input method-value" placeholder="Value (optional)" value="" data-method-key="${methodKey}" data-item-index="${itemIndex}">
+              <input type="text" class="method-input method-value" placeholder="${valuePlaceholder}" value="" data-method-key="${methodKey}" data-item-index="${itemIndex}">
               <div class="input-indicators" data-for="value-${methodKey}-${itemIndex}"></div>
             </div>
             ` : ''}
+            ${methodKey === 'apis' ? this.getMinCountInput(1) : ''}
           </div>
           <button class="method-action-btn settings" title="Settings">
             <svg width="12" height="12" viewBox="0 0 24 24">
@@ -1297,6 +1622,11 @@ class Rules {
     if (methodKey === 'dom') inputPlaceholder = 'CSS Selector (e.g., .class, #id, [attr])';
     else if (methodKey === 'content') inputPlaceholder = 'Text/Word to search';
     else if (methodKey === 'urls' || methodKey === 'url') inputPlaceholder = 'URL Pattern';
+    else if (methodKey === 'apis') inputPlaceholder = 'API (e.g., HTMLCanvasElement.toDataURL)';
+    else if (methodKey === 'status') inputPlaceholder = 'Status code (e.g., 403, 4xx, 403,429)';
+    else if (methodKey === 'network') inputPlaceholder = 'Signal (protocol, alt-svc, server-timing, nel, report-to, reporting-endpoints)';
+    const valuePlaceholder = methodKey === 'apis' ? 'Caller script (optional)' :
+                            methodKey === 'status' ? 'Header: value (optional)' : 'Value (optional)';
 
     const newSectionHtml = `
       <div class="method-section">
@@ -1321,10 +1651,11 @@ class Rules {
                 ${isDom ? `<button class="dom-helper-btn" title="DOM Selector Examples" data-input-index="new">?</button>` : ''}
                 ${!isSingleInput ? `
                 <div class="input-with-indicators">
-                  <input type="text" class="method-input method-value" placeholder="Value (optional)" value="" data-method-key="${methodKey}" data-item-index="new">
+                  <input type="text" class="method-input method-value" placeholder="${valuePlaceholder}" value="" data-method-key="${methodKey}" data-item-index="new">
                   <div class="input-indicators" data-for="value-${methodKey}-new"></div>
                 </div>
                 ` : ''}
+                ${methodKey === 'apis' ? this.getMinCountInput(1) : ''}
               </div>
               <button class="method-action-btn settings" title="Settings">
                 <svg width="12" height="12" viewBox="0 0 24 24">
@@ -1373,6 +1704,308 @@ class Rules {
     this.categoryManager.saveToStorage();
   }
 
+  /**
+   * Read the detection methods shown in the edit modal
+   * @param {HTMLElement} methodsContainer - #detectionMethodsContainer
+   * @returns {object} Detection methods keyed by type (urls, headers, cookies, content, dom, apis, status, network)
+   */
+  readDetectionMethods(methodsContainer) {
+    const detectionMethods = {};
+
+    // Get all method sections
+    const methodSections = methodsContainer.querySelectorAll('.method-section');
+    methodSections.forEach(section => {
+      const methodTitle = section.querySelector('.method-title')?.textContent.toLowerCase();
+      if (!methodTitle) return;
+
+      // Map display titles to detector data keys
+      let methodType = methodTitle;
+      if (methodTitle === 'url') {
+        methodType = 'urls';
+      }
+
+      const methods = [];
+      const methodItems = section.querySelectorAll('.method-item');
+
+      methodItems.forEach(item => {
+        const nameInput = item.querySelector('.method-name');
+        const valueInput = item.querySelector('.method-value');
+
+        // Only include items that have at least name OR value (skip completely empty ones)
+        const hasName = nameInput && nameInput.value.trim();
+        const hasValue = valueInput && valueInput.value.trim();
+
+        if (hasName || hasValue) {
+          // Create method data based on the type
+          let methodData = {
+            confidence: parseInt(item.dataset.confidence || '100'),
+          };
+
+          // Structure data based on method type
+          if (methodType === 'headers' || methodType === 'cookies' || methodType === 'network') {
+            methodData.name = nameInput.value;
+            if (valueInput?.value) {
+              methodData.value = valueInput.value;
+            }
+            if (hasValue && !hasName) {
+              // Description only
+              methodData.description = valueInput.value;
+            } else if (hasValue) {
+              methodData.description = valueInput.value;
+            }
+          } else if (methodType === 'urls' || methodType === 'content') {
+            if (methodType === 'urls') {
+              methodData.pattern = nameInput.value;
+            } else {
+              methodData.content = nameInput.value;
+            }
+            if (valueInput?.value) {
+              methodData.description = valueInput.value;
+            }
+          } else if (methodType === 'dom') {
+            methodData.selector = nameInput.value;
+            if (valueInput?.value) {
+              methodData.description = valueInput.value;
+            }
+          } else if (methodType === 'apis') {
+            const countInput = item.querySelector('.method-count');
+            methodData.api = nameInput.value;
+            methodData.minCount = Math.max(1, parseInt(countInput?.value || '1') || 1);
+            if (valueInput?.value) {
+              methodData.caller = valueInput.value;
+            }
+          } else if (methodType === 'status') {
+            Object.assign(methodData, this.parseStatusRule(nameInput.value, valueInput?.value || ''));
+          }
+
+          // Add optional settings if they're not default
+          if (item.dataset.nameRegex === 'true') {
+            methodData.nameRegex = true;
+          }
+          if (item.dataset.nameWholeword === 'true') {
+            methodData.nameWholeWord = true;
+          }
+          if (item.dataset.nameCase === 'true') {
+            methodData.nameCaseSensitive = true;
+          }
+          if (item.dataset.valueRegex === 'true') {
+            methodData.valueRegex = true;
+          }
+          if (item.dataset.valueWholeword === 'true') {
+            methodData.valueWholeWord = true;
+          }
+          if (item.dataset.valueCase === 'true') {
+            methodData.valueCaseSensitive = true;
+          }
+          // Content scope settings (only save if enabled - restricts search)
+          if (item.dataset.checkScripts === 'true') {
+            methodData.checkScripts = true;
+          }
+          if (item.dataset.checkClasses === 'true') {
+            methodData.checkClasses = true;
+          }
+          if (item.dataset.checkValues === 'true') {
+            methodData.checkValues = true;
+          }
+          // Header request scope (only save if not the main frame default)
+          if (methodType === 'headers' && item.dataset.scope && item.dataset.scope !== 'main_frame') {
+            methodData.scope = item.dataset.scope;
+            if (item.dataset.scope === 'url' && item.dataset.scopeUrl) {
+              methodData.scopeUrl = item.dataset.scopeUrl;
+            }
+          }
+          // Pattern exclusions (set in the method settings modal)
+          if (item.dataset.exclude) {
+            try {
+              const exclude = JSON.parse(item.dataset.exclude);
+              if (Array.isArray(exclude) && exclude.length > 0) {
+                methodData.exclude = exclude;
+              }
+            } catch (error) {
+              console.warn('Invalid exclusion data on method item:', error);
+            }
+          }
+
+          methods.push(methodData);
+        }
+      });
+
+      if (methods.length > 0) {
+        detectionMethods[methodType] = methods;
+      }
+    });
+
+    return detectionMethods;
+  }
+
+  /**
+   * Build the detector as currently edited in the modal, without saving it
+   * @returns {object} Detector configuration
+   */
+  getEditedDetector() {
+    const detector = { ...this.currentEditDetector.detector };
+
+    const nameInput = document.querySelector('#detectorNameInput');
+    if (nameInput?.value) {
+      detector.name = nameInput.value;
+    }
+
+    const confidenceMethodSelect = document.querySelector('#detectorConfidenceMethodSelect');
+    if (confidenceMethodSelect?.value) {
+      detector.confidenceMethod = confidenceMethodSelect.value;
+    } else {
+      delete detector.confidenceMethod;
+    }
+
+    const methodsContainer = document.querySelector('#detectionMethodsContainer');
+    if (methodsContainer) {
+      const detection = this.readDetectionMethods(methodsContainer);
+      if (Array.isArray(detector.detection?.groups) && detector.detection.groups.length > 0) {
+        detection.groups = detector.detection.groups;
+      }
+      detector.detection = detection;
+    }
+
+    const exclusions = this.readExclusionRows(document.querySelector('#detectorExclusionsContainer'));
+    if (exclusions.length > 0) {
+      detector.exclude = exclusions;
+    } else {
+      delete detector.exclude;
+    }
+
+    return detector;
+  }
+
+  /**
+   * Run the edited detector on the page data last collected from the active tab
+   * Shows hit/miss, matched value and location per pattern, and the resulting detection
+   */
+  async testRuleAgainstPage() {
+    const resultsContainer = document.querySelector('#ruleTestResults');
+    if (!resultsContainer || !this.currentEditDetector) return;
+
+    const showMessage = (message, type = '') => {
+      resultsContainer.innerHTML = `<div class="rule-test-message ${type}">${Utils.escapeHtml(message)}</div>`;
+    };
+
+    const detector = this.getEditedDetector();
+
+    // Never run a regex that would be rejected on save
+    if (typeof RegexSafety !== 'undefined') {
+      const regexIssues = RegexSafety.validateDetector(detector);
+      if (regexIssues.length > 0) {
+        showMessage(`Unsafe regex, not tested:\n${RegexSafety.formatIssues(regexIssues)}`, 'error');
+        return;
+      }
+    }
+
+    showMessage('Testing...');
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = tab ? await chrome.runtime.sendMessage({ type: 'GET_PAGE_DATA', tabId: tab.id }) : null;
+
+      if (response?.status !== 'success' || !response.pageData) {
+        showMessage('No page data collected for the active tab yet. Reload the page, then test again.', 'error');
+        return;
+      }
+
+      const report = this.runRuleTest(detector, response.pageData, response.confidenceMethod);
+      resultsContainer.innerHTML = this.getRuleTestHtml(report, response.pageData);
+    } catch (error) {
+      console.error('Rules: Rule test failed:', error);
+      showMessage(`Test failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Match a detector against page data, pattern by pattern and as a whole
+   * @param {object} detector - Detector configuration
+   * @param {object} pageData - Collected page data (with frames)
+   * @param {string} confidenceMethod - Default confidence method from Settings
+   * @returns {object} {patterns: [{type, rule, match}], result} - result is the full runDetectorOnFrames() output
+   */
+  runRuleTest(detector, pageData, confidenceMethod) {
+    if (!this.testEngine) {
+      this.testEngine = new DetectionEngineManager();
+    }
+    this.testEngine.setConfidenceMethod(confidenceMethod);
+
+    // Each pattern on its own (pattern exclusions included), like matchCondition() does
+    const patterns = [];
+    for (const [type, rules] of Object.entries(detector.detection || {})) {
+      if (type === 'groups' || !Array.isArray(rules)) continue;
+
+      rules.forEach(rule => {
+        const single = this.testEngine.runDetectorOnFrames({
+          name: detector.name,
+          detection: { [type]: [rule] }
+        }, pageData);
+        patterns.push({ type, rule, match: single.matches[0] || null });
+      });
+    }
+
+    return {
+      patterns,
+      result: this.testEngine.runDetectorOnFrames(detector, pageData)
+    };
+  }
+
+  /**
+   * Get HTML for a rule test report
+   * @param {object} report - runRuleTest() output
+   * @param {object} pageData - Page data the test ran on
+   * @returns {string} HTML
+   */
+  getRuleTestHtml(report, pageData) {
+    const { patterns, result } = report;
+
+    const summaryParts = [
+      `<span class="rule-test-verdict">${result.detected ? 'Detected' : 'Not detected'}</span>`,
+      `<span>Confidence ${result.confidence || 0}%</span>`
+    ];
+    if (result.variant) {
+      summaryParts.push(`<span>Variant: ${Utils.escapeHtml(result.variant.name)}</span>`);
+    }
+    (result.exclusions || []).forEach(exclusion => {
+      summaryParts.push(`<span class="rule-test-exclusion">${Utils.escapeHtml(exclusion.action)}: ${Utils.escapeHtml(exclusion.reason)}</span>`);
+    });
+
+    const rows = patterns.map(({ type, rule, match }) => {
+      const field = this.getExclusionPatternField(type);
+      const pattern = [rule[field], rule.value].filter(Boolean).join(' = ');
+      const location = match
+        ? [match.frameId > 0 ? `frame ${match.frameUrl}` : 'top frame', match.resourceType].filter(Boolean).join(' · ')
+        : '';
+
+      return `
+        <div class="rule-test-row ${match ? 'hit' : 'miss'}">
+          <div class="rule-test-row-header">
+            <span class="rule-test-type">${Utils.escapeHtml(type.toUpperCase())}</span>
+            <span class="rule-test-pattern" title="${Utils.escapeHtml(pattern)}">${Utils.escapeHtml(pattern)}</span>
+            <span class="rule-test-status">${match ? `Hit · ${match.confidence ?? rule.confidence ?? 100}%` : 'Miss'}</span>
+          </div>
+          ${match ? `
+            <div class="rule-test-detail">
+              <span class="rule-test-value" title="${Utils.escapeHtml(match.value)}">${Utils.escapeHtml(match.value)}</span>
+              <span class="rule-test-location">${Utils.escapeHtml(location)}</span>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="rule-test-summary ${result.detected ? 'detected' : ''}">
+        ${summaryParts.join('')}
+      </div>
+      <div class="rule-test-page" title="${Utils.escapeHtml(pageData.url)}">${Utils.escapeHtml(pageData.url)}</div>
+      <div class="rule-test-list">
+        ${rows || '<div class="rule-test-message">No detection patterns to test</div>'}
+      </div>
+    `;
+  }
+
   /**
    * Save rule changes
    */
@@ -1394,6 +2027,14 @@ class Rules {
       this.currentEditDetector.category = categorySelect.value;
     }
 
+    // Per-detector confidence method (empty = use the Settings default)
+    const confidenceMethodSelect = document.querySelector('#detectorConfidenceMethodSelect');
+    if (confidenceMethodSelect?.value) {
+      this.currentEditDetector.detector.confidenceMethod = confidenceMethodSelect.value;
+    } else {
+      delete this.currentEditDetector.detector.confidenceMethod;
+    }
+
     // Get the selected color from ColorManager and save it
     if (this.colorManager) {
       const selectedColor = this.colorManager.getColor();
@@ -1406,106 +2047,24 @@ class Rules {
       this.currentEditDetector.detector.customIcon = this.currentEditDetector.customIcon;
     }
 
+    // Collect detector-level exclusions
+    const detectorExclusions = this.readExclusionRows(document.querySelector('#detectorExclusionsContainer'));
+    if (detectorExclusions.length > 0) {
+      this.currentEditDetector.detector.exclude = detectorExclusions;
+    } else {
+      delete this.currentEditDetector.detector.exclude;
+    }
+
     // Collect detection methods from the modal
     const methodsContainer = document.querySelector('#detectionMethodsContainer');
     if (methodsContainer) {
-      const detectionMethods = {};
-
-      // Get all method sections
-      const methodSections = methodsContainer.querySelectorAll('.method-section');
-      methodSections.forEach(section => {
-        const methodTitle = section.querySelector('.method-title')?.textContent.toLowerCase();
-        if (!methodTitle) return;
-
-        // Map display titles to detector data keys
-        let methodType = methodTitle;
-        if (methodTitle === 'url') {
-          methodType = 'urls';
-        }
-
-        const methods = [];
-        const methodItems = section.querySelectorAll('.method-item');
-
-        methodItems.forEach(item => {
-          const nameInput = item.querySelector('.method-name');
-          const valueInput = item.querySelector('.method-value');
-
-          // Only include items that have at least name OR value (skip completely empty ones)
-          const hasName = nameInput && nameInput.value.trim();
-          const hasValue = valueInput && valueInput.value.trim();
-
-          if (hasName || hasValue) {
-            // Create method data based on the type
-            let methodData = {
-              confidence: parseInt(item.dataset.confidence || '100'),
-            };
-
-            // Structure data based on method type
-            if (methodType === 'headers' || methodType === 'cookies') {
-              methodData.name = nameInput.value;
-              if (valueInput?.value) {
-                methodData.value = valueInput.value;
-              }
-              if (hasValue && !hasName) {
-                // Description only
-                methodData.description = valueInput.value;
-              } else if (hasValue) {
-                methodData.description = valueInput.value;
-              }
-            } else if (methodType === 'urls' || methodType === 'content') {
-              if (methodType === 'urls') {
-                methodData.pattern = nameInput.value;
-              } else {
-                methodData.content = nameInput.value;
-              }
-              if (valueInput?.value) {
-                methodData.description = valueInput.value;
-              }
-            } else if (methodType === 'dom') {
-              methodData.selector = nameInput.value;
-              if (valueInput?.value) {
-                methodData.description = valueInput.value;
-              }
-            }
+      const detectionMethods = this.readDetectionMethods(methodsContainer);
 
-            // Add optional settings if they're not default
-            if (item.dataset.nameRegex === 'true') {
-              methodData.nameRegex = true;
-            }
-            if (item.dataset.nameWholeword === 'true') {
-              methodData.nameWholeWord = true;
-            }
-            if (item.dataset.nameCase === 'true') {
-              methodData.nameCaseSensitive = true;
-            }
-            if (item.dataset.valueRegex === 'true') {
-              methodData.valueRegex = true;
-            }
-            if (item.dataset.valueWholeword === 'true') {
-              methodData.valueWholeWord = true;
-            }
-            if (item.dataset.valueCase === 'true') {
-              methodData.valueCaseSensitive = true;
-            }
-            // Content scope settings (only save if enabled - restricts search)
-            if (item.dataset.checkScripts === 'true') {
-              methodData.checkScripts = true;
-            }
-            if (item.dataset.checkClasses === 'true') {
-              methodData.checkClasses = true;
-            }
-            if (item.dataset.checkValues === 'true') {
-              methodData.checkValues = true;
-            }
-
-            methods.push(methodData);
-          }
-        });
-
-        if (methods.length > 0) {
-          detectionMethods[methodType] = methods;
-        }
-      });
+      // Requirement groups are authored in the detector JSON, keep them as they are
+      const existingGroups = this.currentEditDetector.detector.detection?.groups;
+      if (Array.isArray(existingGroups) && existingGroups.length > 0) {
+        detectionMethods.groups = existingGroups;
+      }
 
       // Update the detector's detection methods
       if (Object.keys(detectionMethods).length > 0) {
@@ -1514,6 +2073,24 @@ class Rules {
       }
     }
 
+    // Reject fields that don't match the detector schema (empty name, bad confidence, ...)
+    if (typeof DetectorSchema !== 'undefined') {
+      const schemaIssues = DetectorSchema.validateDetector(this.currentEditDetector.detector);
+      if (schemaIssues.length > 0) {
+        NotificationHelper.error(`Invalid rule, not saved:\n${DetectorSchema.formatIssues(schemaIssues)}`);
+        return;
+      }
+    }
+
+    // Reject invalid or backtracking-prone regexes, the modal stays open so they can be fixed
+    if (typeof RegexSafety !== 'undefined') {
+      const regexIssues = RegexSafety.validateDetector(this.currentEditDetector.detector);
+      if (regexIssues.length > 0) {
+        NotificationHelper.error(`Unsafe regex, rule not saved:\n${RegexSafety.formatIssues(regexIssues)}`);
+        return;
+      }
+    }
+
     console.log('Saving rule for:', this.currentEditDetector.detector.displayName);
 
     // Generate timestamp for lastUpdated
@@ -1566,13 +2143,12 @@ class Rules {
           customIcon: this.currentEditDetector.detector.customIcon,
           lastUpdated: timestamp
         };
-        categoryDetectors[this.currentEditDetector.detectorName] = updatedDetector;
 
         console.log('Updating detector in storage with color:', updatedDetector.color);
         console.log('Updated lastUpdated timestamp to:', updatedDetector.lastUpdated);
 
-        // Save to storage
-        this.detectorManager.saveDetectorsToStorage().then(() => {
+        // Save to storage, recording the previous version in the detector's history
+        this.detectorManager.updateDetector(this.currentEditDetector.category, this.currentEditDetector.detectorName, updatedDetector).then(() => {
           console.log('Detector saved to storage successfully');
           // Reload detectors in background script
           chrome.runtime.sendMessage({ type: 'RELOAD_DETECTORS' }, (response) => {
@@ -1653,7 +2229,10 @@ class Rules {
             headers: [],
             cookies: [],
             content: [],
-            dom: []
+            dom: [],
+            apis: [],
+            status: [],
+            network: []
           }
         };
 
@@ -1753,6 +2332,11 @@ class Rules {
                       <path d="M3,17.25V21h3.75L17.81,9.94l-3.75-3.75L3,17.25zM20.71,7.04c0.39-0.39,0.39-1.02,0-1.41l-2.34-2.34c-0.39-0.39-1.02-0.39-1.41,0l-1.83,1.83l3.75,3.75L20.71,7.04z" fill="currentColor"/>
                     </svg>
                   </button>
+                  <button class="history-btn" title="History">
+                    <svg width="14" height="14" viewBox="0 0 24 24">
+                      <path d="M13.5,8H12V13L16.28,15.54L17,14.33L13.5,12.25V8M13,3A9,9 0 0,0 4,12H1L4.96,16.03L9,12H6A7,7 0 0,1 13,5A7,7 0 0,1 20,12A7,7 0 0,1 13,19C11.07,19 9.32,18.21 8.06,16.94L6.64,18.36C8.27,20 10.5,21 13,21A9,9 0 0,0 22,12A9,9 0 0,0 13,3Z" fill="currentColor"/>
+                    </svg>
+                  </button>
                   <button class="delete-btn" title="Delete Detector">
                     <svg width="14" height="14" viewBox="0 0 24 24">
                       <path d="M19,4H15.5L14.5,3H9.5L8.5,4H5V6H19M6,19A2,2 0 0,0 8,21H16A2,2 0 0,0 18,19V7H6V19Z" fill="currentColor"/>
@@ -1813,7 +2397,10 @@ class Rules {
                 headers: [],
                 cookies: [],
                 content: [],
-                dom: []
+                dom: [],
+                apis: [],
+                status: [],
+                network: []
               }
             };
             this.openEditModal(detectorToEdit, category, detectorName, false);
@@ -1840,7 +2427,10 @@ class Rules {
               headers: [],
               cookies: [],
               content: [],
-              dom: []
+              dom: [],
+              apis: [],
+              status: [],
+              network: []
             }
           };
           this.openEditModal(detectorToEdit, category, detectorName, false);
@@ -1848,6 +2438,18 @@ class Rules {
       }
     });
 
+    // Add click listeners to history buttons
+    const historyButtons = document.querySelectorAll('.history-btn');
+    historyButtons.forEach((btn, index) => {
+      if (detectors[index]) {
+        const { category, detectorName } = detectors[index];
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.openHistoryDrawer(category, detectorName);
+        });
+      }
+    });
+
     // Add click listeners to delete buttons
     const deleteButtons = document.querySelectorAll('.delete-btn');
     deleteButtons.forEach((btn, index) => {
@@ -2024,7 +2626,7 @@ class Rules {
         NotificationHelper.success('Detectors imported successfully');
         this.displayRules();
       } else {
-        NotificationHelper.error('Failed to import detectors. Check the file format.');
+        NotificationHelper.error(this.detectorManager.lastImportError || 'Failed to import detectors. Check the file format.');
       }
     } catch (error) {
       NotificationHelper.error('Error reading file: ' + error.message);
@@ -2053,6 +2655,441 @@ class Rules {
     URL.revokeObjectURL(url);
   }
 
+  /**
+   * Setup rule feeds modal event listeners
+   */
+  setupRuleFeedsModal() {
+    const modal = document.querySelector('#ruleFeedsModal');
+    const closeBtn = document.querySelector('#closeRuleFeeds');
+    const closeFooterBtn = document.querySelector('#closeRuleFeedsBtn');
+    const backdrop = modal?.querySelector('.rule-modal-backdrop');
+    const subscribeBtn = document.querySelector('#subscribeRuleFeedBtn');
+    const feedsList = document.querySelector('#ruleFeedsList');
+
+    [closeBtn, closeFooterBtn, backdrop].forEach(element => {
+      if (element) {
+        element.addEventListener('click', () => this.closeRuleFeedsModal());
+      }
+    });
+
+    if (subscribeBtn) {
+      subscribeBtn.addEventListener('click', () => this.handleSubscribeFeed());
+    }
+
+    // Check / apply / unsubscribe buttons of each feed
+    if (feedsList) {
+      feedsList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-feed-action]');
+        if (button) {
+          this.handleFeedAction(button.dataset.feedAction, button.dataset.feedId);
+        }
+      });
+    }
+  }
+
+  /**
+   * Open the rule feeds modal with the stored feeds (the background may have found updates)
+   */
+  async openRuleFeedsModal() {
+    const modal = document.querySelector('#ruleFeedsModal');
+    const ruleFeedManager = this.detectorManager.getRuleFeedManager();
+    if (!modal || !ruleFeedManager) return;
+
+    await ruleFeedManager.loadFromStorage();
+    this.renderRuleFeeds();
+
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Close the rule feeds modal
+   */
+  closeRuleFeedsModal() {
+    const modal = document.querySelector('#ruleFeedsModal');
+    if (modal) {
+      modal.style.display = 'none';
+      document.body.style.overflow = '';
+    }
+  }
+
+  /**
+   * Render the subscribed feeds
+   */
+  renderRuleFeeds() {
+    const feedsList = document.querySelector('#ruleFeedsList');
+    if (!feedsList) return;
+
+    const feeds = this.detectorManager.getRuleFeedManager().getFeeds();
+    feedsList.innerHTML = feeds.length > 0
+      ? feeds.map(feed => this.getRuleFeedHtml(feed)).join('')
+      : '<div class="rule-feed-empty">No rule feeds yet</div>';
+  }
+
+  /**
+   * Get HTML for one feed: version, last check, pending update diff and actions
+   * @param {object} feed - Feed from RuleFeedManager
+   * @returns {string} HTML for the feed
+   */
+  getRuleFeedHtml(feed) {
+    const update = feed.pendingUpdate;
+    const version = (entry) => [entry.version && `v${entry.version}`, entry.lastUpdated].filter(Boolean).join(' · ') || 'unversioned';
+
+    const meta = [
+      feed.version || feed.lastUpdated ? `Applied: ${version(feed)}` : 'Not applied yet',
+      feed.publicKey ? 'Signed' : 'Unsigned',
+      feed.lastChecked ? `Checked ${new Date(feed.lastChecked).toLocaleString()}` : ''
+    ].filter(Boolean);
+
+    let status = '<div class="rule-feed-status">Up to date</div>';
+    if (update) {
+      const groups = [
+        ['added', 'Added', '+'],
+        ['changed', 'Changed', '~'],
+        ['removed', 'Removed', '−'],
+        ['overridden', 'Kept local override', '=']
+      ];
+      const rows = groups.flatMap(([key, label, sign]) => update.diff[key].map(entry => `
+        <div class="rule-feed-diff-row ${key}" title="${label}">
+          <span class="rule-feed-diff-sign">${sign}</span>
+          <span class="rule-feed-diff-name">${Utils.escapeHtml(entry.name)}</span>
+          <span class="rule-feed-diff-category">${Utils.escapeHtml(entry.category)}</span>
+        </div>
+      `));
+
+      status = `
+        <div class="rule-feed-status update">Update available: ${Utils.escapeHtml(version(update))}</div>
+        <div class="rule-feed-diff">${rows.join('')}</div>
+      `;
+    }
+
+    return `
+      <div class="rule-feed">
+        <div class="rule-feed-header">
+          <span class="rule-feed-name">${Utils.escapeHtml(feed.name || feed.url)}</span>
+          <div class="rule-feed-actions">
+            ${update ? `<button class="rule-feed-btn apply" data-feed-action="apply" data-feed-id="${Utils.escapeHtml(feed.id)}">Apply</button>` : ''}
+            <button class="rule-feed-btn" data-feed-action="check" data-feed-id="${Utils.escapeHtml(feed.id)}">Check</button>
+            <button class="rule-feed-btn remove" data-feed-action="unsubscribe" data-feed-id="${Utils.escapeHtml(feed.id)}">Unsubscribe</button>
+          </div>
+        </div>
+        <div class="rule-feed-url" title="${Utils.escapeHtml(feed.url)}">${Utils.escapeHtml(feed.url)}</div>
+        <div class="rule-feed-meta">${meta.map(value => Utils.escapeHtml(value)).join(' · ')}</div>
+        ${feed.lastError ? `<div class="rule-feed-error">${Utils.escapeHtml(feed.lastError)}</div>` : ''}
+        ${status}
+      </div>
+    `;
+  }
+
+  /**
+   * Subscribe to the feed entered in the modal
+   */
+  async handleSubscribeFeed() {
+    const urlInput = document.querySelector('#ruleFeedUrlInput');
+    const keyInput = document.querySelector('#ruleFeedKeyInput');
+    const url = urlInput?.value.trim();
+
+    if (!url) {
+      NotificationHelper.error('Please enter a feed URL');
+      return;
+    }
+
+    const loader = NotificationHelper.loading('Fetching rule feed...');
+    try {
+      const feed = await this.detectorManager.getRuleFeedManager().subscribe(url, keyInput?.value || '');
+      loader.close();
+      NotificationHelper.success(feed.pendingUpdate ? 'Subscribed, review the update and apply it' : 'Subscribed, detectors already up to date');
+      urlInput.value = '';
+      if (keyInput) keyInput.value = '';
+      this.renderRuleFeeds();
+    } catch (error) {
+      loader.close();
+      NotificationHelper.error(`Subscription failed:\n${error.message}`);
+    }
+  }
+
+  /**
+   * Run a feed action from the feeds list
+   * @param {string} action - 'check', 'apply' or 'unsubscribe'
+   * @param {string} feedId - Feed id
+   */
+  async handleFeedAction(action, feedId) {
+    const ruleFeedManager = this.detectorManager.getRuleFeedManager();
+
+    if (action === 'check') {
+      const feed = await ruleFeedManager.checkFeed(feedId, true);
+      if (feed.lastError) {
+        NotificationHelper.error(`Feed check failed:\n${feed.lastError}`);
+      }
+    } else if (action === 'apply') {
+      try {
+        const diff = await ruleFeedManager.applyUpdate(feedId);
+        NotificationHelper.success(`Feed applied: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+      } catch (error) {
+        NotificationHelper.error(`Failed to apply feed update: ${error.message}`);
+        return;
+      }
+      chrome.runtime.sendMessage({ type: 'RELOAD_DETECTORS' }, (response) => {
+        console.log('Detectors reloaded in background after feed update:', response);
+      });
+      this.displayRules();
+    } else if (action === 'unsubscribe') {
+      const confirmed = await NotificationHelper.confirm({
+        title: 'Unsubscribe',
+        message: 'Detectors installed by this feed are removed, except the ones you edited. Continue?',
+        confirmText: 'Unsubscribe',
+        cancelText: 'Cancel',
+        type: 'danger'
+      });
+      if (!confirmed) return;
+
+      const removed = await ruleFeedManager.unsubscribe(feedId);
+      if (removed > 0) {
+        chrome.runtime.sendMessage({ type: 'RELOAD_DETECTORS' }, (response) => {
+          console.log('Detectors reloaded in background after unsubscribe:', response);
+        });
+        this.displayRules();
+      }
+    }
+
+    this.renderRuleFeeds();
+  }
+
+  /**
+   * Setup detector history drawer event listeners
+   */
+  setupHistoryDrawer() {
+    const modal = document.querySelector('#detectorHistoryModal');
+    const closeBtn = document.querySelector('#closeDetectorHistory');
+    const closeFooterBtn = document.querySelector('#closeDetectorHistoryBtn');
+    const backdrop = modal?.querySelector('.rule-modal-backdrop');
+    const resetBtn = document.querySelector('#resetDetectorBuiltInBtn');
+    const historyList = document.querySelector('#detectorHistoryList');
+
+    [closeBtn, closeFooterBtn, backdrop].forEach(element => {
+      if (element) {
+        element.addEventListener('click', () => this.closeHistoryDrawer());
+      }
+    });
+
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => this.handleResetToBuiltIn());
+    }
+
+    // "Restore this version" buttons, and "History" buttons of the deleted detectors list
+    if (historyList) {
+      historyList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-revision-id]');
+        if (button) {
+          this.handleRestoreRevision(button.dataset.revisionId);
+        }
+
+        const deletedButton = e.target.closest('[data-history-detector]');
+        if (deletedButton) {
+          this.openHistoryDrawer(deletedButton.dataset.historyCategory, deletedButton.dataset.historyDetector);
+        }
+      });
+    }
+  }
+
+  /**
+   * Open the history drawer of a detector
+   * @param {string} category - Category name
+   * @param {string} detectorName - Detector name
+   */
+  async openHistoryDrawer(category, detectorName) {
+    const modal = document.querySelector('#detectorHistoryModal');
+    if (!modal) return;
+
+    this.currentHistoryDetector = { category, detectorName };
+    await this.renderHistory();
+
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Open the history drawer with the list of deleted detectors
+   * Each one opens its own history, where a previous version can be restored
+   */
+  async openDeletedDetectors() {
+    const modal = document.querySelector('#detectorHistoryModal');
+    if (!modal) return;
+
+    this.currentHistoryDetector = null;
+    const deleted = await this.detectorManager.getDeletedDetectors();
+
+    const title = document.querySelector('#detectorHistoryTitle');
+    if (title) {
+      title.textContent = 'Deleted Detectors';
+    }
+
+    const resetBtn = document.querySelector('#resetDetectorBuiltInBtn');
+    if (resetBtn) {
+      resetBtn.style.display = 'none';
+    }
+
+    const historyList = document.querySelector('#detectorHistoryList');
+    if (historyList) {
+      historyList.innerHTML = deleted.length > 0
+        ? deleted.map(entry => `
+          <div class="history-revision delete">
+            <div class="history-revision-header">
+              <span class="history-action">${Utils.escapeHtml(entry.name)}</span>
+              <span class="history-time">${Utils.escapeHtml(entry.category)} · ${Utils.escapeHtml(entry.deletedAt ? new Date(entry.deletedAt).toLocaleString() : '')}</span>
+              <button class="history-restore-btn" data-history-category="${Utils.escapeHtml(entry.category)}" data-history-detector="${Utils.escapeHtml(entry.detectorName)}">History</button>
+            </div>
+          </div>
+        `).join('')
+        : '<div class="history-empty">No deleted detectors. Detectors deleted from the Rules list appear here with their history.</div>';
+    }
+
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Close the history drawer
+   */
+  closeHistoryDrawer() {
+    const modal = document.querySelector('#detectorHistoryModal');
+    if (modal) {
+      modal.style.display = 'none';
+      document.body.style.overflow = '';
+      this.currentHistoryDetector = null;
+    }
+  }
+
+  /**
+   * Render the revisions of the detector shown in the history drawer
+   */
+  async renderHistory() {
+    if (!this.currentHistoryDetector) return;
+
+    const { category, detectorName } = this.currentHistoryDetector;
+    const revisions = await this.detectorManager.getDetectorHistory(category, detectorName);
+    // A deleted detector is titled after its last recorded version
+    const detector = this.detectorManager.getDetector(category, detectorName) ||
+      revisions.find(revision => revision.detector)?.detector;
+
+    const title = document.querySelector('#detectorHistoryTitle');
+    if (title) {
+      title.textContent = `History: ${detector?.displayName || detector?.name || detectorName}${this.detectorManager.getDetector(category, detectorName) ? '' : ' (deleted)'}`;
+    }
+
+    const resetBtn = document.querySelector('#resetDetectorBuiltInBtn');
+    if (resetBtn) {
+      resetBtn.style.display = this.detectorManager.isBuiltInDetector(category, detectorName) ? '' : 'none';
+    }
+
+    const historyList = document.querySelector('#detectorHistoryList');
+    if (historyList) {
+      historyList.innerHTML = revisions.length > 0
+        ? revisions.map((revision, index) => this.getRevisionHtml(revision, index === 0)).join('')
+        : '<div class="history-empty">No changes recorded yet. Saving, adding or deleting this detector records a revision.</div>';
+    }
+  }
+
+  /**
+   * Get HTML for one revision
+   * @param {object} revision - Revision from DetectorManager.getDetectorHistory()
+   * @param {boolean} isLatest - Newest revision (the current version unless it is a deletion)
+   * @returns {string} HTML for the revision
+   */
+  getRevisionHtml(revision, isLatest) {
+    const labels = {
+      original: 'Original version',
+      add: 'Added',
+      edit: 'Edited',
+      delete: 'Deleted',
+      restore: 'Restored',
+      reset: 'Reset to built-in',
+      feed: 'Rule feed'
+    };
+    const maxChanges = 6;
+    const changes = revision.changes || [];
+
+    const changeRows = changes.slice(0, maxChanges).map(change => `
+      <div class="history-change">
+        <span class="history-change-path">${Utils.escapeHtml(change.path)}</span>
+        <span class="history-change-values" title="${Utils.escapeHtml(`${change.before ?? '—'} → ${change.after ?? '—'}`)}">${Utils.escapeHtml(change.before ?? '—')} → ${Utils.escapeHtml(change.after ?? '—')}</span>
+      </div>
+    `).join('');
+    const moreChanges = changes.length > maxChanges ? `<div class="history-change-more">…and ${changes.length - maxChanges} more changes</div>` : '';
+    const restoredFrom = revision.restoredFrom ? ` (version of ${Utils.escapeHtml(new Date(revision.restoredFrom).toLocaleString())})` : '';
+    const feed = revision.feed ? ` (${Utils.escapeHtml(revision.feed)})` : '';
+
+    let action = '';
+    if (isLatest && revision.detector) {
+      action = '<span class="history-current">Current</span>';
+    } else if (revision.detector) {
+      action = `<button class="history-restore-btn" data-revision-id="${Utils.escapeHtml(revision.id)}">Restore this version</button>`;
+    }
+
+    return `
+      <div class="history-revision ${Utils.escapeHtml(revision.action)}">
+        <div class="history-revision-header">
+          <span class="history-action">${Utils.escapeHtml(labels[revision.action] || revision.action)}${restoredFrom}${feed}</span>
+          <span class="history-time">${Utils.escapeHtml(new Date(revision.timestamp).toLocaleString())}</span>
+          ${action}
+        </div>
+        ${changeRows}${moreChanges}
+      </div>
+    `;
+  }
+
+  /**
+   * Restore the detector shown in the history drawer to a revision
+   * @param {string} revisionId - Revision id
+   */
+  async handleRestoreRevision(revisionId) {
+    if (!this.currentHistoryDetector) return;
+    const { category, detectorName } = this.currentHistoryDetector;
+
+    const success = await this.detectorManager.restoreRevision(category, detectorName, revisionId);
+    if (!success) {
+      NotificationHelper.error('Failed to restore this version');
+      return;
+    }
+
+    NotificationHelper.success('Version restored');
+    chrome.runtime.sendMessage({ type: 'RELOAD_DETECTORS' }, (response) => {
+      console.log('Detectors reloaded in background after restore:', response);
+    });
+    this.displayRules();
+    this.renderHistory();
+  }
+
+  /**
+   * Reset the detector shown in the history drawer to its built-in JSON file
+   */
+  async handleResetToBuiltIn() {
+    if (!this.currentHistoryDetector) return;
+    const { category, detectorName } = this.currentHistoryDetector;
+
+    const confirmed = await NotificationHelper.confirm({
+      title: 'Reset to Built-in',
+      message: 'Replace this detector with the version shipped with the extension? The current version stays in its history.',
+      confirmText: 'Reset',
+      cancelText: 'Cancel',
+      type: 'danger'
+    });
+    if (!confirmed) return;
+
+    const success = await this.detectorManager.resetDetectorToBuiltIn(category, detectorName);
+    if (!success) {
+      NotificationHelper.error('Failed to reset detector to built-in');
+      return;
+    }
+
+    NotificationHelper.success('Detector reset to built-in');
+    chrome.runtime.sendMessage({ type: 'RELOAD_DETECTORS' }, (response) => {
+      console.log('Detectors reloaded in background after reset:', response);
+    });
+    this.displayRules();
+    this.renderHistory();
+  }
+
   /**
    * Update detector enabled state
    * @param {string} category - Category name
@@ -2135,13 +3172,8 @@ class Rules {
     }
 
     try {
-      // Remove detector from detectorManager
-      if (this.detectorManager.detectors[category] && this.detectorManager.detectors[category][detectorName]) {
-        delete this.detectorManager.detectors[category][detectorName];
-
-        // Save to storage
-        await this.detectorManager.saveDetectorsToStorage();
-
+      // Remove detector from detectorManager (recorded in its history)
+      if (await this.detectorManager.deleteDetector(category, detectorName)) {
         // Reload detectors in background script
         chrome.runtime.sendMessage({ type: 'RELOAD_DETECTORS' }, (response) => {
           console.log('Detectors reloaded in background after delete:', response);
@@ -2189,7 +3221,10 @@ class Rules {
         headers: [],
         cookies: [],
         content: [],
-        dom: []
+        dom: [],
+        apis: [],
+        status: [],
+        network: []
       }
     };
 
@@ -4,7 +4,10 @@ class Settings {
       notificationsEnabled: true,
       autoDetectionEnabled: true,
       historyLimit: 100,
-      confidenceThreshold: 70
+      confidenceThreshold: 70,
+      apiSensorEnabled: false,
+      watchModeEnabled: true,
+      confidenceMethod: 'max'
     };
     this.isModalVisible = false;
   }
@@ -41,7 +44,8 @@ class Settings {
 
       if (result.scrapfly_settings) {
         const savedSettings = JSON.parse(result.scrapfly_settings);
-        this.settings = { ...this.settings, ...savedSettings };
+        // saveSettings() wraps the values as {timestamp, settings}
+        this.settings = { ...this.settings, ...(savedSettings.settings || savedSettings) };
       }
 
       this.updateSettingsUI();
@@ -84,6 +88,9 @@ class Settings {
     const historyLimitInput = document.querySelector('#historyLimit');
     const confidenceSlider = document.querySelector('#confidenceThreshold');
     const confidenceValue = document.querySelector('#confidenceValue');
+    const apiSensorToggle = document.querySelector('#apiSensorEnabled');
+    const watchModeToggle = document.querySelector('#watchModeEnabled');
+    const confidenceMethodSelect = document.querySelector('#confidenceMethod');
 
     if (notificationsToggle) {
       notificationsToggle.checked = this.settings.notificationsEnabled;
@@ -104,6 +111,18 @@ class Settings {
     if (confidenceValue) {
       confidenceValue.textContent = `${this.settings.confidenceThreshold}%`;
     }
+
+    if (apiSensorToggle) {
+      apiSensorToggle.checked = this.settings.apiSensorEnabled;
+    }
+
+    if (watchModeToggle) {
+      watchModeToggle.checked = this.settings.watchModeEnabled;
+    }
+
+    if (confidenceMethodSelect) {
+      confidenceMethodSelect.value = this.settings.confidenceMethod;
+    }
   }
 
   /**
@@ -114,12 +133,18 @@ class Settings {
     const autoDetectionToggle = document.querySelector('#autoDetectionEnabled');
     const historyLimitInput = document.querySelector('#historyLimit');
     const confidenceSlider = document.querySelector('#confidenceThreshold');
+    const apiSensorToggle = document.querySelector('#apiSensorEnabled');
+    const watchModeToggle = document.querySelector('#watchModeEnabled');
+    const confidenceMethodSelect = document.querySelector('#confidenceMethod');
 
     return {
       notificationsEnabled: notificationsToggle?.checked ?? this.settings.notificationsEnabled,
       autoDetectionEnabled: autoDetectionToggle?.checked ?? this.settings.autoDetectionEnabled,
       historyLimit: parseInt(historyLimitInput?.value ?? this.settings.historyLimit),
-      confidenceThreshold: parseInt(confidenceSlider?.value ?? this.settings.confidenceThreshold)
+      confidenceThreshold: parseInt(confidenceSlider?.value ?? this.settings.confidenceThreshold),
+      apiSensorEnabled: apiSensorToggle?.checked ?? this.settings.apiSensorEnabled,
+      watchModeEnabled: watchModeToggle?.checked ?? this.settings.watchModeEnabled,
+      confidenceMethod: confidenceMethodSelect?.value ?? this.settings.confidenceMethod
     };
   }
 
@@ -139,6 +164,10 @@ class Settings {
       errors.push('Confidence threshold must be between 0 and 100');
     }
 
+    if (!['max', 'average', 'weighted', 'combined'].includes(settings.confidenceMethod)) {
+      errors.push('Confidence method must be max, average, weighted or combined');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -162,7 +191,10 @@ class Settings {
         notificationsEnabled: true,
         autoDetectionEnabled: true,
         historyLimit: 100,
-        confidenceThreshold: 70
+        confidenceThreshold: 70,
+        apiSensorEnabled: false,
+        watchModeEnabled: true,
+        confidenceMethod: 'max'
       };
 
       this.updateSettingsUI();
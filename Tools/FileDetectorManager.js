@@ -0,0 +1,70 @@
+/**
+ * FileDetectorManager - DetectorManager that reads detector files from disk
+ * Shared by the command line tools (batch-scan.js, run-fixtures.js) instead of chrome.runtime URLs
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const CategoryManager = require(path.join(ROOT_DIR, 'Modules/CategoryManager.js'));
+const DetectorManager = require(path.join(ROOT_DIR, 'Modules/DetectorManager.js'));
+const DetectorSchema = require(path.join(ROOT_DIR, 'Modules/DetectorSchema.js'));
+
+/**
+ * Produces the exact same {category: {detectorName: detector}} structure as the extension
+ */
+class FileDetectorManager extends DetectorManager {
+    constructor(detectorsDir) {
+        super(new CategoryManager());
+        this.detectorsDir = detectorsDir;
+    }
+
+    /**
+     * Load index.json, the detector schema and every detector file it lists
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        const indexPath = path.join(this.detectorsDir, 'index.json');
+        this.categoryManager.categories = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        this.categoryManager.initialized = true;
+
+        // DetectorManager.getSchemaIssues() reads the DetectorSchema global
+        global.DetectorSchema = DetectorSchema;
+        DetectorSchema.schema = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, DetectorSchema.SCHEMA_PATH), 'utf8'));
+
+        await this.loadDetectorsFromIndex();
+        this.initialized = true;
+    }
+
+    /**
+     * Read a single detector file from disk
+     * @param {string} categoryName - Category name (antibot, captcha, fingerprint)
+     * @param {string} detectorName - Detector name (cloudflare, hcaptcha, etc.)
+     * @returns {Promise<object|null>} Normalized detector, or null when the file is missing or invalid
+     */
+    async readDetectorFile(categoryName, detectorName) {
+        const detectorPath = path.join(this.detectorsDir, categoryName, `${detectorName}.json`);
+
+        if (!fs.existsSync(detectorPath)) {
+            console.warn(`Detector file not found: ${detectorPath}`);
+            return null;
+        }
+
+        try {
+            const detectorData = JSON.parse(fs.readFileSync(detectorPath, 'utf8'));
+            const schemaIssues = this.getSchemaIssues(detectorData);
+            if (schemaIssues.length > 0) {
+                console.warn(`Skipping invalid detector ${detectorPath}:\n${DetectorSchema.formatIssues(schemaIssues, 10)}`);
+                return null;
+            }
+            return this.normalizeDetectorData(detectorData);
+        } catch (error) {
+            console.error(`Failed to load detector ${categoryName}/${detectorName}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = FileDetectorManager;
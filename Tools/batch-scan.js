@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Batch Scan CLI - Headless detection over saved pages
+ * Runs the extension's DetectionEngineManager against a directory of saved
+ * HTML (.html/.htm) and HAR (.har) files and prints the same detection objects
+ * the popup displays
+ *
+ * Usage:
+ *   node Tools/batch-scan.js <directory> [--detectors <dir>] [--confidence <method>] [--jsonl] [--verbose]
+ *
+ * A .html and a .har file sharing the same base name are scanned together:
+ * the HAR supplies headers, cookies and external resources, the HTML supplies
+ * the rendered DOM when the HAR has no document body
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Extension modules expect their dependencies as globals (importScripts / <script> order)
+global.ConfidenceManager = require(path.join(ROOT_DIR, 'Modules/ConfidenceManager.js'));
+global.ChallengeStateManager = require(path.join(ROOT_DIR, 'Modules/ChallengeStateManager.js'));
+global.PatternIndex = require(path.join(ROOT_DIR, 'Modules/PatternIndex.js'));
+global.RegexSafety = require(path.join(ROOT_DIR, 'Modules/RegexSafety.js'));
+const DetectionEngineManager = require(path.join(ROOT_DIR, 'Modules/DetectionEngineManager.js'));
+const HarManager = require(path.join(ROOT_DIR, 'Modules/HarManager.js'));
+const FileDetectorManager = require('./FileDetectorManager.js');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const HAR_EXTENSIONS = ['.har'];
+
+const USAGE = 'Usage: node Tools/batch-scan.js <directory> [--detectors <dir>] [--confidence <method>] [--jsonl] [--verbose]';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - process.argv without node and script path
+ * @returns {object} Parsed options (error is set on an unknown option or a missing or invalid value)
+ */
+function parseArgs(argv) {
+    const options = {
+        inputDir: null,
+        detectorsDir: path.join(ROOT_DIR, 'detectors'),
+        confidenceMethod: null,
+        jsonl: false,
+        verbose: false,
+        help: false,
+        error: null
+    };
+    const confidenceMethods = new ConfidenceManager().getCalculationMethods();
+
+    for (let i = 0; i < argv.length && !options.error; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--detectors':
+                if (!argv[i + 1]) {
+                    options.error = '--detectors requires a directory';
+                    break;
+                }
+                options.detectorsDir = path.resolve(argv[++i]);
+                break;
+            case '--confidence':
+                if (!confidenceMethods.includes(argv[i + 1])) {
+                    options.error = `--confidence must be one of: ${confidenceMethods.join(', ')}`;
+                    break;
+                }
+                options.confidenceMethod = argv[++i];
+                break;
+            case '--jsonl':
+                options.jsonl = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    options.error = `Unknown option: ${arg}`;
+                } else if (options.inputDir) {
+                    options.error = `Unexpected argument: ${arg}`;
+                } else {
+                    options.inputDir = path.resolve(arg);
+                }
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Group input files by base name so page.html and page.har are scanned together
+ * @param {string} inputDir - Directory with saved pages
+ * @returns {array} [{name, htmlPath, harPath}]
+ */
+function collectInputs(inputDir) {
+    const groups = new Map();
+
+    for (const file of fs.readdirSync(inputDir).sort()) {
+        const ext = path.extname(file).toLowerCase();
+        const isHtml = HTML_EXTENSIONS.includes(ext);
+        const isHar = HAR_EXTENSIONS.includes(ext);
+        if (!isHtml && !isHar) continue;
+
+        const name = path.basename(file, path.extname(file));
+        if (!groups.has(name)) {
+            groups.set(name, { name, htmlPath: null, harPath: null });
+        }
+
+        const group = groups.get(name);
+        if (isHtml) group.htmlPath = path.join(inputDir, file);
+        if (isHar) group.harPath = path.join(inputDir, file);
+    }
+
+    return Array.from(groups.values());
+}
+
+/**
+ * Build pageData for one input group
+ * @param {object} input - {htmlPath, harPath}
+ * @returns {object} pageData for detectOnPage()
+ */
+function buildPageData(input) {
+    const html = input.htmlPath ? fs.readFileSync(input.htmlPath, 'utf8') : '';
+
+    if (!input.harPath) {
+        return HarManager.buildPageDataFromHtml(html);
+    }
+
+    const har = fs.readFileSync(input.harPath, 'utf8');
+    const pageData = HarManager.buildPageData(har, { url: HarManager.getSavedFromUrl(html) });
+
+    // Saved HTML reflects the rendered DOM, prefer it over the raw HAR document body
+    if (html) {
+        const htmlData = HarManager.extractFromHtml(html, pageData.url);
+
+        pageData.pageHTML = htmlData.pageHTML;
+        pageData.dom = htmlData.dom;
+        pageData.title = htmlData.title || pageData.title;
+        pageData.favicon = pageData.favicon || htmlData.favicon;
+        pageData.content = [
+            ...htmlData.content,
+            ...pageData.content.filter(s => s.src && !htmlData.content.some(h => h.src === s.src))
+        ];
+    }
+
+    return pageData;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.error) {
+        console.error(options.error);
+    }
+    if (options.help || options.error || !options.inputDir) {
+        console.error(USAGE);
+        process.exit(options.help && !options.error ? 0 : 1);
+    }
+
+    // Engine modules log heavily; keep stdout clean for the JSON output
+    const log = console.log;
+    const warn = console.warn;
+    if (options.verbose) {
+        console.log = (...args) => console.error(...args);
+    } else {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const detectorManager = new FileDetectorManager(options.detectorsDir);
+    await detectorManager.initialize();
+
+    const engine = new DetectionEngineManager();
+    engine.setDetectors(detectorManager.getAllDetectors());
+    engine.setConfidenceMethod(options.confidenceMethod);
+
+    const inputs = collectInputs(options.inputDir);
+    if (inputs.length === 0) {
+        console.error(`No .html or .har files found in ${options.inputDir}`);
+        process.exit(1);
+    }
+
+    const results = [];
+    let failed = 0;
+
+    for (const input of inputs) {
+        const files = [input.htmlPath, input.harPath].filter(Boolean).map(f => path.relative(process.cwd(), f));
+
+        try {
+            const pageData = buildPageData(input);
+            pageData.network = DetectionEngineManager.extractNetworkInfo(pageData.headers || {}, pageData.nextHopProtocol);
+            const detections = engine.detectOnPage(pageData);
+            const challengeState = engine.classifyChallengeStates(detections, pageData);
+            const result = {
+                files,
+                url: pageData.url,
+                title: pageData.title,
+                statusCode: pageData.statusCode,
+                protocol: pageData.network.protocol,
+                challengeState: challengeState.state,
+                detectionCount: detections.length,
+                detections
+            };
+
+            results.push(result);
+            if (options.jsonl) {
+                log(JSON.stringify(result));
+            }
+        } catch (error) {
+            failed++;
+            console.error(`Failed to scan ${files.join(', ')}: ${error.message}`);
+        }
+    }
+
+    if (!options.jsonl) {
+        log(JSON.stringify(results, null, 2));
+    }
+
+    console.warn = warn;
+    process.exit(failed > 0 ? 2 : 0);
+}
+
+main().catch(error => {
+    console.error('Batch scan failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Fixture Runner - Offline regression checks for detector JSON files
+ * Loads every detector through FileDetectorManager, runs DetectionEngineManager.detectOnPage()
+ * on each fixture's saved pageData and compares the result with the fixture's expectations
+ *
+ * Usage:
+ *   node Tools/run-fixtures.js [fixture.json | directory ...] [--detectors <dir>] [--json] [--verbose]
+ *
+ * Fixture format (Tools/fixtures/*.json):
+ *   {
+ *     "name": "Cloudflare managed challenge",
+ *     "pageData": { url, statusCode, headers, cookies, pageHTML, content, dom, ... },
+ *     "expected": {
+ *       "detections": [{ "id": "cloudflare", "category": "antibot", "minConfidence": 90,
+ *                        "variant": "Cloudflare Managed Challenge", "state": "challenge" }],
+ *       "notDetected": ["datadome", "akamai"],
+ *       "exclusive": false,
+ *       "challengeState": "challenge"
+ *     }
+ *   }
+ *
+ * A fixture with "regexSafety": {"unsafe": [...], "safe": [...]} instead of pageData checks that
+ * RegexSafety.validate() rejects every unsafe pattern and accepts every safe one
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Extension modules expect their dependencies as globals (importScripts / <script> order)
+global.ConfidenceManager = require(path.join(ROOT_DIR, 'Modules/ConfidenceManager.js'));
+global.ChallengeStateManager = require(path.join(ROOT_DIR, 'Modules/ChallengeStateManager.js'));
+global.PatternIndex = require(path.join(ROOT_DIR, 'Modules/PatternIndex.js'));
+global.RegexSafety = require(path.join(ROOT_DIR, 'Modules/RegexSafety.js'));
+const DetectionEngineManager = require(path.join(ROOT_DIR, 'Modules/DetectionEngineManager.js'));
+const FileDetectorManager = require('./FileDetectorManager.js');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - process.argv without node and script path
+ * @returns {object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        paths: [],
+        detectorsDir: path.join(ROOT_DIR, 'detectors'),
+        json: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--detectors':
+                options.detectorsDir = path.resolve(argv[++i] || '');
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.paths.push(path.resolve(arg));
+        }
+    }
+
+    if (options.paths.length === 0) {
+        options.paths.push(path.join(__dirname, 'fixtures'));
+    }
+
+    return options;
+}
+
+/**
+ * Expand fixture paths: directories contribute their *.json files
+ * @param {string[]} paths - Files and directories
+ * @returns {string[]} Fixture files
+ */
+function collectFixtures(paths) {
+    return paths.flatMap(fixturePath => {
+        if (!fs.statSync(fixturePath).isDirectory()) {
+            return [fixturePath];
+        }
+        return fs.readdirSync(fixturePath)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => path.join(fixturePath, file));
+    });
+}
+
+/**
+ * Check RegexSafety.validate() against a fixture's unsafe and safe patterns
+ * @param {object} cases - fixture.regexSafety
+ * @returns {string[]} Failure messages (empty when the fixture passes)
+ */
+function checkRegexSafety(cases = {}) {
+    const failures = [];
+
+    for (const pattern of cases.unsafe || []) {
+        if (RegexSafety.validate(pattern).valid) {
+            failures.push(`expected ${pattern} to be rejected`);
+        }
+    }
+    for (const pattern of cases.safe || []) {
+        const result = RegexSafety.validate(pattern);
+        if (!result.valid) {
+            failures.push(`expected ${pattern} to be accepted, got "${result.error}"`);
+        }
+    }
+
+    return failures;
+}
+
+/**
+ * Compare a detection run with a fixture's expectations
+ * @param {object} expected - fixture.expected
+ * @param {array} detections - detectOnPage() results
+ * @param {object} challengeState - classifyChallengeStates() result
+ * @returns {string[]} Failure messages (empty when the fixture passes)
+ */
+function checkExpectations(expected = {}, detections, challengeState) {
+    const failures = [];
+    const findDetection = (id, category) => detections.find(detection =>
+        detection.detector.id === id && (!category || detection.category === category)
+    );
+
+    for (const expectation of expected.detections || []) {
+        const { id, category, minConfidence, variant, state } = typeof expectation === 'string' ? { id: expectation } : expectation;
+        const detection = findDetection(id, category);
+
+        if (!detection) {
+            failures.push(`expected ${id} to be detected`);
+            continue;
+        }
+        if (minConfidence !== undefined && detection.confidence < minConfidence) {
+            failures.push(`expected ${id} confidence >= ${minConfidence}, got ${detection.confidence}`);
+        }
+        if (variant !== undefined && (detection.variant?.name || null) !== variant) {
+            failures.push(`expected ${id} variant "${variant}", got "${detection.variant?.name || 'none'}"`);
+        }
+        if (state !== undefined && detection.challengeState?.state !== state) {
+            failures.push(`expected ${id} state "${state}", got "${detection.challengeState?.state}"`);
+        }
+    }
+
+    for (const id of expected.notDetected || []) {
+        if (findDetection(id)) {
+            failures.push(`expected ${id} not to be detected`);
+        }
+    }
+
+    if (expected.exclusive) {
+        const expectedIds = (expected.detections || []).map(expectation => typeof expectation === 'string' ? expectation : expectation.id);
+        detections
+            .filter(detection => !expectedIds.includes(detection.detector.id))
+            .forEach(detection => failures.push(`unexpected detection ${detection.detector.id} (${detection.confidence}%)`));
+    }
+
+    if (expected.challengeState !== undefined && challengeState.state !== expected.challengeState) {
+        failures.push(`expected challenge state "${expected.challengeState}", got "${challengeState.state}"`);
+    }
+
+    return failures;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.error('Usage: node Tools/run-fixtures.js [fixture.json | directory ...] [--detectors <dir>] [--json] [--verbose]');
+        process.exit(0);
+    }
+
+    // Engine modules log heavily; keep stdout for the report
+    const log = console.log;
+    const warn = console.warn;
+    if (options.verbose) {
+        console.log = (...args) => console.error(...args);
+    } else {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const detectorManager = new FileDetectorManager(options.detectorsDir);
+    await detectorManager.initialize();
+
+    const engine = new DetectionEngineManager();
+    engine.setDetectors(detectorManager.getAllDetectors());
+
+    const fixtureFiles = collectFixtures(options.paths);
+    if (fixtureFiles.length === 0) {
+        console.error(`No fixtures found in ${options.paths.join(', ')}`);
+        process.exit(1);
+    }
+
+    const results = [];
+
+    for (const file of fixtureFiles) {
+        const relativePath = path.relative(process.cwd(), file);
+
+        try {
+            const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (fixture.regexSafety) {
+                results.push({
+                    file: relativePath,
+                    name: fixture.name || path.basename(file, '.json'),
+                    passed: false,
+                    failures: checkRegexSafety(fixture.regexSafety)
+                });
+            } else if (!fixture.pageData || typeof fixture.pageData !== 'object') {
+                throw new Error('Missing pageData');
+            } else {
+                const pageData = fixture.pageData;
+                pageData.network = DetectionEngineManager.extractNetworkInfo(pageData.headers || {}, pageData.nextHopProtocol);
+                engine.setConfidenceMethod(fixture.confidenceMethod || 'max');
+                const detections = engine.detectOnPage(pageData);
+                const challengeState = engine.classifyChallengeStates(detections, pageData);
+
+                results.push({
+                    file: relativePath,
+                    name: fixture.name || path.basename(file, '.json'),
+                    passed: false,
+                    failures: checkExpectations(fixture.expected, detections, challengeState),
+                    detections: detections.map(detection => ({
+                        id: detection.detector.id,
+                        confidence: detection.confidence,
+                        variant: detection.variant?.name || null,
+                        state: detection.challengeState?.state
+                    })),
+                    challengeState: challengeState.state
+                });
+            }
+        } catch (error) {
+            results.push({ file: relativePath, name: path.basename(file, '.json'), passed: false, failures: [`could not run: ${error.message}`] });
+        }
+
+        const result = results[results.length - 1];
+        result.passed = result.failures.length === 0;
+    }
+
+    const failedCount = results.filter(result => !result.passed).length;
+
+    if (options.json) {
+        log(JSON.stringify(results, null, 2));
+    } else {
+        for (const result of results) {
+            log(`${result.passed ? '✓' : '✗'} ${result.name} (${result.file})`);
+            result.failures.forEach(failure => log(`    - ${failure}`));
+        }
+        log(`\n${results.length - failedCount}/${results.length} fixtures passed`);
+    }
+
+    console.warn = warn;
+    process.exit(failedCount > 0 ? 2 : 0);
+}
+
+main().catch(error => {
+    console.error('Fixture run failed:', error);
+    process.exit(1);
+});
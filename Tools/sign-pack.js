@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Pack Signer - Prepares a detector directory to be served as a rule feed
+ * Validates every detector file, writes their SHA-256 hashes into index.json ("integrity") and, with a
+ * private key, signs index.json into index.json.sig. The extension's RuleFeedManager checks both
+ *
+ * Usage:
+ *   node Tools/sign-pack.js --generate-key <name>
+ *   node Tools/sign-pack.js <packDir> [--key <private.pem>] [--version <version>] [--name <name>]
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+global.RegexSafety = require(path.join(ROOT_DIR, 'Modules/RegexSafety.js'));
+const FileDetectorManager = require('./FileDetectorManager.js');
+
+const USAGE = 'Usage: node Tools/sign-pack.js <packDir> [--key <private.pem>] [--version <version>] [--name <name>]\n' +
+    '       node Tools/sign-pack.js --generate-key <name>';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - process.argv without node and script path
+ * @returns {object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        packDir: null,
+        keyFile: null,
+        version: null,
+        name: null,
+        generateKey: null,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--key':
+                options.keyFile = path.resolve(argv[++i] || '');
+                break;
+            case '--version':
+                options.version = argv[++i];
+                break;
+            case '--name':
+                options.name = argv[++i];
+                break;
+            case '--generate-key':
+                options.generateKey = argv[++i];
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--') || options.packDir) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                options.packDir = path.resolve(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Generate an ECDSA P-256 key pair: <name>.pem (private, keep it) and <name>.pub (base64 SPKI, for subscribers)
+ * @param {string} name - Output path without extension
+ */
+function generateKey(name) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const publicKeyBase64 = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+    fs.writeFileSync(`${name}.pem`, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    fs.writeFileSync(`${name}.pub`, `${publicKeyBase64}\n`);
+
+    console.log(`Private key: ${name}.pem`);
+    console.log(`Public key (paste into Rules → Feeds): ${publicKeyBase64}`);
+}
+
+/**
+ * Local timestamp in the detectors' lastUpdated format
+ * @returns {string} YYYY-MM-DD HH:MM:SS
+ */
+function timestamp() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.error(USAGE);
+        process.exit(0);
+    }
+    if (options.generateKey) {
+        generateKey(options.generateKey);
+        return;
+    }
+    if (!options.packDir) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const indexPath = path.join(options.packDir, 'index.json');
+    const manifest = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+
+    // Load the pack like the extension does: files failing the schema are skipped with a warning
+    const log = console.log;
+    console.log = () => {};
+    const detectorManager = new FileDetectorManager(options.packDir);
+    await detectorManager.initialize();
+    console.log = log;
+
+    const integrity = {};
+    const problems = [];
+
+    for (const [category, categoryData] of Object.entries(manifest)) {
+        if (!Array.isArray(categoryData?.detectors)) continue;
+
+        for (const detectorName of categoryData.detectors) {
+            const file = `${category}/${detectorName}.json`;
+            if (!detectorManager.getDetector(category, detectorName)) {
+                problems.push(`${file}: missing or invalid`);
+                continue;
+            }
+            integrity[file] = crypto.createHash('sha256').update(fs.readFileSync(path.join(options.packDir, file))).digest('hex');
+        }
+    }
+
+    const regexIssues = RegexSafety.validateDetectors(detectorManager.getAllDetectors());
+    if (regexIssues.length > 0) {
+        problems.push(`Unsafe regex patterns:\n${RegexSafety.formatIssues(regexIssues, 10)}`);
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`✗ ${problem}`));
+        process.exit(2);
+    }
+
+    if (options.name) manifest.name = options.name;
+    if (options.version) manifest.version = options.version;
+    manifest.lastUpdated = timestamp();
+    manifest.integrity = integrity;
+
+    const text = JSON.stringify(manifest, null, 2);
+    fs.writeFileSync(indexPath, text);
+    console.log(`✓ ${Object.keys(integrity).length} detector files hashed into ${path.relative(process.cwd(), indexPath)}`);
+
+    if (options.keyFile) {
+        const signature = crypto.sign('sha256', Buffer.from(text), {
+            key: fs.readFileSync(options.keyFile, 'utf8'),
+            // WebCrypto's ECDSA verify expects raw r||s, not DER
+            dsaEncoding: 'ieee-p1363'
+        });
+        fs.writeFileSync(`${indexPath}.sig`, signature.toString('base64'));
+        console.log(`✓ Signed: ${path.relative(process.cwd(), indexPath)}.sig`);
+    }
+}
+
+main().catch(error => {
+    console.error('Signing failed:', error.message);
+    process.exit(1);
+});
@@ -45,6 +45,19 @@ class Utils {
 
     return false;
   }
+
+  /**
+   * Escape a value for use in HTML text and double-quoted attributes
+   * @param {*} value - Value to escape (null and undefined become an empty string)
+   * @returns {string} Escaped text
+   */
+  static escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
 }
 
 // Export for use in other scripts
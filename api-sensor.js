@@ -0,0 +1,160 @@
+/**
+ * JavaScript API sensor for Scrapfly Security Detection Extension
+ * Runs in the page's MAIN world at document_start (opt-in, registered by background.js)
+ * Records calls to fingerprinting APIs and posts aggregated counts to content.js
+ *
+ * Reported calls: [{api, count, callers}]
+ * - api: API name used by `apis` detector rules (e.g. 'HTMLCanvasElement.toDataURL')
+ * - count: number of calls since the document loaded
+ * - callers: URLs of the scripts that made the calls (first few distinct)
+ */
+(function () {
+    if (window.__scrapflyApiSensor) return;
+    Object.defineProperty(window, '__scrapflyApiSensor', { value: true });
+
+    const SENSOR_SOURCE = 'scrapfly-api-sensor';
+    const CONTENT_SOURCE = 'scrapfly-content';
+    const MAX_CALLERS_PER_API = 10;
+    // Stack traces are expensive, only sample callers for tight loops (measureText font probing)
+    const CALLER_SAMPLE_INTERVAL = 50;
+    const REPORT_DELAY = 500;
+
+    const UNMASKED_PARAMETERS = {
+        0x9245: 'UNMASKED_VENDOR_WEBGL',
+        0x9246: 'UNMASKED_RENDERER_WEBGL'
+    };
+
+    const calls = {};
+    const measuredFonts = new Set();
+    let reportTimer = null;
+
+    /**
+     * Find the URL of the script that called a hooked API
+     * @returns {string|null} First http(s) URL in the stack trace
+     */
+    function getCallerUrl() {
+        const stack = new Error().stack || '';
+        const match = stack.match(/(https?:\/\/[^\s()]+?):\d+:\d+/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Record one call to an API
+     * @param {string} api - API name
+     */
+    function record(api) {
+        const entry = calls[api] || (calls[api] = { api, count: 0, callers: [] });
+        entry.count++;
+
+        if (entry.callers.length < MAX_CALLERS_PER_API &&
+            (entry.count <= CALLER_SAMPLE_INTERVAL || entry.count % CALLER_SAMPLE_INTERVAL === 0)) {
+            const caller = getCallerUrl();
+            if (caller && !entry.callers.includes(caller)) {
+                entry.callers.push(caller);
+            }
+        }
+
+        scheduleReport();
+    }
+
+    /**
+     * Post the current call counts to the content script
+     */
+    function report() {
+        reportTimer = null;
+        window.postMessage({
+            source: SENSOR_SOURCE,
+            type: 'API_CALLS',
+            calls: Object.values(calls).map(entry => ({
+                api: entry.api,
+                count: entry.count,
+                callers: entry.callers.slice()
+            }))
+        }, '*');
+    }
+
+    function scheduleReport() {
+        if (!reportTimer) {
+            reportTimer = setTimeout(report, REPORT_DELAY);
+        }
+    }
+
+    /**
+     * Wrap a prototype method; the Proxy keeps name, length and native toString()
+     * @param {object} target - Prototype owning the method
+     * @param {string} name - Method name
+     * @param {function} getApiName - (thisArg, args) => API name to record, or null to skip
+     */
+    function hookMethod(target, name, getApiName) {
+        if (!target || typeof target[name] !== 'function') return;
+
+        target[name] = new Proxy(target[name], {
+            apply(original, thisArg, args) {
+                try {
+                    const api = getApiName(thisArg, args);
+                    if (api) record(api);
+                } catch (error) {
+                    // Never break the page because of the sensor
+                }
+                return Reflect.apply(original, thisArg, args);
+            }
+        });
+    }
+
+    /**
+     * Wrap a global constructor
+     * @param {string} name - Global constructor name
+     * @param {string} api - API name to record
+     */
+    function hookConstructor(name, api) {
+        if (typeof window[name] !== 'function') return;
+
+        window[name] = new Proxy(window[name], {
+            construct(original, args, newTarget) {
+                record(api);
+                return Reflect.construct(original, args, newTarget);
+            }
+        });
+    }
+
+    // Canvas fingerprinting
+    hookMethod(window.HTMLCanvasElement?.prototype, 'toDataURL', () => 'HTMLCanvasElement.toDataURL');
+    hookMethod(window.HTMLCanvasElement?.prototype, 'toBlob', () => 'HTMLCanvasElement.toBlob');
+    hookMethod(window.CanvasRenderingContext2D?.prototype, 'getImageData', () => 'CanvasRenderingContext2D.getImageData');
+
+    // Font enumeration: many measureText calls over many distinct fonts
+    hookMethod(window.CanvasRenderingContext2D?.prototype, 'measureText', (context) => {
+        if (context && context.font && !measuredFonts.has(context.font)) {
+            measuredFonts.add(context.font);
+            record('FontEnumeration');
+        }
+        return 'CanvasRenderingContext2D.measureText';
+    });
+
+    // WebGL fingerprinting (WebGL2 calls are reported under the WebGLRenderingContext name)
+    ['WebGLRenderingContext', 'WebGL2RenderingContext'].forEach(contextName => {
+        const prototype = window[contextName]?.prototype;
+
+        hookMethod(prototype, 'getParameter', (context, args) => {
+            const parameter = UNMASKED_PARAMETERS[args[0]];
+            return parameter ? `WebGLRenderingContext.getParameter(${parameter})` : null;
+        });
+        hookMethod(prototype, 'readPixels', () => 'WebGLRenderingContext.readPixels');
+    });
+
+    // Audio fingerprinting
+    hookConstructor('OfflineAudioContext', 'OfflineAudioContext');
+    hookConstructor('webkitOfflineAudioContext', 'OfflineAudioContext');
+
+    // WebRTC IP leak / fingerprinting
+    hookConstructor('RTCPeerConnection', 'RTCPeerConnection');
+    hookConstructor('webkitRTCPeerConnection', 'RTCPeerConnection');
+
+    // content.js loads at document_idle and asks for everything recorded before it was ready
+    window.addEventListener('message', (event) => {
+        if (event.source === window && event.data && event.data.source === CONTENT_SOURCE &&
+            event.data.type === 'GET_API_CALLS') {
+            report();
+        }
+    });
+})();
@@ -7,9 +7,16 @@
 importScripts(
     './Utils/utils.js',
     './Modules/CategoryManager.js',
+    './Modules/RegexSafety.js',
+    './Modules/DetectorSchema.js',
+    './Modules/RuleFeedManager.js',
     './Modules/DetectorManager.js',
     './Modules/ConfidenceManager.js',
+    './Modules/ChallengeStateManager.js',
+    './Modules/PatternIndex.js',
     './Modules/DetectionEngineManager.js',
+    './Modules/ExternalContentManager.js',
+    './Modules/HarManager.js',
     './Modules/NotificationManager.js',
     './Sections/History/History.js',
     './Sections/Advanced/Modules/ReCaptcha/Libs/pbf.js',
@@ -23,6 +30,43 @@ console.log('Scrapfly Background Script: Initializing...');
 
 // Storage for headers per tab
 const headersStore = new Map();
+// Bounded per-tab log of subresource response headers: tabId -> [{url, type, statusCode, headers, timestamp}]
+const subresourceHeadersStore = new Map();
+const SUBRESOURCE_HEADER_TYPES = ['xmlhttprequest', 'script', 'sub_frame'];
+const MAX_SUBRESOURCE_HEADERS_PER_TAB = 200;
+// Bounded per-tab list of every request URL the tab made: tabId -> [{url, method, type, timestamp}]
+const requestsStore = new Map();
+const MAX_REQUESTS_PER_TAB = 500;
+// Main document navigation per tab: tabId -> {requestId, initialUrl, url, statusCode, statusLine, redirects, timing}
+const navigationStore = new Map();
+// Current route of each tab: tabId -> {key, path, url, type ('document', 'history' or 'fragment'), startTime}
+const routeStore = new Map();
+// Time for an SPA to render a new route before its data is collected
+const ROUTE_SETTLE_DELAY = 500;
+// When each detector first matched on the current route: tabId -> {timeOrigin, url, events: [{category, id, name, ...}]}
+const timelineStore = new Map();
+// Page data of each tab's last detection run, for the Rules editor's test pane: tabId -> pageData
+const pageDataStore = new Map();
+// Opt-in MAIN-world sensor recording fingerprinting API calls (api-sensor.js)
+const API_SENSOR_SCRIPT_ID = 'scrapfly-api-sensor';
+// External scripts and stylesheets are fetched here (no CORS limits), cached by URL and content hash across tabs
+const externalContentManager = new ExternalContentManager();
+// Rule matching runs in an offscreen document (offscreen.js), inline when the offscreen API is unavailable
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+// A scan starts no further detector after this budget and returns the results found so far
+const SCAN_BUDGET_MS = 5000;
+// No answer after this (e.g. a runaway regex): the offscreen document is closed, cancelling the scan
+const SCAN_TIMEOUT_MS = 15000;
+// Scan currently queued or running for each tab: tabId -> scanId (superseded scans are cancelled)
+const activeScans = new Map();
+let scanCounter = 0;
+let offscreenCreating = null;
+// Detectors object last sent to the offscreen document and its version
+let offscreenDetectors = null;
+let offscreenDetectorsVersion = 0;
+// Subframe data collection (content script runs with all_frames)
+const MAX_FRAMES_PER_TAB = 20;
+const FRAME_COLLECTION_TIMEOUT = 1500;
 const captureState = new Map();
 const akamaiCaptureState = new Map();
 
@@ -109,6 +153,25 @@ chrome.runtime.onStartup.addListener(async () => {
     await initialize('startup');
 });
 
+// Check subscribed rule feeds periodically; updates are stored as pending and applied from the Rules section
+// The alarm is only created when missing: re-creating it on every worker start would postpone it forever
+chrome.alarms.get(RuleFeedManager.ALARM_NAME).then(alarm => {
+    if (!alarm) {
+        chrome.alarms.create(RuleFeedManager.ALARM_NAME, { periodInMinutes: RuleFeedManager.CHECK_INTERVAL_MINUTES });
+    }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== RuleFeedManager.ALARM_NAME) return;
+
+    try {
+        const manager = await ensureDetectorManagerInitialized();
+        await manager.getRuleFeedManager().checkAll();
+    } catch (error) {
+        console.error('Background: Rule feed check failed:', error);
+    }
+});
+
 /**
  * Ensure DetectorManager is initialized (lazy initialization)
  * Service workers can be terminated and restarted, losing in-memory state
@@ -143,15 +206,18 @@ function setupHeaderCapture() {
     // Listen for response headers
     chrome.webRequest.onHeadersReceived.addListener(
         (details) => {
-            // Only capture headers for main frame requests
-            if (details.type === 'main_frame' && details.responseHeaders) {
-                const headers = {};
+            if (!details.responseHeaders || details.tabId < 0) {
+                return;
+            }
 
-                // Convert headers array to object for easier access
-                details.responseHeaders.forEach(header => {
-                    headers[header.name.toLowerCase()] = header.value;
-                });
+            const headers = {};
+
+            // Convert headers array to object for easier access
+            details.responseHeaders.forEach(header => {
+                headers[header.name.toLowerCase()] = header.value;
+            });
 
+            if (details.type === 'main_frame') {
                 // Store headers for this tab
                 headersStore.set(details.tabId, {
                     url: details.url,
@@ -159,7 +225,28 @@ function setupHeaderCapture() {
                     timestamp: Date.now()
                 });
 
+                // New document, start a fresh subresource log
+                subresourceHeadersStore.set(details.tabId, []);
+
                 console.log(`Scrapfly Background: Captured ${Object.keys(headers).length} headers for tab ${details.tabId}`);
+            } else if (SUBRESOURCE_HEADER_TYPES.includes(details.type)) {
+                if (!subresourceHeadersStore.has(details.tabId)) {
+                    subresourceHeadersStore.set(details.tabId, []);
+                }
+
+                const log = subresourceHeadersStore.get(details.tabId);
+                log.push({
+                    url: details.url,
+                    type: details.type,
+                    statusCode: details.statusCode,
+                    headers: headers,
+                    timestamp: Date.now()
+                });
+
+                // Keep the log bounded, drop the oldest entries first
+                if (log.length > MAX_SUBRESOURCE_HEADERS_PER_TAB) {
+                    log.splice(0, log.length - MAX_SUBRESOURCE_HEADERS_PER_TAB);
+                }
             }
         },
         { urls: ["<all_urls>"] },
@@ -167,6 +254,292 @@ function setupHeaderCapture() {
     );
 }
 
+/**
+ * Setup request URL capture using webRequest API
+ * Keeps a per-tab list of request URLs so URL rules can match XHR, beacons, iframes and pixels
+ */
+function setupRequestCapture() {
+    console.log('Scrapfly Background: Setting up request capture...');
+
+    chrome.webRequest.onBeforeRequest.addListener(
+        (details) => {
+            if (details.tabId < 0) {
+                return;
+            }
+
+            // New document, start a fresh request list
+            if (details.type === 'main_frame') {
+                requestsStore.set(details.tabId, []);
+            }
+
+            if (!requestsStore.has(details.tabId)) {
+                requestsStore.set(details.tabId, []);
+            }
+
+            const requests = requestsStore.get(details.tabId);
+
+            // Skip exact duplicates (same URL and method)
+            if (requests.some(r => r.url === details.url && r.method === details.method)) {
+                return;
+            }
+
+            requests.push({
+                url: details.url,
+                method: details.method,
+                type: details.type,
+                timestamp: Date.now()
+            });
+
+            // Keep the list bounded, drop the oldest entries first
+            if (requests.length > MAX_REQUESTS_PER_TAB) {
+                requests.splice(0, requests.length - MAX_REQUESTS_PER_TAB);
+            }
+        },
+        { urls: ["<all_urls>"] }
+    );
+}
+
+/**
+ * Setup main document navigation capture using webRequest API
+ * Records the status code, every redirect hop (onBeforeRedirect) and timing of each main frame load
+ */
+function setupNavigationCapture() {
+    console.log('Scrapfly Background: Setting up navigation capture...');
+
+    const filter = { urls: ["<all_urls>"], types: ['main_frame'] };
+
+    // Get the navigation a webRequest event belongs to (redirect hops keep the same requestId)
+    const getNavigation = (details) => {
+        const navigation = navigationStore.get(details.tabId);
+        return navigation && navigation.requestId === details.requestId ? navigation : null;
+    };
+
+    chrome.webRequest.onBeforeRequest.addListener(
+        (details) => {
+            if (details.tabId < 0 || getNavigation(details)) {
+                return;
+            }
+
+            navigationStore.set(details.tabId, {
+                requestId: details.requestId,
+                initialUrl: details.url,
+                url: details.url,
+                statusCode: null,
+                statusLine: '',
+                redirects: [],
+                timing: {
+                    startTime: Math.round(details.timeStamp)
+                }
+            });
+        },
+        filter
+    );
+
+    chrome.webRequest.onBeforeRedirect.addListener(
+        (details) => {
+            const navigation = getNavigation(details);
+            if (!navigation) {
+                return;
+            }
+
+            navigation.redirects.push({
+                url: details.url,
+                statusCode: details.statusCode,
+                redirectUrl: details.redirectUrl,
+                fromCache: details.fromCache,
+                time: Math.round(details.timeStamp - navigation.timing.startTime)
+            });
+            navigation.url = details.redirectUrl;
+            navigation.timing.redirectTime = Math.round(details.timeStamp - navigation.timing.startTime);
+        },
+        filter
+    );
+
+    chrome.webRequest.onResponseStarted.addListener(
+        (details) => {
+            const navigation = getNavigation(details);
+            if (!navigation) {
+                return;
+            }
+
+            navigation.url = details.url;
+            navigation.statusCode = details.statusCode;
+            navigation.statusLine = details.statusLine || '';
+            navigation.fromCache = details.fromCache;
+            navigation.timing.responseStart = Math.round(details.timeStamp - navigation.timing.startTime);
+        },
+        filter
+    );
+
+    chrome.webRequest.onCompleted.addListener(
+        (details) => {
+            const navigation = getNavigation(details);
+            if (navigation) {
+                navigation.timing.duration = Math.round(details.timeStamp - navigation.timing.startTime);
+            }
+        },
+        filter
+    );
+
+    chrome.webRequest.onErrorOccurred.addListener(
+        (details) => {
+            const navigation = getNavigation(details);
+            if (navigation) {
+                navigation.error = details.error;
+                navigation.timing.duration = Math.round(details.timeStamp - navigation.timing.startTime);
+            }
+        },
+        filter
+    );
+}
+
+/**
+ * Setup SPA route tracking using webNavigation
+ * History API (pushState / replaceState) and hash changes that move to a different route
+ * get their own detection, cached and saved to History per route
+ */
+function setupRouteTracking() {
+    console.log('Scrapfly Background: Setting up SPA route tracking...');
+
+    // Document loads start a new route
+    chrome.webNavigation.onCommitted.addListener((details) => {
+        if (details.frameId !== 0) return;
+
+        routeStore.set(details.tabId, {
+            ...DetectionEngineManager.getRoute(details.url),
+            url: details.url,
+            type: 'document',
+            startTime: Math.round(details.timeStamp)
+        });
+    });
+
+    const onRouteChange = (type) => (details) => {
+        if (details.frameId !== 0 || details.tabId < 0) return;
+
+        const route = DetectionEngineManager.getRoute(details.url);
+        const currentRoute = routeStore.get(details.tabId);
+
+        // replaceState on the same path, query changes and in-page anchors stay on the same route
+        if (currentRoute && currentRoute.key === route.key) {
+            currentRoute.url = details.url;
+            return;
+        }
+
+        routeStore.set(details.tabId, {
+            ...route,
+            url: details.url,
+            type,
+            startTime: Math.round(details.timeStamp)
+        });
+        console.log(`Scrapfly Background: Tab ${details.tabId} moved to route ${route.path} (${type})`);
+
+        setTimeout(() => checkCacheOrRequestData(details.tabId, details.url, 'route'), ROUTE_SETTLE_DELAY);
+    };
+
+    chrome.webNavigation.onHistoryStateUpdated.addListener(onRouteChange('history'));
+    chrome.webNavigation.onReferenceFragmentUpdated.addListener(onRouteChange('fragment'));
+}
+
+/**
+ * Read the settings saved by the Settings section
+ * @returns {Promise<object>} Settings object (empty if never saved)
+ */
+async function getStoredSettings() {
+    try {
+        const result = await chrome.storage.local.get(['scrapfly_settings']);
+        if (!result.scrapfly_settings) return {};
+
+        const parsed = JSON.parse(result.scrapfly_settings);
+        return parsed.settings || parsed;
+    } catch (error) {
+        console.error('Scrapfly Background: Failed to read settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Register or unregister the API sensor content script
+ * Changes apply to pages loaded afterwards
+ * @param {boolean} enabled - Whether the sensor should run
+ */
+async function updateApiSensorRegistration(enabled) {
+    try {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [API_SENSOR_SCRIPT_ID] });
+
+        if (enabled && registered.length === 0) {
+            await chrome.scripting.registerContentScripts([{
+                id: API_SENSOR_SCRIPT_ID,
+                js: ['api-sensor.js'],
+                matches: ['http://*/*', 'https://*/*'],
+                runAt: 'document_start',
+                allFrames: true,
+                world: 'MAIN'
+            }]);
+            console.log('Scrapfly Background: API sensor registered');
+        } else if (!enabled && registered.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: [API_SENSOR_SCRIPT_ID] });
+            console.log('Scrapfly Background: API sensor unregistered');
+        }
+    } catch (error) {
+        console.error('Scrapfly Background: Failed to update API sensor registration:', error);
+    }
+}
+
+/**
+ * Keep the API sensor registration in sync with the apiSensorEnabled setting
+ */
+function setupApiSensor() {
+    getStoredSettings().then(settings => updateApiSensorRegistration(settings.apiSensorEnabled === true));
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes.scrapfly_settings) return;
+
+        getStoredSettings().then(settings => updateApiSensorRegistration(settings.apiSensorEnabled === true));
+    });
+}
+
+/**
+ * Collect data from every subframe of a tab
+ * Each frame's content script answers COLLECT_FRAME_DATA; frames that don't answer in time are skipped
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<array>} [{frameId, parentFrameId, url, content, dom, cookies, pageHTML}]
+ */
+async function collectSubframeData(tabId) {
+    let frames = [];
+    try {
+        frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+    } catch (error) {
+        console.warn('Scrapfly Background: Could not list frames:', error.message);
+        return [];
+    }
+
+    const subframes = frames
+        .filter(frame => frame.frameId !== 0 && /^https?:/.test(frame.url))
+        .slice(0, MAX_FRAMES_PER_TAB);
+
+    const results = await Promise.all(subframes.map(frame => new Promise((resolve) => {
+        const timeout = setTimeout(() => resolve(null), FRAME_COLLECTION_TIMEOUT);
+
+        chrome.tabs.sendMessage(tabId, { type: 'COLLECT_FRAME_DATA' }, { frameId: frame.frameId }, (response) => {
+            clearTimeout(timeout);
+
+            if (chrome.runtime.lastError || !response || response.status !== 'success') {
+                resolve(null);
+                return;
+            }
+
+            resolve({
+                ...response.data,
+                frameId: frame.frameId,
+                parentFrameId: frame.parentFrameId,
+                url: response.data.url || frame.url
+            });
+        });
+    })));
+
+    return results.filter(Boolean);
+}
+
 /**
  * Process detection data from content script
  * @param {object} message - Message from content script
@@ -182,7 +555,12 @@ async function processDetectionData(message, sender) {
     const pageData = message.data;
     const pageUrl = pageData.url;
 
-    console.log(`Scrapfly Background: Processing detection data from tab ${tabId} (cache miss)`);
+    // 'initial' for the first collection, 'route' after an SPA navigation,
+    // otherwise the watch mode changes that caused the re-collection
+    const trigger = message.trigger || 'initial';
+    const isWatchUpdate = trigger !== 'initial' && trigger !== 'route';
+
+    console.log(`Scrapfly Background: Processing detection data from tab ${tabId} (${trigger === 'initial' ? 'cache miss' : `watch: ${trigger}`})`);
 
     // Add headers if available
     if (headersStore.has(tabId)) {
@@ -192,12 +570,52 @@ async function processDetectionData(message, sender) {
         if (headerData.url.includes(pageData.hostname)) {
             pageData.headers = headerData.headers;
             console.log(`Scrapfly Background: Added ${Object.keys(headerData.headers).length} headers to detection data`);
+            // Kept until the next navigation (or tab close) so watch mode re-collections see the same headers
+        }
+    }
+
+    // Add main document status code, redirect chain and timing
+    if (navigationStore.has(tabId)) {
+        const { requestId, ...navigation } = navigationStore.get(tabId);
 
-            headersStore.delete(tabId);
-            console.log(`Scrapfly Background: Cleaned up headers for tab ${tabId} after use`);
+        if (navigation.url && navigation.url.includes(pageData.hostname)) {
+            pageData.navigation = navigation;
+            pageData.statusCode = navigation.statusCode;
+            console.log(`Scrapfly Background: Added navigation (HTTP ${navigation.statusCode}, ${navigation.redirects.length} redirects) to detection data`);
         }
     }
 
+    // Add subresource headers (xhr, script, sub_frame) captured since the last navigation
+    if (subresourceHeadersStore.has(tabId)) {
+        pageData.subresourceHeaders = subresourceHeadersStore.get(tabId).slice();
+        console.log(`Scrapfly Background: Added ${pageData.subresourceHeaders.length} subresource header entries to detection data`);
+    }
+
+    // Add every request URL the tab made since the last navigation
+    if (requestsStore.has(tabId)) {
+        pageData.requests = requestsStore.get(tabId).slice();
+        console.log(`Scrapfly Background: Added ${pageData.requests.length} request URLs to detection data`);
+    }
+
+    // Fetch the external scripts and stylesheets the page listed (size limited, cached across tabs)
+    const external = await externalContentManager.fetchAll(pageData.externalResources || []);
+    pageData.externalContent = external.resources;
+    pageData.externalContentStats = external.stats;
+
+    // Add data from subframes (captcha widgets and challenges often live in iframes)
+    pageData.frames = await collectSubframeData(tabId);
+    if (pageData.frames.length > 0) {
+        console.log(`Scrapfly Background: Added data from ${pageData.frames.length} subframes to detection data`);
+    }
+
+    // Add the route the data belongs to (SPA routes are cached and saved to History separately)
+    const route = DetectionEngineManager.getRoute(pageUrl);
+    const currentRoute = routeStore.get(tabId);
+    // Document routes start at the document's own navigation start, webNavigation only sees the commit
+    pageData.route = currentRoute && currentRoute.key === route.key && currentRoute.type !== 'document'
+        ? { key: currentRoute.key, path: currentRoute.path, type: currentRoute.type, startTime: currentRoute.startTime }
+        : { ...route, type: 'document', startTime: pageData.timeOrigin || currentRoute?.startTime };
+
     // Add tab information
     pageData.tabId = tabId;
     pageData.tabUrl = sender.tab.url;
@@ -212,45 +630,41 @@ async function processDetectionData(message, sender) {
         // Ensure DetectorManager is initialized (handles service worker restarts)
         await ensureDetectorManagerInitialized();
 
+        // Add edge / transport signals from the main document headers (alt-svc, server-timing, nel, report-to)
+        // The document's own nextHopProtocol is the negotiated protocol, the status line is only a fallback
+        pageData.network = DetectionEngineManager.extractNetworkInfo(
+            pageData.headers || {},
+            pageData.nextHopProtocol || pageData.navigation?.statusLine || ''
+        );
+
         console.log('✅ Running detection on page data...');
-        // Create detection engine if not exists
-        if (!detectionEngine) {
-            detectionEngine = new DetectionEngineManager();
+        // Match rules and classify the response (block page, challenge, CAPTCHA, passed or plain content)
+        const scan = await runDetectionScan(pageData, tabId);
+        if (scan.cancelled) {
+            console.log(`Scrapfly Background: Scan for tab ${tabId} superseded by a newer collection`);
+            return;
         }
-        // Set detectors from detector manager
-        detectionEngine.setDetectors(detectorManager.getAllDetectors());
-        // Run detection
-        detectionResults = detectionEngine.detectOnPage(pageData);
+        detectionResults = scan.detectionResults;
+        pageData.scanStats = scan.scanStats;
+        pageData.challengeState = scan.challengeState;
+        pageDataStore.set(tabId, pageData);
         console.log(`🎯 Scrapfly Background: Detected ${detectionResults.length} security systems on tab ${tabId}`);
 
-        // Store detection results immediately
-        await DetectionEngineManager.storeDetection(pageUrl, pageData, detectionResults);
+        // Record when each detector first matched on this document
+        const newEvents = updateDetectionTimeline(tabId, pageData, detectionResults, trigger);
+        pageData.timeline = timelineStore.get(tabId).events;
 
-        // Update badge with detection count
-        if (detectionResults.length > 0) {
-            const count = detectionResults.length.toString();
-            const color = detectionResults.length >= 5 ? '#FF4444' :
-                         detectionResults.length >= 3 ? '#FFA500' :
-                         '#4CAF50';
+        // Store detection results immediately (incomplete scans expire quickly and are rescanned on the next load)
+        const incompleteScan = DetectionEngineManager.isIncompleteScan(pageData.scanStats);
+        await DetectionEngineManager.storeDetection(pageUrl, pageData, detectionResults);
 
-            chrome.action.setBadgeText({
-                text: count,
-                tabId: tabId
-            });
-            chrome.action.setBadgeBackgroundColor({
-                color: color,
-                tabId: tabId
-            });
-        } else {
-            // Clear badge if no detections
-            chrome.action.setBadgeText({
-                text: '',
-                tabId: tabId
-            });
-        }
+        // Update badge with detection count, colored by challenge state
+        updateDetectionBadge(tabId, detectionResults.length, pageData.challengeState.state);
 
-        // Save detection results to history
-        if (detectionResults.length > 0) {
+        // Save detection results to history (watch mode re-collections only when a new detector appeared)
+        if (incompleteScan) {
+            console.warn(`Scrapfly Background: Scan for tab ${tabId} ${pageData.scanStats.timedOut ? 'timed out' : 'hit its budget'}, not saving it to History`);
+        } else if (detectionResults.length > 0 && (!isWatchUpdate || newEvents.length > 0)) {
             await History.saveDetectionToHistory(tabId, pageData, detectionResults, chrome);
         }
     } catch (error) {
@@ -272,12 +686,309 @@ async function processDetectionData(message, sender) {
         type: 'NEW_DETECTION_DATA',
         tabId: tabId,
         url: pageData.url,
-        detectionResults: detectionResults
+        detectionResults: detectionResults,
+        challengeState: pageData.challengeState,
+        timeline: pageData.timeline || [],
+        trigger: trigger
     }).catch(() => {
         // Popup might not be open, ignore error
     });
 }
 
+/**
+ * Run detection and challenge state classification for collected page data
+ * Matching runs in the offscreen document so the service worker stays responsive; a newer scan for the
+ * same tab cancels a queued one. Falls back to the service worker when no offscreen document is available
+ * @param {object} pageData - Complete page data
+ * @param {number} tabId - Tab the data belongs to (null for HAR imports)
+ * @returns {Promise<object>} {detectionResults, challengeState, scanStats} or {cancelled: true}
+ */
+async function runDetectionScan(pageData, tabId = null) {
+    const confidenceMethod = (await getStoredSettings()).confidenceMethod;
+    const scanId = ++scanCounter;
+
+    if (tabId !== null) {
+        cancelDetectionScan(tabId);
+        activeScans.set(tabId, scanId);
+    }
+
+    try {
+        if (await ensureOffscreenDocument()) {
+            let response = await sendOffscreenScan(scanId, pageData, confidenceMethod);
+            if (response?.status === 'detectors_required') {
+                offscreenDetectors = null;
+                response = await sendOffscreenScan(scanId, pageData, confidenceMethod);
+            }
+
+            if (response?.status === 'cancelled') {
+                return { cancelled: true };
+            }
+            if (response?.status === 'success') {
+                return {
+                    detectionResults: response.detectionResults,
+                    challengeState: response.challengeState,
+                    scanStats: response.scanStats
+                };
+            }
+            if (response?.status === 'timeout') {
+                // Nothing came back: report an empty partial scan rather than rerunning it here
+                return {
+                    detectionResults: [],
+                    challengeState: { state: 'none', statusCode: pageData.statusCode, vendors: [] },
+                    scanStats: { partial: true, timedOut: true, totalTime: SCAN_TIMEOUT_MS, skipped: [] }
+                };
+            }
+            console.warn('Scrapfly Background: Offscreen scan failed, running detection in the service worker:', response?.error);
+        }
+
+        // Inline fallback, bounded by the same budget
+        if (!detectionEngine) {
+            detectionEngine = new DetectionEngineManager();
+        }
+        detectionEngine.setDetectors(detectorManager.getAllDetectors());
+        detectionEngine.setConfidenceMethod(confidenceMethod);
+        const detectionResults = detectionEngine.detectOnPage(pageData, { budget: SCAN_BUDGET_MS });
+        return {
+            detectionResults,
+            challengeState: detectionEngine.classifyChallengeStates(detectionResults, pageData),
+            scanStats: detectionEngine.lastScanStats
+        };
+    } finally {
+        if (tabId !== null && activeScans.get(tabId) === scanId) {
+            activeScans.delete(tabId);
+        }
+    }
+}
+
+/**
+ * Send one scan to the offscreen document, with the detectors when it does not have the current ones
+ * @param {number} scanId - Scan ID
+ * @param {object} pageData - Complete page data
+ * @param {string} confidenceMethod - Confidence method from Settings
+ * @returns {Promise<object>} Offscreen response, {status: 'timeout'} after SCAN_TIMEOUT_MS
+ */
+async function sendOffscreenScan(scanId, pageData, confidenceMethod) {
+    const detectors = detectorManager.getAllDetectors();
+    const message = {
+        target: 'offscreen',
+        type: 'OFFSCREEN_DETECT',
+        scanId,
+        pageData,
+        confidenceMethod,
+        budget: SCAN_BUDGET_MS,
+        detectorsVersion: offscreenDetectorsVersion
+    };
+
+    if (detectors !== offscreenDetectors) {
+        offscreenDetectors = detectors;
+        message.detectorsVersion = ++offscreenDetectorsVersion;
+        message.detectors = detectors;
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ status: 'timeout' }), SCAN_TIMEOUT_MS);
+    });
+
+    try {
+        const response = await Promise.race([
+            chrome.runtime.sendMessage(message).catch(error => ({ status: 'error', error: error.message })),
+            timeout
+        ]);
+
+        if (response?.status === 'timeout') {
+            console.warn(`Scrapfly Background: Scan ${scanId} timed out after ${SCAN_TIMEOUT_MS} ms, closing the offscreen document`);
+            await closeOffscreenDocument();
+        }
+        return response;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Cancel the queued scan of a tab (a running scan finishes, its result is dropped)
+ * @param {number} tabId - Tab ID
+ */
+function cancelDetectionScan(tabId) {
+    const scanId = activeScans.get(tabId);
+    if (scanId === undefined) {
+        return;
+    }
+
+    activeScans.delete(tabId);
+    chrome.runtime.sendMessage({ target: 'offscreen', type: 'OFFSCREEN_CANCEL', scanId }).catch(() => {
+        // Offscreen document not open, nothing to cancel
+    });
+}
+
+/**
+ * Create the offscreen document unless it exists
+ * @returns {Promise<boolean>} Whether the offscreen document is available
+ */
+async function ensureOffscreenDocument() {
+    if (!chrome.offscreen || !chrome.runtime.getContexts) {
+        return false;
+    }
+
+    try {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+        });
+        if (contexts.length > 0) {
+            return true;
+        }
+
+        if (!offscreenCreating) {
+            // A new document has no detectors yet
+            offscreenDetectors = null;
+            offscreenCreating = chrome.offscreen.createDocument({
+                url: OFFSCREEN_DOCUMENT,
+                reasons: [chrome.offscreen.Reason.WORKERS],
+                justification: 'Run detection rule matching outside the service worker'
+            }).finally(() => {
+                offscreenCreating = null;
+            });
+        }
+        await offscreenCreating;
+        return true;
+    } catch (error) {
+        console.error('Scrapfly Background: Failed to create offscreen document:', error);
+        return false;
+    }
+}
+
+/**
+ * Close the offscreen document (stops a scan that is still running)
+ */
+async function closeOffscreenDocument() {
+    offscreenDetectors = null;
+    try {
+        await chrome.offscreen.closeDocument();
+    } catch (error) {
+        console.warn('Scrapfly Background: Failed to close offscreen document:', error);
+    }
+}
+
+/**
+ * Add timeline events for detectors that matched for the first time on the tab's current route
+ * The timeline restarts when the document or the SPA route changes (different start time)
+ * @param {number} tabId - Tab ID
+ * @param {object} pageData - Page data (route.startTime / timeOrigin is the route's navigation start)
+ * @param {array} detections - Results of detectOnPage()
+ * @param {string} trigger - What caused the collection ('initial' or watch mode changes)
+ * @returns {array} Events added by this run
+ */
+function updateDetectionTimeline(tabId, pageData, detections, trigger) {
+    const timeOrigin = pageData.route?.startTime || pageData.timeOrigin || pageData.navigation?.timing?.startTime || Date.now();
+    let timeline = timelineStore.get(tabId);
+
+    if (!timeline || timeline.timeOrigin !== timeOrigin) {
+        timeline = { timeOrigin, url: pageData.url, events: [] };
+        timelineStore.set(tabId, timeline);
+    }
+
+    const now = Date.now();
+    const newEvents = detections
+        .filter(detection => !timeline.events.some(event =>
+            event.category === detection.category && event.id === detection.detector?.id
+        ))
+        .map(detection => ({
+            category: detection.category,
+            id: detection.detector?.id,
+            name: detection.detector?.name,
+            variant: detection.variant?.name,
+            confidence: detection.confidence,
+            state: detection.challengeState?.state,
+            timestamp: now,
+            elapsed: Math.max(0, Math.round(now - timeOrigin)),
+            trigger
+        }));
+
+    timeline.events.push(...newEvents);
+
+    if (newEvents.length > 0) {
+        console.log(`Scrapfly Background: Timeline +${newEvents.map(event => `${event.name} @${event.elapsed}ms`).join(', ')} (${trigger})`);
+    }
+
+    return newEvents;
+}
+
+/**
+ * Show the cached detection for a URL, or ask the tab's top frame to collect page data on a cache miss
+ * The cache is keyed by route (DetectionEngineManager.getRoute), so SPA routes get their own entries
+ * @param {number} tabId - Tab ID
+ * @param {string} pageUrl - Page URL
+ * @param {string} trigger - 'initial' for document loads, 'route' for SPA navigations
+ */
+async function checkCacheOrRequestData(tabId, pageUrl, trigger = 'initial') {
+    // Check cache first (optimization - avoid expensive data collection)
+    const storedData = await DetectionEngineManager.getStoredDetection(pageUrl);
+    // Block, challenge and CAPTCHA states are transient: the next load of the same URL may have passed
+    const transientState = ['blocked', 'challenge', 'captcha'].includes(storedData?.challengeState?.state);
+    // Timed out or budget-limited scans are incomplete: scan again instead of showing partial results
+    const incompleteScan = DetectionEngineManager.isIncompleteScan(storedData?.scanStats);
+    if (storedData && !transientState && !incompleteScan) {
+        console.log(`Scrapfly Background: ✅ Cache hit for ${pageUrl}`);
+
+        // Update badge with cached detection count
+        updateDetectionBadge(tabId, storedData.detectionCount, storedData.challengeState?.state);
+
+        // Notify popup if it's open
+        chrome.runtime.sendMessage({
+            type: 'NEW_DETECTION_DATA',
+            tabId: tabId,
+            url: pageUrl,
+            detectionResults: storedData.detectionResults,
+            challengeState: storedData.challengeState,
+            fromStorage: true
+        }).catch(() => {});
+
+        // Cache hit - no need to collect data
+        return;
+    }
+
+    // Cache miss - request data collection from content script
+    console.log(`Scrapfly Background: ⚠️ Cache miss for ${pageUrl} - requesting data collection`);
+    chrome.tabs.sendMessage(tabId, { type: 'REQUEST_PAGE_DATA', trigger }, { frameId: 0 }, (response) => {
+        if (chrome.runtime.lastError) {
+            console.log('Scrapfly Background: Content script not ready for data collection');
+        } else {
+            console.log('Scrapfly Background: Data collection requested');
+        }
+    });
+}
+
+/**
+ * Show the detection count on the extension badge
+ * The color tells whether the page is blocked (red), challenged (orange), showing a CAPTCHA (amber),
+ * passed (green) or only runs passive protection (grey)
+ * @param {number} tabId - Tab ID
+ * @param {number} count - Number of detections
+ * @param {string} state - Tab challenge state
+ */
+function updateDetectionBadge(tabId, count, state) {
+    if (count > 0) {
+        const challengeStateManager = detectionEngine?.challengeStateManager || new ChallengeStateManager();
+
+        chrome.action.setBadgeText({
+            text: count.toString(),
+            tabId: tabId
+        });
+        chrome.action.setBadgeBackgroundColor({
+            color: challengeStateManager.getBadgeColor(state),
+            tabId: tabId
+        });
+    } else {
+        // Clear badge if no detections
+        chrome.action.setBadgeText({
+            text: '',
+            tabId: tabId
+        });
+    }
+}
+
 
 
 // getDetectionData has been moved to DetectionEngineManager.js as a static method
@@ -334,52 +1045,15 @@ function setupMessageListeners() {
                         return;
                     }
 
-                    // Check cache first (optimization - avoid expensive data collection)
-                    const storedData = await DetectionEngineManager.getStoredDetection(pageUrl);
-                    if (storedData) {
-                        console.log(`Scrapfly Background: ✅ Cache hit for ${pageUrl}`);
-
-                        // Update badge with cached detection count
-                        if (storedData.detectionCount > 0) {
-                            const count = storedData.detectionCount.toString();
-                            const color = storedData.detectionCount >= 5 ? '#FF4444' :
-                                         storedData.detectionCount >= 3 ? '#FFA500' :
-                                         '#4CAF50';
-
-                            chrome.action.setBadgeText({ text: count, tabId: tabId });
-                            chrome.action.setBadgeBackgroundColor({ color: color, tabId: tabId });
-                        } else {
-                            chrome.action.setBadgeText({ text: '', tabId: tabId });
-                        }
-
-                        // Notify popup if it's open
-                        chrome.runtime.sendMessage({
-                            type: 'NEW_DETECTION_DATA',
-                            tabId: tabId,
-                            url: pageUrl,
-                            detectionResults: storedData.detectionResults,
-                            fromStorage: true
-                        }).catch(() => {});
-
-                        // Cache hit - no need to collect data
-                        return;
-                    }
-
-                    // Cache miss - request data collection from content script
-                    console.log(`Scrapfly Background: ⚠️ Cache miss for ${pageUrl} - requesting data collection`);
-                    chrome.tabs.sendMessage(tabId, { type: 'REQUEST_PAGE_DATA' }, (response) => {
-                        if (chrome.runtime.lastError) {
-                            console.log('Scrapfly Background: Content script not ready for data collection');
-                        } else {
-                            console.log('Scrapfly Background: Data collection requested');
-                        }
-                    });
+                    await checkCacheOrRequestData(tabId, pageUrl);
                 })();
                 break;
 
             case 'DETECTION_DATA':
                 // Process detection data from content script
-                processDetectionData(request, sender);
+                processDetectionData(request, sender).catch(error => {
+                    console.error('Scrapfly Background: Error processing detection data:', error);
+                });
                 sendResponse({ status: 'received', tabId: sender.tab?.id });
                 break;
 
@@ -412,6 +1086,23 @@ function setupMessageListeners() {
                 return true; // Will respond asynchronously
                 break;
 
+            case 'GET_PAGE_DATA':
+                // Page data of the tab's last detection run (Rules editor dry-run)
+                (async () => {
+                    const pageData = pageDataStore.get(request.tabId);
+                    if (!pageData) {
+                        sendResponse({ status: 'not_found' });
+                        return;
+                    }
+                    sendResponse({
+                        status: 'success',
+                        pageData: pageData,
+                        confidenceMethod: (await getStoredSettings()).confidenceMethod
+                    });
+                })();
+                return true; // Will respond asynchronously
+                break;
+
             case 'RELOAD_DETECTORS':
                 // Reload detectors from storage (after adding/updating/deleting)
                 (async () => {
@@ -419,6 +1110,8 @@ function setupMessageListeners() {
                         console.log('Scrapfly Background: Reloading detectors from storage...');
                         detectorManager.initialized = false;
                         await detectorManager.initialize();
+                        // Detectors may have changed in place, send them with the next offscreen scan
+                        offscreenDetectors = null;
                         console.log('Scrapfly Background: Detectors reloaded successfully');
                         sendResponse({ status: 'reloaded', detectorCount: detectorManager.getDetectorCount() });
                     } catch (error) {
@@ -461,7 +1154,7 @@ function setupMessageListeners() {
                             let scriptExists = false;
                             try {
                                 await new Promise((resolve) => {
-                                    chrome.tabs.sendMessage(tabId, { type: 'GET_DETECTION_STATUS' }, (response) => {
+                                    chrome.tabs.sendMessage(tabId, { type: 'GET_DETECTION_STATUS' }, { frameId: 0 }, (response) => {
                                         if (!chrome.runtime.lastError && response && response.status === 'active') {
                                             scriptExists = true;
                                         }
@@ -509,7 +1202,7 @@ function setupMessageListeners() {
                             }
 
                             // Now send the detection request
-                            chrome.tabs.sendMessage(tabId, { type: 'RUN_DETECTION' }, (response) => {
+                            chrome.tabs.sendMessage(tabId, { type: 'RUN_DETECTION' }, { frameId: 0 }, (response) => {
                                 if (chrome.runtime.lastError) {
                                     console.error('Scrapfly Background: Failed to trigger detection:', chrome.runtime.lastError);
                                     sendResponse({ status: 'error', error: chrome.runtime.lastError.message });
@@ -535,21 +1228,64 @@ function setupMessageListeners() {
                 if (request.tabId) {
                     detectionDataStore.delete(request.tabId);
                     headersStore.delete(request.tabId);
+                    subresourceHeadersStore.delete(request.tabId);
+                    requestsStore.delete(request.tabId);
+                    navigationStore.delete(request.tabId);
+                    timelineStore.delete(request.tabId);
+                    pageDataStore.delete(request.tabId);
+                    routeStore.delete(request.tabId);
                 } else {
                     // Clear all
                     detectionDataStore.clear();
                     headersStore.clear();
+                    subresourceHeadersStore.clear();
+                    requestsStore.clear();
+                    navigationStore.clear();
+                    timelineStore.clear();
+                    pageDataStore.clear();
+                    routeStore.clear();
+                    externalContentManager.clear();
                 }
                 sendResponse({ status: 'cleared' });
                 break;
 
+            case 'IMPORT_HAR':
+                // Run detection on page data rebuilt from an imported HAR file
+                (async () => {
+                    try {
+                        await ensureDetectorManagerInitialized();
+
+                        const pageData = HarManager.buildPageData(request.har);
+                        pageData.network = DetectionEngineManager.extractNetworkInfo(pageData.headers, pageData.nextHopProtocol);
+                        const { detectionResults, challengeState } = await runDetectionScan(pageData);
+                        console.log(`Scrapfly Background: HAR import ${request.fileName || ''} - ${detectionResults.length} detections for ${pageData.url}`);
+
+                        sendResponse({
+                            status: 'success',
+                            detectionResults: detectionResults,
+                            challengeState: challengeState,
+                            navigation: pageData.navigation,
+                            network: pageData.network,
+                            url: pageData.url,
+                            hostname: pageData.hostname,
+                            title: pageData.title,
+                            favicon: pageData.favicon,
+                            timestamp: pageData.timestamp
+                        });
+                    } catch (error) {
+                        console.error('Scrapfly Background: Error importing HAR:', error);
+                        sendResponse({ status: 'error', error: error.message });
+                    }
+                })();
+                return true; // Async response
+
             case 'CLEAR_DETECTION_CACHE':
                 // Clear cached detection for specific URL
                 (async () => {
                     try {
                         const result = await chrome.storage.local.get([DetectionEngineManager.STORAGE_KEY]);
                         const storage = result[DetectionEngineManager.STORAGE_KEY] || {};
-                        const urlHash = Utils.hashUrl(request.url);
+                        const urlHash = DetectionEngineManager.getStorageKey(request.url);
 
                         if (storage[urlHash]) {
                             delete storage[urlHash];
@@ -863,6 +1599,13 @@ function setupTabListeners() {
     chrome.tabs.onRemoved.addListener((tabId) => {
         console.log(`Scrapfly Background: Tab ${tabId} closed, clearing headers`);
         headersStore.delete(tabId);
+        subresourceHeadersStore.delete(tabId);
+        requestsStore.delete(tabId);
+        navigationStore.delete(tabId);
+        timelineStore.delete(tabId);
+        routeStore.delete(tabId);
+        pageDataStore.delete(tabId);
+        cancelDetectionScan(tabId);
 
         // Clear capture state if tab is closed during capture
         const captureStateForTab = captureState.get(tabId);
@@ -940,6 +1683,10 @@ function initialize() {
 
     // Setup all listeners and services
     setupHeaderCapture();
+    setupRequestCapture();
+    setupNavigationCapture();
+    setupRouteTracking();
+    setupApiSensor();
     setupMessageListeners();
     setupTabListeners();
 
@@ -7,6 +7,17 @@
 var detectionEngine = detectionEngine || null;
 var hasCleanedUp = hasCleanedUp || false;
 var contextCheckInterval = contextCheckInterval || null;
+var observedApiCalls = observedApiCalls || [];
+var watchObservers = watchObservers || [];
+var watchTimer = watchTimer || null;
+var watchTriggers = watchTriggers || [];
+
+// Watch mode: re-collect when scripts, iframes or forms appear after the first collection
+var WATCH_MIN_INTERVAL = 3000; // Passed to shouldRunDetection(), at most one re-collection per interval
+var WATCH_DEBOUNCE = 750; // Let a burst of changes settle before collecting
+var WATCH_DOM_THRESHOLD = 25; // Added elements that count as a significant DOM change on their own
+var WATCH_ELEMENT_TAGS = ['SCRIPT', 'IFRAME', 'FORM', 'OBJECT', 'EMBED'];
+var WATCH_RESOURCE_TYPES = ['script', 'iframe', 'link', 'css'];
 
 /**
  * Check if extension context is still valid
@@ -53,6 +64,8 @@ function cleanupOrphanedScript() {
     document.removeEventListener('visibilitychange', notifyPageLoad);
     window.removeEventListener('focus', notifyPageLoad);
 
+    stopWatchMode();
+
     // Clear detection engine data
     if (detectionEngine) {
         detectionEngine.clearDetectionData();
@@ -122,9 +135,10 @@ async function notifyPageLoad() {
 
 /**
  * Collect page data and send to background (called when cache miss)
+ * @param {string} trigger - 'initial', or the watch mode changes that caused a re-collection
  */
-async function collectAndSendData() {
-    console.log('Scrapfly Content Script: Collecting and sending page data...');
+async function collectAndSendData(trigger = 'initial') {
+    console.log(`Scrapfly Content Script: Collecting and sending page data (${trigger})...`);
 
     // Check if extension context is still valid
     if (!isExtensionContextValid()) {
@@ -137,13 +151,17 @@ async function collectAndSendData() {
         // Collect page data (async - fetches external resources)
         const pageData = await detectionEngine.collectPageData();
 
+        // Runtime API calls recorded by the sensor (empty when the sensor is disabled)
+        pageData.apis = observedApiCalls;
+
         console.log('📤 Content Script: Sending pageData:', {
             hasPageHTML: !!pageData.pageHTML,
             pageHTMLLength: pageData.pageHTML?.length || 0,
             contentCount: pageData.content?.length || 0,
             externalContentCount: pageData.externalContent?.length || 0,
             cookiesCount: pageData.cookies?.length || 0,
-            domCount: pageData.dom?.length || 0
+            domCount: pageData.dom?.length || 0,
+            apisCount: pageData.apis?.length || 0
         });
 
         // Check again before sending
@@ -158,6 +176,7 @@ async function collectAndSendData() {
             chrome.runtime.sendMessage({
                 type: 'DETECTION_DATA',
                 data: pageData,
+                trigger: trigger,
                 tabId: null, // Will be filled by background script
                 timestamp: Date.now()
             }, (response) => {
@@ -173,6 +192,7 @@ async function collectAndSendData() {
                     }
                 } else {
                     console.log('Scrapfly Content Script: Detection data sent successfully', response);
+                    startWatchMode();
                 }
             });
         } catch (sendError) {
@@ -195,6 +215,177 @@ async function collectAndSendData() {
     }
 }
 
+/**
+ * Start watching the page for changes that can bring in a detector after the first collection
+ * (challenge scripts injected seconds later, CAPTCHA widgets shown after a form submit)
+ * Runs once per document when the watchModeEnabled setting is on (default)
+ */
+async function startWatchMode() {
+    if (watchObservers.length > 0 || hasCleanedUp || !isExtensionContextValid()) return;
+
+    try {
+        const result = await chrome.storage.local.get(['scrapfly_settings']);
+        if (result.scrapfly_settings) {
+            const parsed = JSON.parse(result.scrapfly_settings);
+            if ((parsed.settings || parsed).watchModeEnabled === false) {
+                console.log('Scrapfly Content Script: Watch mode disabled');
+                return;
+            }
+        }
+    } catch (error) {
+        console.warn('Scrapfly Content Script: Could not read watch mode setting:', error.message);
+    }
+
+    // Another call may have started watching while the setting was read
+    if (watchObservers.length > 0) return;
+
+    // DOM: new script / iframe / form elements, or a large batch of added elements (page re-rendered)
+    const mutationObserver = new MutationObserver((mutations) => {
+        let addedElements = 0;
+
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType !== Node.ELEMENT_NODE || node.id === 'scrapfly-capture-notification') continue;
+
+                if (WATCH_ELEMENT_TAGS.includes(node.tagName)) {
+                    scheduleWatchCollection(`dom:${node.tagName.toLowerCase()}`);
+                }
+                addedElements += 1 + (node.getElementsByTagName ? node.getElementsByTagName('*').length : 0);
+            }
+        }
+
+        if (addedElements >= WATCH_DOM_THRESHOLD) {
+            scheduleWatchCollection('dom');
+        }
+    });
+    mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+    watchObservers.push(mutationObserver);
+
+    // Network: scripts, frames and stylesheets loaded after the first collection
+    if (typeof PerformanceObserver !== 'undefined') {
+        try {
+            const resourceObserver = new PerformanceObserver((list) => {
+                list.getEntries()
+                    .filter(entry => WATCH_RESOURCE_TYPES.includes(entry.initiatorType))
+                    .forEach(entry => scheduleWatchCollection(`network:${entry.initiatorType}`));
+            });
+            resourceObserver.observe({ type: 'resource' });
+            watchObservers.push(resourceObserver);
+        } catch (error) {
+            console.warn('Scrapfly Content Script: Resource observer unavailable:', error.message);
+        }
+    }
+
+    console.log('Scrapfly Content Script: Watch mode started');
+}
+
+/**
+ * Stop watch mode observers and any pending re-collection
+ */
+function stopWatchMode() {
+    watchObservers.forEach(observer => observer.disconnect());
+    watchObservers = [];
+    watchTriggers = [];
+
+    if (watchTimer) {
+        clearTimeout(watchTimer);
+        watchTimer = null;
+    }
+}
+
+/**
+ * Queue a watch mode re-collection
+ * @param {string} trigger - Change that warrants a re-collection (e.g. 'dom:iframe', 'network:script')
+ */
+function scheduleWatchCollection(trigger) {
+    if (hasCleanedUp) return;
+
+    if (!watchTriggers.includes(trigger)) {
+        watchTriggers.push(trigger);
+    }
+
+    if (!watchTimer) {
+        watchTimer = setTimeout(runWatchCollection, WATCH_DEBOUNCE);
+    }
+}
+
+/**
+ * Re-collect page data for the queued changes, throttled by shouldRunDetection()
+ */
+function runWatchCollection() {
+    watchTimer = null;
+    if (hasCleanedUp || watchTriggers.length === 0) return;
+
+    // Hidden tabs and recent collections wait, the queued triggers are kept
+    if (document.hidden || !detectionEngine.shouldRunDetection(WATCH_MIN_INTERVAL)) {
+        const elapsed = Date.now() - (detectionEngine.lastDetectionTime || 0);
+        watchTimer = setTimeout(runWatchCollection, Math.max(WATCH_MIN_INTERVAL - elapsed, WATCH_DEBOUNCE));
+        return;
+    }
+
+    const trigger = watchTriggers.join(', ');
+    watchTriggers = [];
+
+    console.log(`Scrapfly Content Script: Page changed (${trigger}), re-collecting...`);
+    collectAndSendData(trigger);
+}
+
+/**
+ * Listen for API call reports from the MAIN-world sensor (api-sensor.js, opt-in)
+ * The sensor runs at document_start, so ask it for everything recorded before this script loaded
+ */
+function setupApiSensorListener() {
+    window.addEventListener('message', (event) => {
+        if (event.source !== window || !event.data || event.data.source !== 'scrapfly-api-sensor') return;
+
+        if (event.data.type === 'API_CALLS' && Array.isArray(event.data.calls)) {
+            observedApiCalls = event.data.calls;
+        }
+    });
+
+    window.postMessage({ source: 'scrapfly-content', type: 'GET_API_CALLS' }, '*');
+}
+
+/**
+ * Check if the script runs in the top-level frame
+ * Subframes (all_frames) only answer COLLECT_FRAME_DATA, the top frame drives detection
+ * @returns {boolean} True for the top frame
+ */
+function isTopFrame() {
+    try {
+        return window === window.top;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Setup subframe message handling
+ * Frame data is pulled by the background script while it processes the top frame's data
+ */
+function setupFrameListener() {
+    if (!isExtensionContextValid()) return;
+
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (!isExtensionContextValid()) {
+            return false;
+        }
+
+        if (request.type === 'COLLECT_FRAME_DATA') {
+            try {
+                const frameData = detectionEngine.collectFrameData();
+                frameData.apis = observedApiCalls;
+                sendResponse({ status: 'success', data: frameData });
+            } catch (error) {
+                console.error('Scrapfly Content Script: Error collecting frame data:', error);
+                sendResponse({ status: 'error', error: error.message });
+            }
+        }
+
+        return false;
+    });
+}
+
 /**
  * Setup detection triggers
  */
@@ -225,24 +416,8 @@ function setupDetectionTriggers() {
         }
     });
 
-    // Monitor for client-side navigation (SPA)
-    let lastUrl = location.href;
-    const observer = new MutationObserver(() => {
-        if (hasCleanedUp) return;
-
-        const currentUrl = location.href;
-        if (currentUrl !== lastUrl) {
-            lastUrl = currentUrl;
-            console.log('Scrapfly Content Script: URL changed, notifying...');
-            setTimeout(notifyPageLoad, 500); // Wait for new content to load
-        }
-    });
-
-    // Start observing URL changes
-    observer.observe(document.body, {
-        childList: true,
-        subtree: true
-    });
+    // Client-side navigation (SPA) is tracked by the background with webNavigation,
+    // it sends REQUEST_PAGE_DATA with trigger 'route' when a new route has no cached detection
 
     // Listen for messages from background script
     if (isExtensionContextValid()) {
@@ -256,8 +431,8 @@ function setupDetectionTriggers() {
             console.log('Scrapfly Content Script: Received message:', request);
 
             if (request.type === 'REQUEST_PAGE_DATA') {
-                // Background requests data collection (cache miss)
-                collectAndSendData();
+                // Background requests data collection (cache miss on a page load or SPA route)
+                collectAndSendData(request.trigger || 'initial');
                 sendResponse({ status: 'collecting_data' });
             } else if (request.type === 'RUN_DETECTION') {
                 // Manual detection request from popup (force bypass cache)
@@ -361,6 +536,15 @@ function initialize() {
     // Check for context validity periodically (less frequently to reduce overhead)
     contextCheckInterval = setInterval(performContextCheck, 60000); // Check every 60 seconds
 
+    setupApiSensorListener();
+
+    // Subframes only provide data on request, the top frame runs detection
+    if (!isTopFrame()) {
+        setupFrameListener();
+        console.log('Scrapfly Content Script: Subframe ready for frame data collection');
+        return;
+    }
+
     // Setup all detection triggers
     setupDetectionTriggers();
 
@@ -0,0 +1,95 @@
+/**
+ * Scrapfly Offscreen Document - Runs rule matching outside the service worker
+ * background.js collects the page data and sends it here, so a long scan neither blocks the
+ * service worker's message handling nor gets the worker terminated mid-scan
+ *
+ * Messages (all carry target: 'offscreen'):
+ * - OFFSCREEN_DETECT {scanId, pageData, confidenceMethod, budget, detectorsVersion, detectors?}
+ *   → {status: 'success', scanId, detectionResults, challengeState, scanStats}
+ *   → {status: 'detectors_required'} when detectors for detectorsVersion were never sent
+ *   → {status: 'cancelled', scanId} when OFFSCREEN_CANCEL arrived before the scan started
+ *   → {status: 'error', scanId, error} when loading the detectors or matching threw
+ * - OFFSCREEN_CANCEL {scanId} → {status: 'cancelled', scanId}
+ *
+ * Scans run one at a time in arrival order. A scan that is already running cannot be interrupted:
+ * it stops starting detectors once over its budget, and background.js closes the document on a hard timeout
+ */
+
+console.log('Scrapfly Offscreen: Initializing...');
+
+const detectionEngine = new DetectionEngineManager();
+let detectorsVersion = null;
+// Scans cancelled before they started
+const cancelledScans = new Set();
+// Chain of queued scans
+let scanQueue = Promise.resolve();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen') {
+        return false;
+    }
+
+    switch (message.type) {
+        case 'OFFSCREEN_DETECT':
+            // The chain always settles, so one failing scan does not leave the later ones unanswered
+            scanQueue = scanQueue
+                .then(() => runScan(message))
+                .then(sendResponse)
+                .catch(error => {
+                    console.error('Scrapfly Offscreen: Scan failed:', error);
+                    sendResponse({ status: 'error', scanId: message.scanId, error: error.message });
+                });
+            return true; // Async response
+
+        case 'OFFSCREEN_CANCEL':
+            cancelledScans.add(message.scanId);
+            sendResponse({ status: 'cancelled', scanId: message.scanId });
+            return false;
+
+        default:
+            console.log('Scrapfly Offscreen: Unknown message type:', message.type);
+            return false;
+    }
+});
+
+/**
+ * Run detection and challenge state classification for one page
+ * @param {object} message - OFFSCREEN_DETECT message
+ * @returns {Promise<object>} Response sent back to background.js
+ */
+async function runScan(message) {
+    const { scanId, pageData, confidenceMethod, budget } = message;
+
+    // Let OFFSCREEN_CANCEL messages that arrived while the previous scan ran be handled first
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    if (cancelledScans.delete(scanId)) {
+        console.log(`Scrapfly Offscreen: Scan ${scanId} cancelled before it started`);
+        return { status: 'cancelled', scanId };
+    }
+
+    try {
+        if (message.detectors) {
+            detectionEngine.setDetectors(message.detectors);
+            detectorsVersion = message.detectorsVersion;
+        } else if (message.detectorsVersion !== detectorsVersion) {
+            return { status: 'detectors_required', scanId };
+        }
+
+        detectionEngine.setConfidenceMethod(confidenceMethod);
+        const detectionResults = detectionEngine.detectOnPage(pageData, { budget });
+        const challengeState = detectionEngine.classifyChallengeStates(detectionResults, pageData);
+        console.log(`Scrapfly Offscreen: Scan ${scanId} - ${detectionResults.length} detections for ${pageData.url}`);
+
+        return {
+            status: 'success',
+            scanId,
+            detectionResults,
+            challengeState,
+            scanStats: detectionEngine.lastScanStats
+        };
+    } catch (error) {
+        console.error('Scrapfly Offscreen: Error running detection:', error);
+        return { status: 'error', scanId, error: error.message };
+    }
+}
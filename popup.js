@@ -7,6 +7,7 @@ class ScrapflyPopup {
     this.detectionEngine = new DetectionEngineManager();
     this.currentTab = 'detection';
     this.detection = new Detection(this.detectorManager, this.detectionEngine);
+    this.detection.onImportClosed = () => this.requestCurrentTabDetection();
     this.history = new History(this.detectorManager);
     this.rules = new Rules(this.detectorManager);
     this.advanced = new Advanced(this.detectorManager, this.detection);
@@ -122,12 +123,15 @@ class ScrapflyPopup {
 
   /**
    * Request detection data for the current tab
+   * @param {object} options - {live: keep the current results while loading, tabId: only refresh this tab}
    */
-  async requestCurrentTabDetection() {
+  async requestCurrentTabDetection(options = {}) {
     console.log('Popup: Requesting detection data for current tab...');
 
-    // Show loading state while fetching detection data
-    this.detection.showLoadingState();
+    // Show loading state while fetching detection data (live updates keep the current results on screen)
+    if (!options.live) {
+      this.detection.showLoadingState();
+    }
 
     try {
       // Get current tab
@@ -140,6 +144,11 @@ class ScrapflyPopup {
 
       console.log('Popup: Current tab:', tab.url);
 
+      // Live updates are only for the tab the popup shows
+      if (options.tabId && options.tabId !== tab.id) {
+        return;
+      }
+
       // Don't run detection on extension or browser pages
       if (tab.url.startsWith('chrome://') ||
           tab.url.startsWith('chrome-extension://') ||
@@ -151,7 +160,9 @@ class ScrapflyPopup {
       }
 
       // Show loading state
-      this.detection.showLoadingState();
+      if (!options.live) {
+        this.detection.showLoadingState();
+      }
 
       // Ensure connection exists before sending message
       if (!chrome.runtime?.id) {
@@ -265,6 +276,10 @@ class ScrapflyPopup {
       await this.detection.displayResults(detectionData.detectionResults, {
         fromStorage: isFromStorage,
         storageExpiry: detectionData.storageExpiry,
+        navigation: detectionData.navigation,
+        network: detectionData.network,
+        timeline: detectionData.timeline,
+        scanStats: detectionData.scanStats,
         cacheMetadata: {
           timestamp: detectionData.timestamp,
           expiry: detectionData.storageExpiry,
@@ -320,15 +335,22 @@ class ScrapflyPopup {
    */
   setupMessageHandlers() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Scans sent to the offscreen document are answered there
+      if (request.target === 'offscreen') {
+        return false;
+      }
+
       console.log('Popup: Received message:', request.type);
 
       switch (request.type) {
         case 'NEW_DETECTION_DATA':
           // New detection data available
           console.log('Popup: New detection data available for tab:', request.tabId);
-          // If we're on the detection tab, refresh the data
-          if (this.currentTab === 'detection') {
-            this.requestCurrentTabDetection();
+          // If we're on the detection tab, refresh the data (unless an imported HAR is shown)
+          // Watch mode re-collections update the results in place
+          if (this.currentTab === 'detection' && !this.detection.importedSource) {
+            const live = request.trigger !== undefined && request.trigger !== 'initial';
+            this.requestCurrentTabDetection(live ? { live: true, tabId: request.tabId } : {});
           }
           break;
 